@@ -2,14 +2,80 @@
 // Constants
 // ===========================
 
-const DATA_VERSION = 2; // Current data schema version
+const DATA_VERSION = 7; // Current data schema version
 
-const BANT_THRESHOLDS = {
-    HOT: 80,
-    WARM: 55
+const DEFAULT_QUALIFICATION_THRESHOLDS = {
+    hot: 80,
+    warm: 55
 };
 
-const MAX_BANT_SCORE = 20;
+// Every criterion is scored on the same 1-5 scale; weights change its share of the total
+const QUALIFICATION_SCORE_MIN = 1;
+const QUALIFICATION_SCORE_MAX = 5;
+
+const DEFAULT_QUALIFICATION_MODELS = [
+    {
+        id: 'bant',
+        name: 'BANT',
+        criteria: [
+            { key: 'budget', label: 'Budget', weight: 1 },
+            { key: 'authority', label: 'Authority', weight: 1 },
+            { key: 'need', label: 'Need', weight: 1 },
+            { key: 'timeline', label: 'Timeline', weight: 1 }
+        ],
+        thresholds: { ...DEFAULT_QUALIFICATION_THRESHOLDS }
+    },
+    {
+        id: 'meddicc',
+        name: 'MEDDICC',
+        criteria: [
+            { key: 'metrics', label: 'Metrics', weight: 1 },
+            { key: 'economicBuyer', label: 'Economic Buyer', weight: 1 },
+            { key: 'decisionCriteria', label: 'Decision Criteria', weight: 1 },
+            { key: 'decisionProcess', label: 'Decision Process', weight: 1 },
+            { key: 'identifyPain', label: 'Identify Pain', weight: 1 },
+            { key: 'champion', label: 'Champion', weight: 1 },
+            { key: 'competition', label: 'Competition', weight: 1 }
+        ],
+        thresholds: { ...DEFAULT_QUALIFICATION_THRESHOLDS }
+    }
+];
+
+const DEFAULT_PIPELINE_STAGES = [
+    { id: 'lead', name: 'Lead', retired: false },
+    { id: 'qualified', name: 'Qualified', retired: false },
+    {
+        id: 'proposal',
+        name: 'Proposal',
+        retired: false,
+        templateMode: 'prompt',
+        taskTemplates: [
+            { id: 'TPL-ARCH', taskName: 'Solution architecture', role: 'Architect', taskType: 'Document', dueInDays: 5 },
+            { id: 'TPL-ESTIMATE', taskName: 'Estimate review', role: 'Pre-Sales', taskType: 'Review', dueInDays: 7 },
+            { id: 'TPL-PROPOSAL', taskName: 'Proposal document', role: 'Pre-Sales', taskType: 'Document', dueInDays: 10 },
+            { id: 'TPL-DEMO', taskName: 'Demo', role: 'Pre-Sales', taskType: 'Demo', dueInDays: 12 }
+        ]
+    },
+    { id: 'negotiation', name: 'Negotiation', retired: false },
+    { id: 'closed', name: 'Closed', retired: false }
+];
+
+const SUPPORTED_CURRENCIES = [
+    { code: 'USD', symbol: '$' },
+    { code: 'GBP', symbol: '£' },
+    { code: 'EUR', symbol: '€' },
+    { code: 'INR', symbol: '₹' }
+];
+
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Value of one unit of each currency in the base currency
+const DEFAULT_EXCHANGE_RATES = {
+    USD: 1,
+    GBP: 1.27,
+    EUR: 1.08,
+    INR: 0.012
+};
 
 // ===========================
 // Data Storage & State
@@ -17,82 +83,344 @@ const MAX_BANT_SCORE = 20;
 
 let opportunities = [];
 let tasks = [];
+let accounts = [];
 let currentEditingOpportunity = null;
 let currentEditingTask = null;
+let currentEditingAccount = null;
+let selectedAccountId = null;
 let currentCalendarDate = new Date();
 let selectedCalendarDate = null;
+let calendarView = 'month';
+let calendarDraggedTask = null;
 let draggedCard = null;
 let undoStack = [];
-const MAX_UNDO_STACK = 10;
+let redoStack = [];
+const MAX_UNDO_STACK = 25;
 let opportunitySortColumn = null;
 let opportunitySortDirection = 'asc';
 let taskSortColumn = null;
 let taskSortDirection = 'asc';
 let selectedOpportunities = new Set();
 let selectedTasks = new Set();
+let auditLog = [];
+let pendingAuditEntries = [];
+let currentUserName = '';
+let pipelineStages = [];
+let qualificationModels = [];
+let teamMembers = [];
+let stageGateAdmins = [];
+let pendingOutcomeStatus = null;
+let pendingOutcomeOpportunityId = null;
+let opportunityDrillDown = null;
+let baseCurrency = DEFAULT_BASE_CURRENCY;
+let exchangeRates = { ...DEFAULT_EXCHANGE_RATES };
 
 // ===========================
 // Initialization
 // ===========================
 
-document.addEventListener('DOMContentLoaded', function() {
-    loadDataFromStorage();
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadDataFromStorage();
+    ensureTeamMembersForRecords();
     initializeEventListeners();
     initializeCalendar();
-    initializeKanban();
+    populateStageSelects();
+    renderStageSettings();
+    renderQualificationSettings();
+    renderCurrencySettings();
+    renderTeamSettings();
     renderOpportunities();
     renderTasks();
+    renderAccounts();
     updateDashboard();
     updateTaskOpportunityFilters();
+    renderCurrentUser();
+    renderRecentActions();
+
+    // Calendar entries exported from the app link straight to their opportunity
+    openLinkedOpportunity();
+    window.addEventListener('hashchange', openLinkedOpportunity);
+
+    // Flag tasks that slipped while the app was closed, then keep checking
+    checkOverdueTasks();
+    setInterval(checkOverdueTasks, OVERDUE_CHECK_INTERVAL);
 
     // Check storage quota on load
     checkStorageQuota();
 });
 
 // ===========================
-// Local Storage Functions
+// Storage Functions
 // ===========================
 
-function loadDataFromStorage() {
-    try {
-        const storedOpportunities = localStorage.getItem('opportunities');
-        const storedTasks = localStorage.getItem('tasks');
-        const storedVersion = localStorage.getItem('dataVersion');
+const DB_NAME = 'presales-tracker';
+const DB_VERSION = 3;
+const RECORD_STORES = ['opportunities', 'tasks', 'accounts', 'auditLog'];
+const META_STORE = 'meta';
+
+let storageBackend = null;
+
+// Serialized copy of each record as last written, so saves only touch changed records
+let persistedRecords = {};
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const indexedDBBackend = {
+    name: 'IndexedDB',
+    db: null,
+
+    open() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            RECORD_STORES.forEach(storeName => {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, { keyPath: 'id' });
+                }
+            });
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE);
+            }
+        };
+        return promisifyRequest(request).then(db => {
+            this.db = db;
+            return this;
+        });
+    },
+
+    getAll(storeName) {
+        const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+        return promisifyRequest(store.getAll()).then(sortByCreation);
+    },
+
+    writeRecords(storeName, records, removedIds) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+            removedIds.forEach(id => store.delete(id));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+
+    getMeta(key) {
+        const store = this.db.transaction(META_STORE, 'readonly').objectStore(META_STORE);
+        return promisifyRequest(store.get(key));
+    },
+
+    setMeta(key, value) {
+        const store = this.db.transaction(META_STORE, 'readwrite').objectStore(META_STORE);
+        return promisifyRequest(store.put(value, key));
+    }
+};
+
+// Fallback for browsers where IndexedDB is unavailable (e.g. some private modes)
+const localStorageBackend = {
+    name: 'localStorage',
+
+    open() {
+        return Promise.resolve(this);
+    },
+
+    getAll(storeName) {
+        const stored = localStorage.getItem(storeName);
+        return Promise.resolve(stored ? JSON.parse(stored) : []);
+    },
+
+    writeRecords(storeName, records, removedIds) {
+        return this.getAll(storeName).then(stored => {
+            const updates = new Map(records.map(record => [record.id, record]));
+            const merged = stored
+                .filter(record => !removedIds.includes(record.id))
+                .map(record => {
+                    const updated = updates.get(record.id);
+                    updates.delete(record.id);
+                    return updated || record;
+                });
+            merged.push(...updates.values());
+            localStorage.setItem(storeName, JSON.stringify(merged));
+        });
+    },
+
+    getMeta(key) {
+        const stored = localStorage.getItem(key);
+        return Promise.resolve(stored === null ? undefined : JSON.parse(stored));
+    },
+
+    setMeta(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+        return Promise.resolve();
+    }
+};
+
+function openStorageBackend() {
+    if (!window.indexedDB) {
+        return localStorageBackend.open();
+    }
+
+    return indexedDBBackend.open().catch(error => {
+        console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        return localStorageBackend.open();
+    });
+}
+
+function rememberPersistedRecords(storeName, records) {
+    persistedRecords[storeName] = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+}
+
+function syncRecordStore(storeName, records) {
+    const snapshot = persistedRecords[storeName];
+    const changed = [];
+    const currentIds = new Set();
+
+    records.forEach(record => {
+        const serialized = JSON.stringify(record);
+        currentIds.add(record.id);
+        if (snapshot.get(record.id) !== serialized) {
+            changed.push(record);
+            snapshot.set(record.id, serialized);
+        }
+    });
+
+    const removedIds = [...snapshot.keys()].filter(id => !currentIds.has(id));
+    removedIds.forEach(id => snapshot.delete(id));
+
+    if (changed.length === 0 && removedIds.length === 0) {
+        return Promise.resolve();
+    }
+
+    return storageBackend.writeRecords(storeName, changed, removedIds).catch(error => {
+        // Forget the failed writes so the next save retries them
+        changed.forEach(record => snapshot.delete(record.id));
+        removedIds.forEach(id => snapshot.set(id, null));
+        throw error;
+    });
+}
+
+function getIDTimestamp(id) {
+    return parseInt(String(id).split('-').pop()) || 0;
+}
+
+function sortByCreation(records) {
+    // IndexedDB returns records in key order; restore creation order from the ID timestamp
+    return records.sort((a, b) => getIDTimestamp(a.id) - getIDTimestamp(b.id));
+}
+
+function readLegacyLocalStorage() {
+    const storedOpportunities = localStorage.getItem('opportunities');
+    const storedTasks = localStorage.getItem('tasks');
+    const storedVersion = localStorage.getItem('dataVersion');
+
+    if (storedOpportunities === null && storedTasks === null) {
+        return null;
+    }
+
+    return {
+        opportunities: storedOpportunities ? JSON.parse(storedOpportunities) : [],
+        tasks: storedTasks ? JSON.parse(storedTasks) : [],
+        version: storedVersion ? parseInt(storedVersion) : 1
+    };
+}
+
+function clearLegacyLocalStorage() {
+    localStorage.removeItem('opportunities');
+    localStorage.removeItem('tasks');
+    localStorage.removeItem('dataVersion');
+}
 
-        opportunities = storedOpportunities ? JSON.parse(storedOpportunities) : [];
-        tasks = storedTasks ? JSON.parse(storedTasks) : [];
+async function loadDataFromStorage() {
+    try {
+        storageBackend = await openStorageBackend();
+
+        opportunities = await storageBackend.getAll('opportunities');
+        tasks = await storageBackend.getAll('tasks');
+        accounts = await storageBackend.getAll('accounts');
+        rememberPersistedRecords('opportunities', opportunities);
+        rememberPersistedRecords('tasks', tasks);
+        rememberPersistedRecords('accounts', accounts);
+
+        auditLog = (await storageBackend.getAll('auditLog'))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        currentUserName = (await storageBackend.getMeta('currentUserName')) || '';
+        loadPipelineStages(await storageBackend.getMeta('pipelineStages'));
+        loadQualificationModels(await storageBackend.getMeta('qualificationModels'));
+        stageGateAdmins = (await storageBackend.getMeta('stageGateAdmins')) || [];
+        teamMembers = (await storageBackend.getMeta('teamMembers')) || [];
+        loadCurrencySettings(await storageBackend.getMeta('baseCurrency'), await storageBackend.getMeta('exchangeRates'));
+
+        let storedVersion = await storageBackend.getMeta('dataVersion');
+        let legacyData = null;
+
+        // Data saved before the IndexedDB backend existed still lives in localStorage
+        if (storageBackend === indexedDBBackend && storedVersion === undefined) {
+            legacyData = readLegacyLocalStorage();
+            if (legacyData) {
+                opportunities = legacyData.opportunities;
+                tasks = legacyData.tasks;
+                storedVersion = legacyData.version;
+            }
+        }
 
         // Check if migration is needed
         const currentVersion = storedVersion ? parseInt(storedVersion) : 1;
         if (currentVersion < DATA_VERSION) {
-            migrateData(currentVersion, DATA_VERSION);
-            localStorage.setItem('dataVersion', DATA_VERSION.toString());
+            await migrateData(currentVersion, DATA_VERSION);
+            await storageBackend.setMeta('dataVersion', DATA_VERSION);
+
+            if (legacyData) {
+                clearLegacyLocalStorage();
+            }
         }
     } catch (error) {
         console.error('Error loading data from storage:', error);
+        storageBackend = storageBackend || localStorageBackend;
         opportunities = [];
         tasks = [];
+        accounts = [];
+        rememberPersistedRecords('opportunities', opportunities);
+        rememberPersistedRecords('tasks', tasks);
+        rememberPersistedRecords('accounts', accounts);
+        loadPipelineStages(null);
+        loadQualificationModels(null);
+        loadCurrencySettings(null, null);
     }
 }
 
 function saveOpportunitiesToStorage() {
-    try {
-        localStorage.setItem('opportunities', JSON.stringify(opportunities));
-        checkStorageQuota();
-    } catch (error) {
-        console.error('Error saving opportunities:', error);
-        alert('Unable to save data. Storage may be full.');
-    }
+    return syncRecordStore('opportunities', opportunities)
+        .then(flushAuditLog)
+        .then(checkStorageQuota)
+        .catch(error => {
+            console.error('Error saving opportunities:', error);
+            alert('Unable to save data. Storage may be full.');
+        });
 }
 
 function saveTasksToStorage() {
-    try {
-        localStorage.setItem('tasks', JSON.stringify(tasks));
-        checkStorageQuota();
-    } catch (error) {
-        console.error('Error saving tasks:', error);
-        alert('Unable to save data. Storage may be full.');
-    }
+    return syncRecordStore('tasks', tasks)
+        .then(flushAuditLog)
+        .then(checkStorageQuota)
+        .catch(error => {
+            console.error('Error saving tasks:', error);
+            alert('Unable to save data. Storage may be full.');
+        });
+}
+
+function saveAccountsToStorage() {
+    return syncRecordStore('accounts', accounts)
+        .then(flushAuditLog)
+        .then(checkStorageQuota)
+        .catch(error => {
+            console.error('Error saving accounts:', error);
+            alert('Unable to save data. Storage may be full.');
+        });
 }
 
 // ===========================
@@ -104,27 +432,90 @@ const migrations = {
         // Migration from v1 to v2: Ensure all opportunities have proper ID format
         console.log('Migrating from version 1 to 2...');
         return data;
+    },
+    2: function(data) {
+        // Migration from v2 to v3: Records move from localStorage into IndexedDB when
+        // migrateData saves them; the record shape is unchanged
+        console.log('Migrating from version 2 to 3...');
+        return data;
+    },
+    3: function(data) {
+        // Migration from v3 to v4: Fixed BANT fields become scores for the built-in BANT model
+        console.log('Migrating from version 3 to 4...');
+        const bantModel = DEFAULT_QUALIFICATION_MODELS[0];
+        return {
+            opportunities: (data.opportunities || []).map(opp => {
+                if (opp.qualificationModel) return opp;
+                const { bant, bantTotal, bantPercent, bantSummary, ...rest } = opp;
+                return applyQualification({
+                    ...rest,
+                    qualification: { budget: 1, authority: 1, need: 1, timeline: 1, ...bant }
+                }, bantModel);
+            })
+        };
+    },
+    4: function(data) {
+        // Migration from v4 to v5: Start a stage history; the real entry date of the current
+        // stage is unknown, so the last update is the closest available timestamp
+        console.log('Migrating from version 4 to 5...');
+        return {
+            opportunities: (data.opportunities || []).map(opp => opp.stageHistory ? opp : {
+                ...opp,
+                stageHistory: [{ stage: opp.stage, at: opp.updatedAt || (opp.dateIdentified ? new Date(opp.dateIdentified).toISOString() : new Date().toISOString()) }]
+            })
+        };
+    },
+    5: function(data) {
+        // Migration from v5 to v6: Deal values were always entered in US dollars
+        console.log('Migrating from version 5 to 6...');
+        return {
+            opportunities: (data.opportunities || []).map(opp => opp.currency ? opp : { ...opp, currency: 'USD' })
+        };
+    },
+    6: function(data) {
+        // Migration from v6 to v7: Free-text clients and contacts become account records;
+        // differently punctuated or cased spellings of a client share one account
+        console.log('Migrating from version 6 to 7...');
+        const migratedAccounts = (data.accounts || []).map(cloneRecord);
+        return {
+            opportunities: (data.opportunities || []).map(opp => {
+                if (opp.accountId || !opp.client) return opp;
+                const account = findOrCreateAccount(migratedAccounts, opp.client, opp.industry);
+                const contact = findOrCreateContact(account, opp.contactName, opp.contactEmail);
+                return { ...opp, accountId: account.id, contactIds: contact ? [contact.id] : [] };
+            }),
+            accounts: migratedAccounts
+        };
     }
 };
 
-function migrateData(fromVersion, toVersion) {
-    console.log(`Migrating data from version ${fromVersion} to ${toVersion}`);
+function applyMigrations(data, fromVersion, toVersion) {
+    let migrated = { ...data };
 
     for (let v = fromVersion; v < toVersion; v++) {
         if (migrations[v]) {
-            const result = migrations[v]({ opportunities, tasks });
+            const result = migrations[v](migrated);
             if (result) {
-                opportunities = result.opportunities || opportunities;
-                tasks = result.tasks || tasks;
+                migrated = { ...migrated, ...result };
             }
         }
     }
 
-    // Save migrated data
-    saveOpportunitiesToStorage();
-    saveTasksToStorage();
+    return migrated;
+}
+
+function migrateData(fromVersion, toVersion) {
+    console.log(`Migrating data from version ${fromVersion} to ${toVersion}`);
 
-    console.log('Data migration completed successfully');
+    const result = applyMigrations({ opportunities, tasks, accounts }, fromVersion, toVersion);
+    opportunities = result.opportunities;
+    tasks = result.tasks;
+    accounts = result.accounts;
+
+    // Save migrated data
+    return Promise.all([saveOpportunitiesToStorage(), saveTasksToStorage(), saveAccountsToStorage()]).then(() => {
+        console.log('Data migration completed successfully');
+    });
 }
 
 // ===========================
@@ -138,12 +529,36 @@ function generateOpportunityID() {
     return `OP-${year}-${random}-${timestamp}`;
 }
 
+function generateAuditID() {
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    const timestamp = Date.now();
+    return `AUD-${random}-${timestamp}`;
+}
+
 function generateTaskID() {
     const random = Math.random().toString(36).substring(2, 7).toUpperCase();
     const timestamp = Date.now();
     return `TSK-${random}-${timestamp}`;
 }
 
+function generateAccountID() {
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    const timestamp = Date.now();
+    return `ACC-${random}-${timestamp}`;
+}
+
+function generateMemberID() {
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    const timestamp = Date.now();
+    return `TM-${random}-${timestamp}`;
+}
+
+function generateContactID() {
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    const timestamp = Date.now();
+    return `CON-${random}-${timestamp}`;
+}
+
 // ===========================
 // Utility Functions
 // ===========================
@@ -162,29 +577,36 @@ function debounce(func, delay) {
     };
 }
 
-function formatCurrency(amount) {
-    return amount.toLocaleString('en-US', {
+function formatCurrency(amount, currency = baseCurrency) {
+    return getCurrencySymbol(currency) + amount.toLocaleString('en-US', {
         minimumFractionDigits: 2,
         maximumFractionDigits: 2
     });
 }
 
-function checkStorageQuota() {
+async function checkStorageQuota() {
     try {
-        let totalSize = 0;
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key)) {
-                totalSize += localStorage[key].length + key.length;
+        let usedBytes = 0;
+        let limitBytes = 5 * 1024 * 1024; // Typical localStorage limit is 5-10MB
+
+        if (storageBackend === indexedDBBackend && navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usedBytes = estimate.usage || 0;
+            limitBytes = estimate.quota || limitBytes;
+        } else {
+            for (let key in localStorage) {
+                if (localStorage.hasOwnProperty(key)) {
+                    usedBytes += localStorage[key].length + key.length;
+                }
             }
         }
 
         // Convert to KB
-        const sizeInKB = totalSize / 1024;
+        const sizeInKB = usedBytes / 1024;
         const sizeInMB = sizeInKB / 1024;
 
-        // Typical localStorage limit is 5-10MB, warn at 80%
-        const estimatedLimit = 5 * 1024; // 5MB in KB
-        const usagePercent = (sizeInKB / estimatedLimit) * 100;
+        // Warn at 80% of the available quota
+        const usagePercent = (usedBytes / limitBytes) * 100;
 
         if (usagePercent > 80) {
             showWarning(`Storage is ${usagePercent.toFixed(1)}% full (${sizeInMB.toFixed(2)}MB). Consider exporting your data.`);
@@ -228,7 +650,10 @@ function exportToJSON() {
         version: DATA_VERSION,
         exportDate: new Date().toISOString(),
         opportunities: opportunities,
-        tasks: tasks
+        tasks: tasks,
+        accounts: accounts,
+        auditLog: auditLog,
+        qualificationModels: qualificationModels
     };
 
     const dataStr = JSON.stringify(data, null, 2);
@@ -250,19 +675,24 @@ function exportToCSV() {
     // Export opportunities to CSV
     const oppHeaders = ['ID', 'Name', 'Client', 'Industry', 'Sales Owner', 'Pre-Sales Owner', 'BA',
                         'Tech Type', 'Source', 'Date Identified', 'Expected Close', 'Stage', 'Status',
-                        'Deal Value', 'Probability', 'Expected Revenue', 'BANT Total', 'BANT %', 'BANT Summary'];
+                        'Deal Value', 'Currency', 'Probability', 'Expected Revenue', 'Qualification Model', 'Qualification Total',
+                        'Qualification %', 'Qualification Summary', 'Competition', 'Contact Name', 'Contact Email',
+                        'Qualification Scores', 'Outcome Reason', 'Outcome Notes', 'Winning Competitor'];
 
     let oppCSV = oppHeaders.join(',') + '\n';
 
-    opportunities.forEach(opp => {
+    // Rows follow the configured pipeline order
+    const orderedOpportunities = [...opportunities].sort((a, b) => getStageOrder(a.stage) - getStageOrder(b.stage));
+
+    orderedOpportunities.forEach(opp => {
         const row = [
             opp.id,
-            `"${opp.name}"`,
-            `"${opp.client}"`,
+            opp.name,
+            opp.client,
             opp.industry,
-            `"${opp.salesOwner || ''}"`,
-            `"${opp.preSalesOwner || ''}"`,
-            `"${opp.ba || ''}"`,
+            opp.salesOwner,
+            opp.preSalesOwner,
+            opp.ba,
             opp.techType,
             opp.source,
             opp.dateIdentified,
@@ -270,18 +700,27 @@ function exportToCSV() {
             opp.stage,
             opp.status,
             opp.dealValue,
+            opp.currency,
             opp.probability,
             opp.expectedRevenue.toFixed(2),
-            opp.bantTotal,
-            opp.bantPercent.toFixed(2),
-            opp.bantSummary
+            getQualificationModel(opp.qualificationModel).name,
+            opp.qualificationTotal,
+            opp.qualificationPercent.toFixed(2),
+            opp.qualificationSummary,
+            opp.competition,
+            opp.contactName,
+            opp.contactEmail,
+            formatQualificationScores(opp),
+            opp.outcomeReason,
+            opp.outcomeNotes,
+            opp.winningCompetitor
         ];
-        oppCSV += row.join(',') + '\n';
+        oppCSV += row.map(toCSVValue).join(',') + '\n';
     });
 
     // Export tasks to CSV
     const taskHeaders = ['ID', 'Opportunity ID', 'Task Name', 'Assigned To', 'Role', 'Task Type',
-                         'Start Date', 'Due Date', 'Status', 'Remarks'];
+                         'Start Date', 'Due Date', 'Status', 'Remarks', 'Depends On'];
 
     let taskCSV = taskHeaders.join(',') + '\n';
 
@@ -289,16 +728,17 @@ function exportToCSV() {
         const row = [
             task.id,
             task.opportunityId,
-            `"${task.taskName}"`,
-            `"${task.assignedTo || ''}"`,
+            task.taskName,
+            task.assignedTo,
             task.role,
             task.taskType,
-            task.startDate || '',
-            task.dueDate || '',
+            task.startDate,
+            task.dueDate,
             task.status,
-            `"${(task.remarks || '').replace(/"/g, '""')}"`
+            task.remarks,
+            (task.dependsOn || []).join(';')
         ];
-        taskCSV += row.join(',') + '\n';
+        taskCSV += row.map(toCSVValue).join(',') + '\n';
     });
 
     // Download opportunities CSV
@@ -310,6 +750,16 @@ function exportToCSV() {
     showSuccess('Data exported to CSV successfully!');
 }
 
+function toCSVValue(value) {
+    if (value === undefined || value === null) return '';
+    const str = String(value);
+    // Quote fields containing delimiters, quotes or line breaks
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
 function downloadCSV(csvContent, filename) {
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -347,29 +797,7 @@ function importFromJSON() {
                     showWarning('Importing older data format. Data will be migrated.');
                 }
 
-                // Confirm before overwriting
-                if (!confirm('This will replace all existing data. Are you sure you want to continue?')) {
-                    return;
-                }
-
-                opportunities = data.opportunities;
-                tasks = data.tasks;
-
-                // Migrate if needed
-                if (importVersion < DATA_VERSION) {
-                    migrateData(importVersion, DATA_VERSION);
-                } else {
-                    saveOpportunitiesToStorage();
-                    saveTasksToStorage();
-                }
-
-                // Refresh UI
-                renderOpportunities();
-                renderTasks();
-                updateTaskOpportunityFilters();
-                updateDashboard();
-
-                showSuccess('Data imported successfully!');
+                openJSONImportModal(applyMigrations(data, importVersion, DATA_VERSION), file.name);
             } catch (error) {
                 console.error('Import error:', error);
                 alert('Failed to import data. Please check the file format.');
@@ -424,1340 +852,7808 @@ function hideLoading() {
 }
 
 // ===========================
-// Undo/Redo Functions
+// JSON Import Merge Functions
 // ===========================
 
-function addToUndoStack(action) {
-    undoStack.push(action);
+let jsonImportState = null;
 
-    // Limit stack size
-    if (undoStack.length > MAX_UNDO_STACK) {
-        undoStack.shift();
-    }
-}
+const IMPORT_COLLECTION_TITLES = {
+    opportunities: 'Opportunities',
+    tasks: 'Tasks',
+    accounts: 'Accounts'
+};
 
-function undo() {
-    if (undoStack.length === 0) {
-        showWarning('Nothing to undo');
-        return;
-    }
+function openJSONImportModal(data, fileName) {
+    jsonImportState = {
+        data: data,
+        diff: {
+            opportunities: diffImportRecords(opportunities, data.opportunities),
+            tasks: diffImportRecords(tasks, data.tasks),
+            accounts: diffImportRecords(accounts, data.accounts || [])
+        }
+    };
 
-    const action = undoStack.pop();
+    document.getElementById('json-import-summary').textContent =
+        `${fileName} contains ${data.opportunities.length} opportunities, ${data.tasks.length} tasks and ${(data.accounts || []).length} accounts.`;
+    document.querySelector('input[name="json-import-mode"][value="merge"]').checked = true;
+    document.getElementById('json-merge-default').value = 'newest';
 
-    switch (action.type) {
-        case 'delete_opportunity':
-            // Restore opportunity and its tasks
-            opportunities.push(action.data.opportunity);
-            if (action.data.tasks && action.data.tasks.length > 0) {
-                tasks.push(...action.data.tasks);
-            }
-            saveOpportunitiesToStorage();
-            saveTasksToStorage();
-            renderOpportunities();
-            renderTasks();
-            updateTaskOpportunityFilters();
-            updateDashboard();
-            showSuccess('Opportunity restored');
-            break;
+    renderJSONImportPreview();
+    document.getElementById('json-import-modal').classList.add('active');
+}
 
-        case 'delete_task':
-            // Restore task
-            tasks.push(action.data.task);
-            saveTasksToStorage();
-            renderTasks();
-            updateDashboard();
-            showSuccess('Task restored');
-            break;
+function closeJSONImportModal() {
+    document.getElementById('json-import-modal').classList.remove('active');
+    jsonImportState = null;
+}
 
-        case 'bulk_delete_opportunities':
-            // Restore multiple opportunities
-            opportunities.push(...action.data.opportunities);
-            if (action.data.tasks && action.data.tasks.length > 0) {
-                tasks.push(...action.data.tasks);
-            }
-            saveOpportunitiesToStorage();
-            saveTasksToStorage();
-            renderOpportunities();
-            renderTasks();
-            updateTaskOpportunityFilters();
-            updateDashboard();
-            showSuccess(`${action.data.opportunities.length} opportunities restored`);
-            break;
+function getJSONImportMode() {
+    return document.querySelector('input[name="json-import-mode"]:checked').value;
+}
 
-        case 'bulk_delete_tasks':
-            // Restore multiple tasks
-            tasks.push(...action.data.tasks);
-            saveTasksToStorage();
-            renderTasks();
-            updateDashboard();
-            showSuccess(`${action.data.tasks.length} tasks restored`);
-            break;
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
     }
+    return JSON.stringify(value);
 }
 
-function showUndoToast(message) {
-    const toast = document.createElement('div');
-    toast.className = 'toast toast-success';
-    toast.innerHTML = `
-        <span>${escapeHtml(message)}</span>
-        <button class="btn-undo" onclick="undo(); this.parentElement.remove();">Undo</button>
-        <button class="toast-close" onclick="this.parentElement.remove()">×</button>
-    `;
-    document.body.appendChild(toast);
+function diffImportRecords(localRecords, incomingRecords) {
+    const diff = { added: [], unchanged: [], conflicts: [] };
 
-    setTimeout(() => {
-        if (toast.parentElement) {
-            toast.remove();
+    incomingRecords.forEach(incoming => {
+        const local = localRecords.find(record => record.id === incoming.id);
+
+        if (!local) {
+            diff.added.push(incoming);
+        } else if (stableStringify(local) === stableStringify(incoming)) {
+            diff.unchanged.push(incoming);
+        } else {
+            const fields = [...new Set([...Object.keys(local), ...Object.keys(incoming)])]
+                .filter(key => key !== 'updatedAt' && stableStringify(local[key]) !== stableStringify(incoming[key]));
+            diff.conflicts.push({ local: local, incoming: incoming, fields: fields });
         }
-    }, 8000);
-}
+    });
 
-// ===========================
-// Sorting Functions
-// ===========================
+    return diff;
+}
 
-function sortOpportunities(column) {
-    // Toggle direction if clicking same column
-    if (opportunitySortColumn === column) {
-        opportunitySortDirection = opportunitySortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-        opportunitySortColumn = column;
-        opportunitySortDirection = 'asc';
+function resolveMergeConflict(conflict, resolution) {
+    if (resolution === 'incoming') {
+        return conflict.incoming;
     }
+    if (resolution === 'newest') {
+        // Records without a timestamp count as oldest, so ties keep the local copy
+        const localTime = Date.parse(conflict.local.updatedAt) || 0;
+        const incomingTime = Date.parse(conflict.incoming.updatedAt) || 0;
+        return incomingTime > localTime ? conflict.incoming : conflict.local;
+    }
+    return conflict.local;
+}
 
-    opportunities.sort((a, b) => {
-        let aVal, bVal;
+function renderJSONImportPreview() {
+    if (!jsonImportState) return;
 
-        switch (column) {
-            case 'id':
-                aVal = a.id;
-                bVal = b.id;
-                break;
-            case 'name':
-                aVal = a.name.toLowerCase();
-                bVal = b.name.toLowerCase();
-                break;
-            case 'client':
-                aVal = a.client.toLowerCase();
-                bVal = b.client.toLowerCase();
-                break;
-            case 'industry':
-                aVal = a.industry;
-                bVal = b.industry;
-                break;
-            case 'stage':
-                aVal = a.stage;
-                bVal = b.stage;
-                break;
-            case 'status':
-                aVal = a.status;
-                bVal = b.status;
-                break;
-            case 'dealValue':
-                aVal = a.dealValue;
-                bVal = b.dealValue;
-                break;
-            case 'probability':
-                aVal = a.probability;
-                bVal = b.probability;
-                break;
-            case 'expectedRevenue':
-                aVal = a.expectedRevenue;
-                bVal = b.expectedRevenue;
-                break;
-            case 'bantPercent':
-                aVal = a.bantPercent;
-                bVal = b.bantPercent;
-                break;
-            case 'bantSummary':
-                aVal = a.bantSummary;
-                bVal = b.bantSummary;
-                break;
-            default:
-                return 0;
+    const isMerge = getJSONImportMode() === 'merge';
+    document.getElementById('json-merge-preview').style.display = isMerge ? 'block' : 'none';
+    document.getElementById('json-replace-warning').style.display = isMerge ? 'none' : 'block';
+    document.getElementById('json-import-submit').textContent = isMerge ? 'Merge Data' : 'Replace Data';
+
+    if (!isMerge) return;
+
+    const defaultResolution = document.getElementById('json-merge-default').value;
+    const container = document.getElementById('json-merge-conflicts');
+    container.innerHTML = '';
+
+    ['opportunities', 'tasks', 'accounts'].forEach(type => {
+        const diff = jsonImportState.diff[type];
+        const title = IMPORT_COLLECTION_TITLES[type];
+
+        const section = document.createElement('div');
+        section.className = 'merge-section';
+        section.innerHTML = `
+            <h3>${title}</h3>
+            <div class="merge-counts">
+                <span class="badge badge-won">${diff.added.length} new</span>
+                <span class="badge badge-open">${diff.unchanged.length} unchanged</span>
+                <span class="badge badge-hold">${diff.conflicts.length} conflicting</span>
+            </div>
+        `;
+
+        if (diff.conflicts.length > 0) {
+            const table = document.createElement('table');
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th>Record</th>
+                        <th>Changed Fields</th>
+                        <th>Local Updated</th>
+                        <th>Incoming Updated</th>
+                        <th>Resolution</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            `;
+            const tbody = table.querySelector('tbody');
+
+            diff.conflicts.forEach((conflict, index) => {
+                const name = type === 'tasks' ? conflict.local.taskName : conflict.local.name;
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td><strong>${escapeHtml(conflict.local.id)}</strong><br>${escapeHtml(name || '')}</td>
+                    <td>${escapeHtml(conflict.fields.join(', ') || 'Timestamp only')}</td>
+                    <td>${escapeHtml(formatTimestamp(conflict.local.updatedAt))}</td>
+                    <td>${escapeHtml(formatTimestamp(conflict.incoming.updatedAt))}</td>
+                    <td>
+                        <select class="filter-select merge-resolution" data-type="${type}" data-index="${index}">
+                            <option value="local">Keep local</option>
+                            <option value="incoming">Take incoming</option>
+                            <option value="newest">Newest wins</option>
+                        </select>
+                    </td>
+                `;
+                row.querySelector('select').value = defaultResolution;
+                tbody.appendChild(row);
+            });
+
+            const tableContainer = document.createElement('div');
+            tableContainer.className = 'table-container';
+            tableContainer.appendChild(table);
+            section.appendChild(tableContainer);
         }
 
-        if (aVal < bVal) return opportunitySortDirection === 'asc' ? -1 : 1;
-        if (aVal > bVal) return opportunitySortDirection === 'asc' ? 1 : -1;
-        return 0;
+        container.appendChild(section);
     });
+}
 
-    renderOpportunities();
-    updateSortIndicators('opportunities', column, opportunitySortDirection);
+function formatTimestamp(timestamp) {
+    if (!timestamp) return 'Unknown';
+    const date = new Date(timestamp);
+    return isNaN(date.getTime()) ? 'Unknown' : date.toLocaleString();
 }
 
-function sortTasks(column) {
-    // Toggle direction if clicking same column
-    if (taskSortColumn === column) {
-        taskSortDirection = taskSortDirection === 'asc' ? 'desc' : 'asc';
+function applyJSONImport() {
+    if (!jsonImportState) return;
+
+    if (getJSONImportMode() === 'merge') {
+        mergeImportedData();
     } else {
-        taskSortColumn = column;
-        taskSortDirection = 'asc';
+        replaceWithImportedData();
     }
+}
 
-    tasks.sort((a, b) => {
-        let aVal, bVal;
+function replaceWithImportedData() {
+    // Confirm before overwriting
+    if (!confirm('This will replace all existing data. Are you sure you want to continue?')) {
+        return;
+    }
 
-        switch (column) {
-            case 'id':
-                aVal = a.id;
-                bVal = b.id;
-                break;
-            case 'taskName':
-                aVal = a.taskName.toLowerCase();
-                bVal = b.taskName.toLowerCase();
-                break;
-            case 'assignedTo':
-                aVal = (a.assignedTo || '').toLowerCase();
-                bVal = (b.assignedTo || '').toLowerCase();
-                break;
-            case 'role':
-                aVal = a.role;
-                bVal = b.role;
-                break;
-            case 'taskType':
-                aVal = a.taskType;
-                bVal = b.taskType;
-                break;
-            case 'startDate':
-                aVal = a.startDate || '';
-                bVal = b.startDate || '';
-                break;
-            case 'dueDate':
-                aVal = a.dueDate || '';
-                bVal = b.dueDate || '';
-                break;
-            case 'status':
-                aVal = a.status;
-                bVal = b.status;
-                break;
-            default:
-                return 0;
-        }
+    // The incoming audit log replaces ours, so the replaced records are not audited individually;
+    // undoing the import audits each restored record instead of rolling the log back
+    const changes = [
+        ...diffCollections('opportunity', opportunities, jsonImportState.data.opportunities),
+        ...diffCollections('task', tasks, jsonImportState.data.tasks),
+        ...diffCollections('account', accounts, jsonImportState.data.accounts || [])
+    ];
 
-        if (aVal < bVal) return taskSortDirection === 'asc' ? -1 : 1;
-        if (aVal > bVal) return taskSortDirection === 'asc' ? 1 : -1;
-        return 0;
+    addMissingQualificationModels(jsonImportState.data.qualificationModels || []);
+    opportunities = jsonImportState.data.opportunities;
+    tasks = jsonImportState.data.tasks;
+    accounts = jsonImportState.data.accounts || [];
+    replaceAuditLog(jsonImportState.data.auditLog || []);
+
+    addToUndoStack({
+        type: 'replace_import',
+        description: 'Replace data from JSON import',
+        changes: changes
     });
 
-    renderTasks();
-    updateSortIndicators('tasks', column, taskSortDirection);
+    saveOpportunitiesToStorage();
+    saveTasksToStorage();
+    saveAccountsToStorage();
+
+    closeJSONImportModal();
+    refreshAllViews();
+
+    showUndoToast('Data imported successfully!');
 }
 
-function updateSortIndicators(table, column, direction) {
-    const tableId = table === 'opportunities' ? 'opportunities-table' : 'tasks-table';
-    const headers = document.querySelectorAll(`#${tableId} th`);
+function diffCollections(entityType, current, next) {
+    const changes = [];
 
-    headers.forEach(th => {
-        th.classList.remove('sorted-asc', 'sorted-desc');
-        const sortIcon = th.querySelector('.sort-icon');
-        if (sortIcon) {
-            sortIcon.remove();
+    current.forEach(record => {
+        const replacement = next.find(item => item.id === record.id) || null;
+        if (stableStringify(record) !== stableStringify(replacement)) {
+            changes.push({ entityType: entityType, before: cloneRecord(record), after: cloneRecord(replacement) });
         }
     });
+    next.filter(record => !current.find(item => item.id === record.id)).forEach(record => {
+        changes.push({ entityType: entityType, before: null, after: cloneRecord(record) });
+    });
 
-    const columnMap = {
-        opportunities: {
-            'id': 0, 'name': 1, 'client': 2, 'industry': 3, 'stage': 4,
-            'status': 5, 'dealValue': 6, 'probability': 7, 'expectedRevenue': 8,
-            'bantPercent': 9, 'bantSummary': 10
-        },
-        tasks: {
-            'id': 0, 'taskName': 2, 'assignedTo': 3, 'role': 4,
-            'taskType': 5, 'startDate': 6, 'dueDate': 7, 'status': 8
+    return changes;
+}
+
+function mergeImportedData() {
+    const changes = [];
+    const counts = { added: 0, replaced: 0 };
+    const entityTypes = { opportunities: 'opportunity', tasks: 'task', accounts: 'account' };
+
+    document.querySelectorAll('.merge-resolution').forEach(select => {
+        const type = select.dataset.type;
+        const conflict = jsonImportState.diff[type].conflicts[parseInt(select.dataset.index)];
+        const collection = getEntityRecords(entityTypes[type]);
+
+        const winner = resolveMergeConflict(conflict, select.value);
+        if (winner === conflict.incoming) {
+            const index = collection.findIndex(record => record.id === conflict.local.id);
+            recordChange(changes, entityTypes[type], 'import', conflict.local, conflict.incoming);
+            collection[index] = conflict.incoming;
+            counts.replaced++;
         }
-    };
+    });
 
-    const colIndex = columnMap[table][column];
-    if (colIndex !== undefined) {
-        const header = headers[colIndex];
-        header.classList.add(`sorted-${direction}`);
+    mergeAuditLog(jsonImportState.data.auditLog || []);
+    addMissingQualificationModels(jsonImportState.data.qualificationModels || []);
+
+    // A new account spelled like an existing one is folded into it
+    const accountIdMap = {};
+    jsonImportState.diff.accounts.added.forEach(account => {
+        const match = findAccountByName(accounts, account.name);
+        if (match) {
+            const merged = { ...match, contacts: [...match.contacts, ...account.contacts.filter(contact => !match.contacts.some(existing => existing.id === contact.id))] };
+            recordChange(changes, 'account', 'import', match, merged);
+            accounts[accounts.indexOf(match)] = merged;
+            accountIdMap[account.id] = match.id;
+        } else {
+            recordChange(changes, 'account', 'import', null, account);
+            accounts.push(account);
+        }
+    });
 
-        const icon = document.createElement('span');
-        icon.className = 'sort-icon';
-        icon.textContent = direction === 'asc' ? ' ▲' : ' ▼';
-        header.appendChild(icon);
-    }
+    jsonImportState.diff.opportunities.added.forEach(incoming => {
+        const opp = accountIdMap[incoming.accountId] ? { ...incoming, accountId: accountIdMap[incoming.accountId] } : incoming;
+        recordChange(changes, 'opportunity', 'import', null, opp);
+        opportunities.push(opp);
+    });
+    jsonImportState.diff.tasks.added.forEach(task => {
+        recordChange(changes, 'task', 'import', null, task);
+        tasks.push(task);
+    });
+    counts.added = jsonImportState.diff.opportunities.added.length + jsonImportState.diff.tasks.added.length +
+        jsonImportState.diff.accounts.added.length;
+
+    // Add to undo stack
+    addToUndoStack({
+        type: 'merge_import',
+        description: `Merge JSON import (${counts.added} added, ${counts.replaced} updated)`,
+        changes: changes
+    });
+
+    saveOpportunitiesToStorage();
+    saveTasksToStorage();
+    saveAccountsToStorage();
+
+    closeJSONImportModal();
+    refreshAllViews();
+
+    showUndoToast(`Merged data: ${counts.added} added, ${counts.replaced} updated`);
 }
 
 // ===========================
-// Bulk Operations Functions
+// CSV Import Functions
 // ===========================
 
-function toggleOpportunitySelection(id) {
-    if (selectedOpportunities.has(id)) {
-        selectedOpportunities.delete(id);
-    } else {
-        selectedOpportunities.add(id);
-    }
-    updateBulkActionsUI('opportunities');
+const CSV_IMPORT_FIELDS = {
+    opportunities: [
+        { key: 'id', label: 'ID', aliases: ['opportunity id'] },
+        { key: 'name', label: 'Name', required: true, aliases: ['opportunity name', 'opportunity'] },
+        { key: 'client', label: 'Client', required: true, aliases: ['client / account name', 'account', 'account name', 'customer'] },
+        { key: 'industry', label: 'Industry' },
+        { key: 'salesOwner', label: 'Sales Owner' },
+        { key: 'preSalesOwner', label: 'Pre-Sales Owner', aliases: ['presales owner'] },
+        { key: 'ba', label: 'BA', aliases: ['business analyst'] },
+        { key: 'techType', label: 'Tech Type' },
+        { key: 'source', label: 'Source' },
+        { key: 'dateIdentified', label: 'Date Identified' },
+        { key: 'expectedClose', label: 'Expected Close', aliases: ['expected close date', 'close date'] },
+        { key: 'stage', label: 'Stage' },
+        { key: 'status', label: 'Status' },
+        { key: 'dealValue', label: 'Deal Value', aliases: ['estimated deal value', 'amount', 'value'] },
+        { key: 'currency', label: 'Currency', aliases: ['currency code'] },
+        { key: 'probability', label: 'Probability', aliases: ['probability (%)'] },
+        { key: 'competition', label: 'Competition' },
+        { key: 'contactName', label: 'Contact Name', aliases: ['key contact name', 'contact'] },
+        { key: 'contactEmail', label: 'Contact Email', aliases: ['email'] },
+        { key: 'outcomeReason', label: 'Outcome Reason', aliases: ['win/loss reason', 'reason'] },
+        { key: 'outcomeNotes', label: 'Outcome Notes', aliases: ['win/loss notes'] },
+        { key: 'winningCompetitor', label: 'Winning Competitor' },
+        { key: 'qualificationModel', label: 'Qualification Model', aliases: ['qualification framework', 'model'] },
+        { key: 'qualificationScores', label: 'Qualification Scores', aliases: ['scores'] },
+        { key: 'bantBudget', label: 'BANT Budget', aliases: ['budget'] },
+        { key: 'bantAuthority', label: 'BANT Authority', aliases: ['authority'] },
+        { key: 'bantNeed', label: 'BANT Need', aliases: ['need'] },
+        { key: 'bantTimeline', label: 'BANT Timeline', aliases: ['timeline'] }
+    ],
+    tasks: [
+        { key: 'id', label: 'ID', aliases: ['task id'] },
+        { key: 'opportunityId', label: 'Opportunity ID' },
+        { key: 'opportunityName', label: 'Opportunity Name', aliases: ['opportunity'] },
+        { key: 'taskName', label: 'Task Name', required: true, aliases: ['task', 'name'] },
+        { key: 'assignedTo', label: 'Assigned To', aliases: ['assignee', 'owner'] },
+        { key: 'role', label: 'Role' },
+        { key: 'taskType', label: 'Task Type', aliases: ['type'] },
+        { key: 'startDate', label: 'Start Date' },
+        { key: 'dueDate', label: 'Due Date' },
+        { key: 'status', label: 'Status' },
+        { key: 'remarks', label: 'Remarks', aliases: ['notes', 'comments'] },
+        { key: 'dependsOn', label: 'Depends On', aliases: ['dependencies', 'predecessors'] }
+    ]
+};
+
+// Exported columns that are derived on save and therefore never imported
+const CSV_CALCULATED_HEADERS = ['expected revenue', 'qualification total', 'qualification %', 'qualification summary',
+                                'bant total', 'bant %', 'bant summary'];
+
+let csvImportState = null;
+
+function openCSVImportModal() {
+    csvImportState = null;
+    document.getElementById('csv-import-file').value = '';
+    document.getElementById('csv-import-type').value = 'opportunities';
+    document.getElementById('csv-import-existing').value = 'update';
+    document.getElementById('csv-mapping-section').style.display = 'none';
+    document.getElementById('csv-mapping-tbody').innerHTML = '';
+    document.getElementById('csv-import-report').innerHTML = '';
+    document.getElementById('csv-import-submit').disabled = true;
+    document.getElementById('csv-import-modal').classList.add('active');
 }
 
-function toggleTaskSelection(id) {
-    if (selectedTasks.has(id)) {
-        selectedTasks.delete(id);
-    } else {
-        selectedTasks.add(id);
-    }
-    updateBulkActionsUI('tasks');
+function closeCSVImportModal() {
+    document.getElementById('csv-import-modal').classList.remove('active');
+    csvImportState = null;
 }
 
-function toggleSelectAllOpportunities() {
-    const tbody = document.getElementById('opportunities-tbody');
-    const checkboxes = tbody.querySelectorAll('input[type="checkbox"]');
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
 
-    if (selectedOpportunities.size === checkboxes.length) {
-        // Deselect all
-        selectedOpportunities.clear();
-    } else {
-        // Select all
-        checkboxes.forEach(cb => {
-            selectedOpportunities.add(cb.dataset.id);
-        });
+    // Strip the byte order mark some spreadsheet tools prepend
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
     }
 
-    updateBulkActionsUI('opportunities');
-    renderOpportunities();
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
 }
 
-function toggleSelectAllTasks() {
-    const tbody = document.getElementById('tasks-tbody');
-    const checkboxes = tbody.querySelectorAll('input[type="checkbox"]');
+function handleCSVFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    if (selectedTasks.size === checkboxes.length) {
-        // Deselect all
-        selectedTasks.clear();
-    } else {
-        // Select all
-        checkboxes.forEach(cb => {
-            selectedTasks.add(cb.dataset.id);
-        });
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const rows = parseCSV(e.target.result);
+
+        if (rows.length < 2) {
+            alert('The CSV file must contain a header row and at least one data row.');
+            return;
+        }
+
+        csvImportState = {
+            fileName: file.name,
+            headers: rows[0].map(header => header.trim()),
+            rows: rows.slice(1)
+        };
+
+        document.getElementById('csv-import-type').value = detectCSVImportType(file.name, csvImportState.headers);
+        document.getElementById('csv-import-report').innerHTML = '';
+        renderCSVMapping();
+    };
+    reader.readAsText(file);
+}
+
+function detectCSVImportType(fileName, headers) {
+    if (fileName.toLowerCase().startsWith('tasks')) {
+        return 'tasks';
+    }
+    if (fileName.toLowerCase().startsWith('opportunities')) {
+        return 'opportunities';
     }
 
-    updateBulkActionsUI('tasks');
-    renderTasks();
+    const normalized = headers.map(normalizeCSVHeader);
+    return normalized.includes('taskname') ? 'tasks' : 'opportunities';
 }
 
-function updateBulkActionsUI(type) {
-    const selectedCount = type === 'opportunities' ? selectedOpportunities.size : selectedTasks.size;
-    const bulkActionsId = type === 'opportunities' ? 'opp-bulk-actions' : 'task-bulk-actions';
-    const bulkActions = document.getElementById(bulkActionsId);
+function normalizeCSVHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9%]/g, '');
+}
 
-    if (selectedCount > 0) {
-        bulkActions.style.display = 'flex';
-        bulkActions.querySelector('.selected-count').textContent = `${selectedCount} selected`;
-    } else {
-        bulkActions.style.display = 'none';
-    }
+function autoMapCSVHeader(header, type) {
+    const normalized = normalizeCSVHeader(header);
+    const match = CSV_IMPORT_FIELDS[type].find(field =>
+        [field.key, field.label, ...(field.aliases || [])].some(name => normalizeCSVHeader(name) === normalized)
+    );
+    return match ? match.key : '';
 }
 
-function bulkDeleteOpportunities() {
-    if (selectedOpportunities.size === 0) return;
+function renderCSVMapping() {
+    if (!csvImportState) return;
 
-    if (!confirm(`Delete ${selectedOpportunities.size} opportunities and their associated tasks?`)) {
-        return;
-    }
+    const type = document.getElementById('csv-import-type').value;
+    const tbody = document.getElementById('csv-mapping-tbody');
+    tbody.innerHTML = '';
 
-    const deletedOpportunities = [];
-    const deletedTasks = [];
+    csvImportState.headers.forEach((header, index) => {
+        const sample = csvImportState.rows.find(row => (row[index] || '').trim() !== '');
+        const isCalculated = CSV_CALCULATED_HEADERS.includes(header.toLowerCase());
+        const mappedKey = isCalculated ? '' : autoMapCSVHeader(header, type);
 
-    selectedOpportunities.forEach(id => {
-        const opp = opportunities.find(o => o.id === id);
-        if (opp) {
-            deletedOpportunities.push(opp);
-            const oppTasks = tasks.filter(t => t.opportunityId === id);
-            deletedTasks.push(...oppTasks);
-        }
+        const options = CSV_IMPORT_FIELDS[type].map(field =>
+            `<option value="${field.key}" ${field.key === mappedKey ? 'selected' : ''}>${escapeHtml(field.label)}${field.required ? ' *' : ''}</option>`
+        ).join('');
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><strong>${escapeHtml(header || `Column ${index + 1}`)}</strong></td>
+            <td class="csv-sample">${escapeHtml(sample ? sample[index] : '')}</td>
+            <td>
+                <select class="filter-select csv-mapping-select" data-column="${index}">
+                    <option value="">${isCalculated ? '(Recalculated on import)' : '(Ignore column)'}</option>
+                    ${options}
+                </select>
+            </td>
+        `;
+        tbody.appendChild(row);
     });
 
-    // Add to undo stack
-    addToUndoStack({
-        type: 'bulk_delete_opportunities',
-        data: {
-            opportunities: deletedOpportunities,
-            tasks: deletedTasks
+    document.getElementById('csv-mapping-section').style.display = 'block';
+    document.getElementById('csv-import-submit').disabled = false;
+}
+
+function getCSVColumnMapping() {
+    const mapping = {};
+    document.querySelectorAll('.csv-mapping-select').forEach(select => {
+        if (select.value) {
+            mapping[select.value] = parseInt(select.dataset.column);
         }
     });
+    return mapping;
+}
 
-    // Delete opportunities
-    opportunities = opportunities.filter(opp => !selectedOpportunities.has(opp.id));
-    tasks = tasks.filter(task => !deletedOpportunities.find(opp => opp.id === task.opportunityId));
+function getSelectOptionValues(selectId) {
+    return Array.from(document.getElementById(selectId).options)
+        .map(option => option.value)
+        .filter(value => value !== '');
+}
 
-    selectedOpportunities.clear();
+function matchCSVOption(value, allowed, fallback) {
+    const match = allowed.find(option => option.toLowerCase() === value.toLowerCase());
+    if (match) return match;
+    return fallback;
+}
 
-    saveOpportunitiesToStorage();
-    saveTasksToStorage();
-    renderOpportunities();
-    renderTasks();
-    updateTaskOpportunityFilters();
-    updateDashboard();
-    updateBulkActionsUI('opportunities');
+function coerceCSVNumber(value) {
+    const cleaned = value.replace(/[$€£₹,%\s]/g, '');
+    const number = Number(cleaned);
+    return cleaned === '' || isNaN(number) ? null : number;
+}
 
-    showUndoToast(`${deletedOpportunities.length} opportunities deleted`);
+function coerceCSVDate(value) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : formatDate(date);
 }
 
-function bulkDeleteTasks() {
-    if (selectedTasks.size === 0) return;
+function importCSVRows() {
+    if (!csvImportState) return;
 
-    if (!confirm(`Delete ${selectedTasks.size} tasks?`)) {
+    const type = document.getElementById('csv-import-type').value;
+    const existingMode = document.getElementById('csv-import-existing').value;
+    const mapping = getCSVColumnMapping();
+
+    const missingRequired = CSV_IMPORT_FIELDS[type].filter(field => field.required && mapping[field.key] === undefined);
+    if (missingRequired.length > 0) {
+        alert(`Please map the required column(s): ${missingRequired.map(field => field.label).join(', ')}`);
+        return;
+    }
+    if (type === 'tasks' && mapping.opportunityId === undefined && mapping.opportunityName === undefined) {
+        alert('Please map either the Opportunity ID or the Opportunity Name column.');
         return;
     }
 
-    const deletedTasks = [];
+    const result = { created: 0, updated: 0, rejected: [] };
+    const collection = type === 'opportunities' ? opportunities : tasks;
+    const changes = [];
+
+    csvImportState.rows.forEach((cells, index) => {
+        // Spreadsheet row number: header is row 1
+        const rowNumber = index + 2;
+        if (cells.every(cell => cell.trim() === '')) return;
+
+        // Blank cells leave the field at its current (or default) value
+        const values = {};
+        Object.keys(mapping).forEach(key => {
+            const value = (cells[mapping[key]] || '').trim();
+            if (value !== '') {
+                values[key] = value;
+            }
+        });
 
-    selectedTasks.forEach(id => {
-        const task = tasks.find(t => t.id === id);
-        if (task) {
-            deletedTasks.push(task);
+        const existing = values.id ? collection.find(record => record.id === values.id) : null;
+        if (existing && existingMode === 'skip') {
+            result.rejected.push({ row: rowNumber, reasons: [`ID ${values.id} already exists`] });
+            return;
         }
-    });
 
-    // Add to undo stack
-    addToUndoStack({
-        type: 'bulk_delete_tasks',
-        data: { tasks: deletedTasks }
+        const built = type === 'opportunities'
+            ? buildOpportunityFromCSV(values, existing)
+            : buildTaskFromCSV(values, existing);
+
+        if (built.errors.length > 0) {
+            result.rejected.push({ row: rowNumber, reasons: built.errors });
+            return;
+        }
+
+        const entityType = type === 'opportunities' ? 'opportunity' : 'task';
+        if (type === 'opportunities') {
+            linkOpportunityToAccount(built.record, changes);
+        }
+        if (existing) {
+            recordChange(changes, entityType, 'import', existing, built.record);
+            Object.assign(existing, built.record);
+            result.updated++;
+        } else {
+            recordChange(changes, entityType, 'import', null, built.record);
+            collection.push(built.record);
+            result.created++;
+        }
     });
 
-    // Delete tasks
-    tasks = tasks.filter(task => !selectedTasks.has(task.id));
+    if (result.created > 0 || result.updated > 0) {
+        addToUndoStack({
+            type: 'csv_import',
+            description: `CSV import of ${result.created + result.updated} ${type}`,
+            changes: changes
+        });
 
-    selectedTasks.clear();
+        if (type === 'opportunities') {
+            saveOpportunitiesToStorage();
+            saveAccountsToStorage();
+        } else {
+            saveTasksToStorage();
+        }
 
-    saveTasksToStorage();
-    renderTasks();
-    updateDashboard();
-    updateBulkActionsUI('tasks');
+        refreshAllViews();
 
-    showUndoToast(`${deletedTasks.length} tasks deleted`);
+        // Importing the same rows again would duplicate every row without an ID
+        document.getElementById('csv-import-submit').disabled = true;
+    }
+
+    renderCSVImportReport(type, result);
 }
 
-function bulkUpdateOpportunityStatus(newStatus) {
-    if (selectedOpportunities.size === 0) return;
+function buildOpportunityFromCSV(values, existing) {
+    const errors = [];
+    const opp = existing ? { ...existing, qualification: { ...existing.qualification } } : {
+        id: values.id || generateOpportunityID(),
+        name: '',
+        client: '',
+        industry: getSelectOptionValues('opp-industry')[0],
+        salesOwner: '',
+        preSalesOwner: '',
+        ba: '',
+        techType: getSelectOptionValues('opp-tech-type')[0],
+        source: getSelectOptionValues('opp-source')[0],
+        dateIdentified: '',
+        expectedClose: '',
+        stage: getSelectOptionValues('opp-stage')[0],
+        status: getSelectOptionValues('opp-status')[0],
+        dealValue: 0,
+        currency: baseCurrency,
+        probability: 0,
+        competition: '',
+        contactName: '',
+        contactEmail: '',
+        qualificationModel: qualificationModels[0].id,
+        qualification: {}
+    };
 
-    selectedOpportunities.forEach(id => {
-        const opp = opportunities.find(o => o.id === id);
-        if (opp) {
-            opp.status = newStatus;
+    ['name', 'client', 'salesOwner', 'preSalesOwner', 'ba', 'competition', 'contactName', 'contactEmail',
+     'outcomeNotes', 'winningCompetitor'].forEach(key => {
+        if (values[key] !== undefined) {
+            opp[key] = values[key];
         }
     });
 
-    selectedOpportunities.clear();
-
-    saveOpportunitiesToStorage();
+    if (!opp.name) errors.push('Name is required');
+    if (!opp.client) errors.push('Client is required');
+
+    // Industry and tech type have an "Other" bucket; the remaining lists are strict
+    const enumFields = [
+        { key: 'industry', selectId: 'opp-industry', label: 'Industry', fallback: 'Other' },
+        { key: 'techType', selectId: 'opp-tech-type', label: 'Tech type', fallback: 'Other' },
+        { key: 'source', selectId: 'opp-source', label: 'Source', fallback: null },
+        { key: 'status', selectId: 'opp-status', label: 'Status', fallback: null },
+        { key: 'currency', selectId: 'opp-currency', label: 'Currency', fallback: null },
+        { key: 'outcomeReason', selectId: 'opp-outcome-reason', label: 'Outcome reason', fallback: 'Other' }
+    ];
+    enumFields.forEach(field => {
+        if (values[field.key] === undefined) return;
+        const matched = matchCSVOption(values[field.key], getSelectOptionValues(field.selectId), field.fallback);
+        if (matched === null) {
+            errors.push(`${field.label} "${values[field.key]}" is not recognised`);
+        } else {
+            opp[field.key] = matched;
+        }
+    });
+
+    // Any configured stage is accepted, including retired ones, so exports round-trip
+    if (values.stage !== undefined) {
+        const matched = matchCSVOption(values.stage, pipelineStages.map(stage => stage.name), null);
+        if (matched === null) {
+            errors.push(`Stage "${values.stage}" is not recognised`);
+        } else {
+            opp.stage = matched;
+        }
+    }
+
+    ['dateIdentified', 'expectedClose'].forEach(key => {
+        if (values[key] === undefined) return;
+        const date = coerceCSVDate(values[key]);
+        if (date === null) {
+            errors.push(`Date "${values[key]}" is not valid`);
+        } else {
+            opp[key] = date;
+        }
+    });
+
+    if (values.dealValue !== undefined) {
+        const dealValue = coerceCSVNumber(values.dealValue);
+        if (dealValue === null || dealValue < 0) {
+            errors.push(`Deal value "${values.dealValue}" is not a valid amount`);
+        } else {
+            opp.dealValue = dealValue;
+        }
+    }
+
+    if (values.probability !== undefined) {
+        const probability = coerceCSVNumber(values.probability);
+        if (probability === null || probability < 0 || probability > 100) {
+            errors.push(`Probability "${values.probability}" must be between 0 and 100`);
+        } else {
+            opp.probability = probability;
+        }
+    }
+
+    if (values.qualificationModel !== undefined) {
+        const wanted = values.qualificationModel.toLowerCase();
+        const model = qualificationModels.find(m => m.id.toLowerCase() === wanted || m.name.toLowerCase() === wanted);
+        if (!model) {
+            errors.push(`Qualification model "${values.qualificationModel}" is not recognised`);
+        } else if (model.id !== opp.qualificationModel) {
+            // Only criteria shared with the new model keep their scores
+            opp.qualificationModel = model.id;
+            opp.qualification = Object.fromEntries(model.criteria
+                .filter(criterion => opp.qualification[criterion.key] !== undefined)
+                .map(criterion => [criterion.key, opp.qualification[criterion.key]]));
+        }
+    }
+    const model = getQualificationModel(opp.qualificationModel);
+
+    const setScore = (key, rawScore, label) => {
+        const score = Number(rawScore);
+        if (!Number.isInteger(score) || score < QUALIFICATION_SCORE_MIN || score > QUALIFICATION_SCORE_MAX) {
+            errors.push(`${label} "${rawScore}" must be a whole number from ${QUALIFICATION_SCORE_MIN} to ${QUALIFICATION_SCORE_MAX}`);
+        } else {
+            opp.qualification[key] = score;
+        }
+    };
+
+    // Scores are written as "Label=score; Label=score"
+    if (values.qualificationScores !== undefined) {
+        values.qualificationScores.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [label, rawScore = ''] = part.split(/[=:]/).map(piece => piece.trim());
+            const criterion = model.criteria.find(c => c.key.toLowerCase() === label.toLowerCase() || c.label.toLowerCase() === label.toLowerCase());
+            if (!criterion) {
+                errors.push(`Criterion "${label}" is not part of ${model.name}`);
+            } else {
+                setScore(criterion.key, rawScore, `${model.name} ${criterion.label}`);
+            }
+        });
+    }
+
+    // Spreadsheets predating qualification models carry one column per BANT score
+    const bantFields = { bantBudget: 'budget', bantAuthority: 'authority', bantNeed: 'need', bantTimeline: 'timeline' };
+    Object.keys(bantFields).forEach(key => {
+        if (values[key] !== undefined) {
+            setScore(bantFields[key], values[key], `BANT ${bantFields[key]}`);
+        }
+    });
+
+    opp.expectedRevenue = calculateExpectedRevenue(opp.dealValue, opp.probability);
+    applyQualification(opp, model);
+    opp.updatedAt = new Date().toISOString();
+    recordStageTransition(opp, opp.stage, opp.updatedAt);
+
+    return { record: opp, errors: errors };
+}
+
+function buildTaskFromCSV(values, existing) {
+    const errors = [];
+    const task = existing ? { ...existing } : {
+        id: values.id || generateTaskID(),
+        role: getSelectOptionValues('task-role')[0],
+        taskType: getSelectOptionValues('task-type')[0],
+        startDate: '',
+        dueDate: '',
+        status: getSelectOptionValues('task-status')[0],
+        assignedTo: '',
+        remarks: '',
+        dependsOn: []
+    };
+
+    ['taskName', 'assignedTo', 'remarks'].forEach(key => {
+        if (values[key] !== undefined) {
+            task[key] = values[key];
+        }
+    });
+
+    if (!task.taskName) errors.push('Task name is required');
+
+    // Resolve the opportunity by ID first, then by name
+    let opportunity = null;
+    if (values.opportunityId) {
+        opportunity = opportunities.find(opp => opp.id === values.opportunityId);
+    }
+    if (!opportunity && values.opportunityName) {
+        opportunity = opportunities.find(opp => opp.name.toLowerCase() === values.opportunityName.toLowerCase());
+    }
+    if (opportunity) {
+        task.opportunityId = opportunity.id;
+    } else if (values.opportunityId || values.opportunityName) {
+        errors.push(`Opportunity "${values.opportunityId || values.opportunityName}" was not found`);
+    } else if (!task.opportunityId) {
+        errors.push('Opportunity is required');
+    }
+
+    const enumFields = [
+        { key: 'role', selectId: 'task-role', label: 'Role' },
+        { key: 'taskType', selectId: 'task-type', label: 'Task type' },
+        { key: 'status', selectId: 'task-status', label: 'Status' }
+    ];
+    enumFields.forEach(field => {
+        if (values[field.key] === undefined) return;
+        const matched = matchCSVOption(values[field.key], getSelectOptionValues(field.selectId), null);
+        if (matched === null) {
+            errors.push(`${field.label} "${values[field.key]}" is not recognised`);
+        } else {
+            task[field.key] = matched;
+        }
+    });
+
+    ['startDate', 'dueDate'].forEach(key => {
+        if (values[key] === undefined) return;
+        const date = coerceCSVDate(values[key]);
+        if (date === null) {
+            errors.push(`Date "${values[key]}" is not valid`);
+        } else {
+            task[key] = date;
+        }
+    });
+
+    // Task IDs separated by semicolons
+    if (values.dependsOn !== undefined) {
+        task.dependsOn = values.dependsOn.split(';').map(id => id.trim()).filter(id => id && id !== task.id);
+    }
+
+    task.updatedAt = new Date().toISOString();
+
+    return { record: task, errors: errors };
+}
+
+function renderCSVImportReport(type, result) {
+    const label = type === 'opportunities' ? 'opportunities' : 'tasks';
+    const report = document.getElementById('csv-import-report');
+
+    let html = `<div class="import-summary">
+        <strong>${result.created}</strong> ${label} created,
+        <strong>${result.updated}</strong> updated,
+        <strong>${result.rejected.length}</strong> rows rejected.
+    </div>`;
+
+    if (result.rejected.length > 0) {
+        html += '<ul class="import-rejections">';
+        result.rejected.forEach(rejection => {
+            html += `<li><strong>Row ${rejection.row}:</strong> ${escapeHtml(rejection.reasons.join('; '))}</li>`;
+        });
+        html += '</ul>';
+    }
+
+    report.innerHTML = html;
+
+    if (result.created > 0 || result.updated > 0) {
+        showSuccess(`Imported ${result.created + result.updated} ${label} from CSV`);
+    }
+}
+
+// ===========================
+// Undo/Redo Functions
+// ===========================
+
+// Each undoable action carries a list of record changes:
+// { entityType: 'opportunity' | 'task' | 'account', before: record | null, after: record | null }
+// Undo writes every "before" snapshot back, redo writes every "after" snapshot.
+
+function getEntityRecords(entityType) {
+    if (entityType === 'opportunity') return opportunities;
+    if (entityType === 'account') return accounts;
+    return tasks;
+}
+
+function cloneRecord(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+}
+
+function recordChange(changes, entityType, action, before, after) {
+    recordAudit(entityType, action, before, after);
+    changes.push({
+        entityType: entityType,
+        before: cloneRecord(before),
+        after: cloneRecord(after)
+    });
+}
+
+function addToUndoStack(action) {
+    undoStack.push({ ...action, timestamp: new Date().toISOString() });
+
+    // Limit stack size
+    if (undoStack.length > MAX_UNDO_STACK) {
+        undoStack.shift();
+    }
+
+    // A new action invalidates anything that was undone before it
+    redoStack = [];
+    renderRecentActions();
+}
+
+function applyRecordChanges(action, direction) {
+    const changes = direction === 'undo' ? [...action.changes].reverse() : action.changes;
+
+    changes.forEach(change => {
+        const target = direction === 'undo' ? change.before : change.after;
+        const id = (change.before || change.after).id;
+        const collection = getEntityRecords(change.entityType);
+        const index = collection.findIndex(record => record.id === id);
+
+        recordAudit(change.entityType, direction, index === -1 ? null : collection[index], target);
+
+        if (!target) {
+            if (index !== -1) {
+                collection.splice(index, 1);
+            }
+        } else if (index === -1) {
+            collection.push(cloneRecord(target));
+        } else {
+            collection[index] = cloneRecord(target);
+        }
+    });
+
+    saveOpportunitiesToStorage();
+    saveTasksToStorage();
+    saveAccountsToStorage();
+    refreshAllViews();
+}
+
+function undo() {
+    if (undoStack.length === 0) {
+        showWarning('Nothing to undo');
+        return;
+    }
+
+    const action = undoStack.pop();
+    applyRecordChanges(action, 'undo');
+    redoStack.push(action);
+    renderRecentActions();
+
+    showSuccess(`Undone: ${action.description}`);
+}
+
+function redo() {
+    if (redoStack.length === 0) {
+        showWarning('Nothing to redo');
+        return;
+    }
+
+    const action = redoStack.pop();
+    applyRecordChanges(action, 'redo');
+    undoStack.push(action);
+    renderRecentActions();
+
+    showSuccess(`Redone: ${action.description}`);
+}
+
+function undoUntil(index) {
+    // Undo the selected action and everything performed after it
+    while (undoStack.length > index) {
+        const action = undoStack.pop();
+        applyRecordChanges(action, 'undo');
+        redoStack.push(action);
+    }
+    renderRecentActions();
+    showSuccess('Actions undone');
+}
+
+function forEachUndoSnapshot(entityType, callback) {
+    [...undoStack, ...redoStack].forEach(action => {
+        action.changes.forEach(change => {
+            if (change.entityType !== entityType) return;
+            [change.before, change.after].forEach(snapshot => {
+                if (snapshot) callback(snapshot);
+            });
+        });
+    });
+}
+
+function refreshAllViews() {
+    ensureStagesForRecords();
+    ensureTeamMembersForRecords();
+    renderTeamSettings();
+    populateStageSelects();
+    renderStageSettings();
     renderOpportunities();
+    renderTasks();
+    renderAccounts();
+    updateTaskOpportunityFilters();
     updateDashboard();
-    updateBulkActionsUI('opportunities');
+    renderKanbanBoard();
 
-    showSuccess(`Updated ${selectedOpportunities.size} opportunities to ${newStatus}`);
+    if (document.getElementById('calendar-tab').classList.contains('active')) {
+        renderCalendar();
+    }
+    if (document.getElementById('timeline-tab').classList.contains('active')) {
+        renderTimeline();
+    }
+    if (document.getElementById('forecast-tab').classList.contains('active')) {
+        renderForecast();
+    }
+    if (document.getElementById('winloss-tab').classList.contains('active')) {
+        renderWinLossReport();
+    }
+    if (document.getElementById('team-tab').classList.contains('active')) {
+        renderWorkload();
+    }
 }
 
-function bulkUpdateTaskStatus(newStatus) {
-    if (selectedTasks.size === 0) return;
+function toggleRecentActions() {
+    const panel = document.getElementById('recent-actions-panel');
+    panel.classList.toggle('active');
+    renderRecentActions();
+}
 
-    const count = selectedTasks.size;
+function renderRecentActions() {
+    document.getElementById('undo-btn').disabled = undoStack.length === 0;
+    document.getElementById('redo-btn').disabled = redoStack.length === 0;
 
-    selectedTasks.forEach(id => {
-        const task = tasks.find(t => t.id === id);
-        if (task) {
-            task.status = newStatus;
+    const list = document.getElementById('recent-actions-list');
+    if (undoStack.length === 0 && redoStack.length === 0) {
+        list.innerHTML = '<li class="recent-action-empty">No recent actions</li>';
+        return;
+    }
+
+    list.innerHTML = '';
+
+    // Undone actions sit above the current point, newest undo closest to it
+    redoStack.forEach(action => {
+        const item = document.createElement('li');
+        item.className = 'recent-action undone';
+        item.innerHTML = `
+            <span>${escapeHtml(action.description)}</span>
+            <small>${escapeHtml(formatTimestamp(action.timestamp))} · undone</small>
+        `;
+        list.appendChild(item);
+    });
+
+    for (let i = undoStack.length - 1; i >= 0; i--) {
+        const action = undoStack[i];
+        const item = document.createElement('li');
+        item.className = 'recent-action';
+        item.title = 'Undo back to this action';
+        item.innerHTML = `
+            <span>${escapeHtml(action.description)}</span>
+            <small>${escapeHtml(formatTimestamp(action.timestamp))}</small>
+        `;
+        item.addEventListener('click', () => undoUntil(i));
+        list.appendChild(item);
+    }
+}
+
+function showUndoToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'toast toast-success';
+    toast.innerHTML = `
+        <span>${escapeHtml(message)}</span>
+        <button class="btn-undo" onclick="undo(); this.parentElement.remove();">Undo</button>
+        <button class="toast-close" onclick="this.parentElement.remove()">×</button>
+    `;
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+        if (toast.parentElement) {
+            toast.remove();
+        }
+    }, 8000);
+}
+
+// ===========================
+// Audit Trail Functions
+// ===========================
+
+const AUDIT_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    stage_change: 'Moved on Kanban board',
+    overdue: 'Flagged overdue',
+    reschedule: 'Rescheduled on timeline',
+    stage_rename: 'Stage renamed',
+    member_rename: 'Team member renamed',
+    qualification_update: 'Qualification model changed',
+    stage_gate_override: 'Stage gate overridden (self-asserted admin)',
+    bulk_status_update: 'Bulk status update',
+    import: 'Imported',
+    restore: 'Restored',
+    undo: 'Undone',
+    redo: 'Redone'
+};
+
+const AUDIT_FIELD_LABELS = {
+    name: 'Name',
+    client: 'Client',
+    industry: 'Industry',
+    salesOwner: 'Sales Owner',
+    preSalesOwner: 'Pre-Sales Owner',
+    ba: 'Business Analyst',
+    techType: 'Tech Type',
+    source: 'Source',
+    dateIdentified: 'Date Identified',
+    expectedClose: 'Expected Close',
+    stage: 'Stage',
+    status: 'Status',
+    dealValue: 'Deal Value',
+    currency: 'Currency',
+    probability: 'Probability',
+    expectedRevenue: 'Expected Revenue',
+    competition: 'Competition',
+    contactName: 'Contact Name',
+    contactEmail: 'Contact Email',
+    accountId: 'Account',
+    contactIds: 'Contacts',
+    contacts: 'Contacts',
+    region: 'Region',
+    notes: 'Notes',
+    outcomeReason: 'Outcome Reason',
+    outcomeNotes: 'Outcome Notes',
+    winningCompetitor: 'Winning Competitor',
+    closedAt: 'Closed On',
+    'lastStageGateOverride.stage': 'Gate Override Stage',
+    'lastStageGateOverride.reason': 'Gate Override Reason',
+    'lastStageGateOverride.missing': 'Gate Override Missing Criteria',
+    'lastStageGateOverride.by': 'Gate Override By',
+    'lastStageGateOverride.at': 'Gate Override Time',
+    qualificationModel: 'Qualification Model',
+    qualificationTotal: 'Qualification Total',
+    qualificationPercent: 'Qualification %',
+    qualificationSummary: 'Qualification Summary',
+    'bant.budget': 'BANT Budget',
+    'bant.authority': 'BANT Authority',
+    'bant.need': 'BANT Need',
+    'bant.timeline': 'BANT Timeline',
+    bantTotal: 'BANT Total',
+    bantPercent: 'BANT %',
+    bantSummary: 'BANT Summary',
+    opportunityId: 'Opportunity',
+    taskName: 'Task Name',
+    assignedTo: 'Assigned To',
+    role: 'Role',
+    taskType: 'Task Type',
+    startDate: 'Start Date',
+    dueDate: 'Due Date',
+    remarks: 'Remarks',
+    dependsOn: 'Depends On',
+    'recurrence.frequency': 'Repeats',
+    'recurrence.interval': 'Repeat Interval',
+    'recurrence.weekdays': 'Repeat Days',
+    'recurrence.until': 'Repeat Until',
+    'recurrence.count': 'Repeat Count',
+    'recurrence.excludedDates': 'Skipped Occurrences',
+    recurrence: 'Repeats',
+    seriesId: 'Recurring Series',
+    occurrenceDate: 'Occurrence Date',
+    icsUid: 'Calendar Event ID',
+    firstSlippedOn: 'First Slipped On'
+};
+
+function getAuditFieldLabel(field) {
+    if (AUDIT_FIELD_LABELS[field]) {
+        return AUDIT_FIELD_LABELS[field];
+    }
+
+    // Criterion scores are keyed by whichever model the record uses
+    if (field.startsWith('qualification.')) {
+        const key = field.slice('qualification.'.length);
+        for (const model of qualificationModels) {
+            const criterion = model.criteria.find(c => c.key === key);
+            if (criterion) return `Qualification: ${criterion.label}`;
+        }
+    }
+
+    return field;
+}
+
+// Bookkeeping fields that never appear as audited changes
+const AUDIT_IGNORED_FIELDS = ['id', 'updatedAt', 'stageHistory'];
+
+function flattenRecord(record, prefix = '') {
+    const flat = {};
+    Object.keys(record || {}).forEach(key => {
+        const value = record[key];
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(flat, flattenRecord(value, path));
+        } else {
+            flat[path] = value;
+        }
+    });
+    return flat;
+}
+
+function isEmptyAuditValue(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function diffRecordFields(before, after) {
+    const flatBefore = flattenRecord(before);
+    const flatAfter = flattenRecord(after);
+    const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+
+    return fields
+        .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+        .filter(field => !(isEmptyAuditValue(flatBefore[field]) && isEmptyAuditValue(flatAfter[field])))
+        .filter(field => stableStringify(flatBefore[field]) !== stableStringify(flatAfter[field]))
+        .map(field => ({
+            field: field,
+            from: flatBefore[field] === undefined ? null : flatBefore[field],
+            to: flatAfter[field] === undefined ? null : flatAfter[field]
+        }));
+}
+
+function recordAudit(entityType, action, before, after) {
+    const changes = diffRecordFields(before, after);
+
+    // Saving a form without edits is not worth an entry
+    if (action !== 'delete' && action !== 'create' && changes.length === 0) {
+        return null;
+    }
+
+    const entry = {
+        id: generateAuditID(),
+        entityType: entityType,
+        entityId: (after || before).id,
+        action: action,
+        user: currentUserName || 'Unknown user',
+        timestamp: new Date().toISOString(),
+        changes: changes
+    };
+
+    auditLog.push(entry);
+    pendingAuditEntries.push(entry);
+    return entry;
+}
+
+function flushAuditLog() {
+    if (pendingAuditEntries.length === 0) {
+        return Promise.resolve();
+    }
+
+    const entries = pendingAuditEntries;
+    pendingAuditEntries = [];
+
+    // The log is append-only, so new entries are written without re-reading the rest
+    return storageBackend.writeRecords('auditLog', entries, []).catch(error => {
+        pendingAuditEntries.unshift(...entries);
+        throw error;
+    });
+}
+
+function replaceAuditLog(entries) {
+    const removedIds = auditLog.map(entry => entry.id);
+    auditLog = entries;
+    pendingAuditEntries = [];
+    return storageBackend.writeRecords('auditLog', entries, removedIds).catch(error => {
+        console.error('Error saving audit log:', error);
+    });
+}
+
+function mergeAuditLog(entries) {
+    const knownIds = new Set(auditLog.map(entry => entry.id));
+    entries.filter(entry => !knownIds.has(entry.id)).forEach(entry => {
+        auditLog.push(entry);
+        pendingAuditEntries.push(entry);
+    });
+}
+
+function changeCurrentUser() {
+    const name = prompt('Enter your name for the change history:', currentUserName);
+    if (name === null) return;
+
+    currentUserName = name.trim();
+    storageBackend.setMeta('currentUserName', currentUserName);
+    renderCurrentUser();
+}
+
+function renderCurrentUser() {
+    document.getElementById('current-user-btn').textContent = currentUserName
+        ? `👤 ${currentUserName}`
+        : '👤 Set your name';
+}
+
+function formatAuditValue(field, value) {
+    if (isEmptyAuditValue(value)) return '—';
+    if (field === 'opportunityId') {
+        const opportunity = opportunities.find(opp => opp.id === value);
+        return opportunity ? `${value} - ${opportunity.name}` : value;
+    }
+    if (field === 'accountId') {
+        const account = accounts.find(item => item.id === value);
+        return account ? account.name : value;
+    }
+    if (field === 'contactIds') {
+        const contacts = accounts.flatMap(account => account.contacts);
+        return value.map(id => (contacts.find(contact => contact.id === id) || { name: id }).name).join(', ') || '—';
+    }
+    if (field === 'dependsOn') {
+        return value.map(id => {
+            const task = tasks.find(item => item.id === id);
+            return task ? `${id} - ${task.taskName}` : id;
+        }).join(', ') || '—';
+    }
+    if (field === 'contacts') {
+        return value.map(contact => `${contact.name}${contact.decisionMaker ? ' (decision maker)' : ''}`).join(', ') || '—';
+    }
+    if (field === 'recurrence.weekdays') {
+        return formatWeekdays(value);
+    }
+    if (field === 'closedAt') {
+        return formatTimestamp(value);
+    }
+    if (typeof value === 'number') {
+        return value.toLocaleString();
+    }
+    if (Array.isArray(value)) {
+        return value.join(', ');
+    }
+    return String(value);
+}
+
+function openHistoryModal(entityType, id) {
+    const record = getEntityRecords(entityType).find(item => item.id === id);
+    const name = record ? (entityType === 'task' ? record.taskName : record.name) : '';
+
+    document.getElementById('history-modal-title').textContent = `History: ${id}${name ? ` - ${name}` : ''}`;
+
+    // The log is kept in chronological order; show the newest entry first
+    const entries = auditLog
+        .filter(entry => entry.entityType === entityType && entry.entityId === id)
+        .reverse();
+
+    const container = document.getElementById('history-entries');
+
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="empty-state">No changes have been recorded yet.</p>';
+    } else {
+        container.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `history-entry history-${entry.action.replace(/_/g, '-')}`;
+
+            const changeRows = entry.changes.map(change => `
+                <tr>
+                    <td>${escapeHtml(getAuditFieldLabel(change.field))}</td>
+                    <td>${escapeHtml(formatAuditValue(change.field, change.from))}</td>
+                    <td>${escapeHtml(formatAuditValue(change.field, change.to))}</td>
+                </tr>
+            `).join('');
+
+            item.innerHTML = `
+                <div class="history-entry-header">
+                    <strong>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</strong>
+                    <span>${escapeHtml(entry.user)} · ${escapeHtml(formatTimestamp(entry.timestamp))}</span>
+                </div>
+                ${entry.changes.length > 0 ? `
+                    <table class="history-changes">
+                        <thead>
+                            <tr><th>Field</th><th>Before</th><th>After</th></tr>
+                        </thead>
+                        <tbody>${changeRows}</tbody>
+                    </table>
+                ` : ''}
+            `;
+            container.appendChild(item);
+        });
+    }
+
+    document.getElementById('history-modal').classList.add('active');
+}
+
+function closeHistoryModal() {
+    document.getElementById('history-modal').classList.remove('active');
+}
+
+// ===========================
+// Sorting Functions
+// ===========================
+
+function sortOpportunities(column) {
+    // Toggle direction if clicking same column
+    if (opportunitySortColumn === column) {
+        opportunitySortDirection = opportunitySortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        opportunitySortColumn = column;
+        opportunitySortDirection = 'asc';
+    }
+
+    opportunities.sort((a, b) => {
+        let aVal, bVal;
+
+        switch (column) {
+            case 'id':
+                aVal = a.id;
+                bVal = b.id;
+                break;
+            case 'name':
+                aVal = a.name.toLowerCase();
+                bVal = b.name.toLowerCase();
+                break;
+            case 'client':
+                aVal = a.client.toLowerCase();
+                bVal = b.client.toLowerCase();
+                break;
+            case 'industry':
+                aVal = a.industry;
+                bVal = b.industry;
+                break;
+            case 'stage':
+                // Sort by position in the pipeline rather than alphabetically
+                aVal = getStageOrder(a.stage);
+                bVal = getStageOrder(b.stage);
+                break;
+            case 'status':
+                aVal = a.status;
+                bVal = b.status;
+                break;
+            case 'dealValue':
+                aVal = getBaseDealValue(a);
+                bVal = getBaseDealValue(b);
+                break;
+            case 'probability':
+                aVal = a.probability;
+                bVal = b.probability;
+                break;
+            case 'expectedRevenue':
+                aVal = getBaseExpectedRevenue(a);
+                bVal = getBaseExpectedRevenue(b);
+                break;
+            case 'qualificationPercent':
+                aVal = a.qualificationPercent;
+                bVal = b.qualificationPercent;
+                break;
+            case 'qualificationSummary':
+                aVal = a.qualificationSummary;
+                bVal = b.qualificationSummary;
+                break;
+            default:
+                return 0;
+        }
+
+        if (aVal < bVal) return opportunitySortDirection === 'asc' ? -1 : 1;
+        if (aVal > bVal) return opportunitySortDirection === 'asc' ? 1 : -1;
+        return 0;
+    });
+
+    renderOpportunities();
+    updateSortIndicators('opportunities', column, opportunitySortDirection);
+}
+
+function sortTasks(column) {
+    // Toggle direction if clicking same column
+    if (taskSortColumn === column) {
+        taskSortDirection = taskSortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        taskSortColumn = column;
+        taskSortDirection = 'asc';
+    }
+
+    tasks.sort((a, b) => {
+        let aVal, bVal;
+
+        switch (column) {
+            case 'id':
+                aVal = a.id;
+                bVal = b.id;
+                break;
+            case 'taskName':
+                aVal = a.taskName.toLowerCase();
+                bVal = b.taskName.toLowerCase();
+                break;
+            case 'assignedTo':
+                aVal = (a.assignedTo || '').toLowerCase();
+                bVal = (b.assignedTo || '').toLowerCase();
+                break;
+            case 'role':
+                aVal = a.role;
+                bVal = b.role;
+                break;
+            case 'taskType':
+                aVal = a.taskType;
+                bVal = b.taskType;
+                break;
+            case 'startDate':
+                aVal = a.startDate || '';
+                bVal = b.startDate || '';
+                break;
+            case 'dueDate':
+                aVal = a.dueDate || '';
+                bVal = b.dueDate || '';
+                break;
+            case 'status':
+                aVal = a.status;
+                bVal = b.status;
+                break;
+            default:
+                return 0;
+        }
+
+        if (aVal < bVal) return taskSortDirection === 'asc' ? -1 : 1;
+        if (aVal > bVal) return taskSortDirection === 'asc' ? 1 : -1;
+        return 0;
+    });
+
+    renderTasks();
+    updateSortIndicators('tasks', column, taskSortDirection);
+}
+
+function updateSortIndicators(table, column, direction) {
+    const tableId = table === 'opportunities' ? 'opportunities-table' : 'tasks-table';
+    const headers = document.querySelectorAll(`#${tableId} th`);
+
+    headers.forEach(th => {
+        th.classList.remove('sorted-asc', 'sorted-desc');
+        const sortIcon = th.querySelector('.sort-icon');
+        if (sortIcon) {
+            sortIcon.remove();
+        }
+    });
+
+    const columnMap = {
+        opportunities: {
+            'id': 0, 'name': 1, 'client': 2, 'industry': 3, 'stage': 4,
+            'status': 5, 'dealValue': 6, 'probability': 7, 'expectedRevenue': 8,
+            'qualificationPercent': 9, 'qualificationSummary': 10
+        },
+        tasks: {
+            'id': 0, 'taskName': 2, 'assignedTo': 3, 'role': 4,
+            'taskType': 5, 'startDate': 6, 'dueDate': 7, 'status': 8
+        }
+    };
+
+    const colIndex = columnMap[table][column];
+    if (colIndex !== undefined) {
+        const header = headers[colIndex];
+        header.classList.add(`sorted-${direction}`);
+
+        const icon = document.createElement('span');
+        icon.className = 'sort-icon';
+        icon.textContent = direction === 'asc' ? ' ▲' : ' ▼';
+        header.appendChild(icon);
+    }
+}
+
+// ===========================
+// Bulk Operations Functions
+// ===========================
+
+function toggleOpportunitySelection(id) {
+    if (selectedOpportunities.has(id)) {
+        selectedOpportunities.delete(id);
+    } else {
+        selectedOpportunities.add(id);
+    }
+    updateBulkActionsUI('opportunities');
+}
+
+function toggleTaskSelection(id) {
+    if (selectedTasks.has(id)) {
+        selectedTasks.delete(id);
+    } else {
+        selectedTasks.add(id);
+    }
+    updateBulkActionsUI('tasks');
+}
+
+function toggleSelectAllOpportunities() {
+    const tbody = document.getElementById('opportunities-tbody');
+    const checkboxes = tbody.querySelectorAll('input[type="checkbox"]');
+
+    if (selectedOpportunities.size === checkboxes.length) {
+        // Deselect all
+        selectedOpportunities.clear();
+    } else {
+        // Select all
+        checkboxes.forEach(cb => {
+            selectedOpportunities.add(cb.dataset.id);
+        });
+    }
+
+    updateBulkActionsUI('opportunities');
+    renderOpportunities();
+}
+
+function toggleSelectAllTasks() {
+    const tbody = document.getElementById('tasks-tbody');
+    const checkboxes = tbody.querySelectorAll('input[type="checkbox"]');
+
+    if (selectedTasks.size === checkboxes.length) {
+        // Deselect all
+        selectedTasks.clear();
+    } else {
+        // Select all
+        checkboxes.forEach(cb => {
+            selectedTasks.add(cb.dataset.id);
+        });
+    }
+
+    updateBulkActionsUI('tasks');
+    renderTasks();
+}
+
+function updateBulkActionsUI(type) {
+    const selectedCount = type === 'opportunities' ? selectedOpportunities.size : selectedTasks.size;
+    const bulkActionsId = type === 'opportunities' ? 'opp-bulk-actions' : 'task-bulk-actions';
+    const bulkActions = document.getElementById(bulkActionsId);
+
+    if (selectedCount > 0) {
+        bulkActions.style.display = 'flex';
+        bulkActions.querySelector('.selected-count').textContent = `${selectedCount} selected`;
+    } else {
+        bulkActions.style.display = 'none';
+    }
+}
+
+function bulkDeleteOpportunities() {
+    if (selectedOpportunities.size === 0) return;
+
+    if (!confirm(`Delete ${selectedOpportunities.size} opportunities and their associated tasks?`)) {
+        return;
+    }
+
+    const deletedOpportunities = [];
+    const deletedTasks = [];
+
+    selectedOpportunities.forEach(id => {
+        const opp = opportunities.find(o => o.id === id);
+        if (opp) {
+            deletedOpportunities.push(opp);
+            const oppTasks = tasks.filter(t => t.opportunityId === id);
+            deletedTasks.push(...oppTasks);
+        }
+    });
+
+    const changes = [];
+    deletedOpportunities.forEach(opp => recordChange(changes, 'opportunity', 'delete', opp, null));
+    deletedTasks.forEach(task => recordChange(changes, 'task', 'delete', task, null));
+
+    // Add to undo stack
+    addToUndoStack({
+        type: 'bulk_delete_opportunities',
+        description: `Delete ${deletedOpportunities.length} opportunities`,
+        changes: changes
+    });
+
+    // Delete opportunities
+    opportunities = opportunities.filter(opp => !selectedOpportunities.has(opp.id));
+    tasks = tasks.filter(task => !deletedOpportunities.find(opp => opp.id === task.opportunityId));
+
+    selectedOpportunities.clear();
+
+    saveOpportunitiesToStorage();
+    saveTasksToStorage();
+    renderOpportunities();
+    renderTasks();
+    updateTaskOpportunityFilters();
+    updateDashboard();
+    updateBulkActionsUI('opportunities');
+
+    showUndoToast(`${deletedOpportunities.length} opportunities deleted`);
+}
+
+function bulkDeleteTasks() {
+    if (selectedTasks.size === 0) return;
+
+    if (!confirm(`Delete ${selectedTasks.size} tasks?`)) {
+        return;
+    }
+
+    const deletedTasks = [];
+
+    selectedTasks.forEach(id => {
+        const task = tasks.find(t => t.id === id);
+        if (task) {
+            deletedTasks.push(task);
+        }
+    });
+
+    const changes = [];
+    deletedTasks.forEach(task => recordChange(changes, 'task', 'delete', task, null));
+    removeTaskDependencies(selectedTasks, changes);
+
+    // Add to undo stack
+    addToUndoStack({
+        type: 'bulk_delete_tasks',
+        description: `Delete ${deletedTasks.length} tasks`,
+        changes: changes
+    });
+
+    // Delete tasks
+    tasks = tasks.filter(task => !selectedTasks.has(task.id));
+
+    selectedTasks.clear();
+
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+    updateBulkActionsUI('tasks');
+
+    showUndoToast(`${deletedTasks.length} tasks deleted`);
+}
+
+function bulkUpdateOpportunityStatus(newStatus, outcome) {
+    if (selectedOpportunities.size === 0) return;
+
+    // Closing deals asks why before anything changes
+    if (CLOSED_STATUSES.includes(newStatus) && !outcome) {
+        openOutcomeModal(newStatus);
+        return;
+    }
+
+    const count = selectedOpportunities.size;
+    const changes = [];
+
+    selectedOpportunities.forEach(id => {
+        const opp = opportunities.find(o => o.id === id);
+        if (opp) {
+            const before = { ...opp };
+            opp.status = newStatus;
+            if (outcome) {
+                Object.assign(opp, outcome);
+            } else if (!CLOSED_STATUSES.includes(newStatus)) {
+                clearOpportunityOutcome(opp);
+            }
+            opp.updatedAt = new Date().toISOString();
+            recordClosure(opp, before.status, opp.updatedAt);
+            recordChange(changes, 'opportunity', 'bulk_status_update', before, opp);
+        }
+    });
+
+    addToUndoStack({
+        type: 'bulk_update_opportunities',
+        description: `Mark ${count} opportunities as ${newStatus}`,
+        changes: changes
+    });
+
+    selectedOpportunities.clear();
+
+    saveOpportunitiesToStorage();
+    renderOpportunities();
+    updateDashboard();
+    updateBulkActionsUI('opportunities');
+
+    showUndoToast(`Updated ${count} opportunities to ${newStatus}`);
+}
+
+function bulkUpdateTaskStatus(newStatus) {
+    if (selectedTasks.size === 0) return;
+
+    const count = selectedTasks.size;
+    const changes = [];
+
+    selectedTasks.forEach(id => {
+        const task = tasks.find(t => t.id === id);
+        if (task) {
+            const before = { ...task };
+            task.status = newStatus;
+            task.updatedAt = new Date().toISOString();
+            recordChange(changes, 'task', 'bulk_status_update', before, task);
+        }
+    });
+
+    addToUndoStack({
+        type: 'bulk_update_tasks',
+        description: `Mark ${count} tasks as ${newStatus}`,
+        changes: changes
+    });
+
+    selectedTasks.clear();
+
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+    updateBulkActionsUI('tasks');
+
+    showUndoToast(`Updated ${count} tasks to ${newStatus}`);
+}
+
+// ===========================
+// Business Logic Functions
+// ===========================
+
+function calculateExpectedRevenue(dealValue, probability) {
+    return dealValue * (probability / 100);
+}
+
+function calculateQualification(model, scores) {
+    let total = 0;
+    let maxTotal = 0;
+    model.criteria.forEach(criterion => {
+        total += (scores[criterion.key] || QUALIFICATION_SCORE_MIN) * criterion.weight;
+        maxTotal += QUALIFICATION_SCORE_MAX * criterion.weight;
+    });
+
+    const percent = maxTotal > 0 ? (total / maxTotal) * 100 : 0;
+    let summary = 'Cold';
+    
+    if (percent >= model.thresholds.hot) {
+        summary = 'Hot';
+    } else if (percent >= model.thresholds.warm) {
+        summary = 'Warm';
+    }
+    
+    return {
+        total: total,
+        percent: percent,
+        summary: summary
+    };
+}
+
+// ===========================
+// Pipeline Stage Functions
+// ===========================
+
+function loadPipelineStages(stored) {
+    pipelineStages = stored && stored.length > 0
+        ? stored
+        : DEFAULT_PIPELINE_STAGES.map(cloneRecord);
+}
+
+function savePipelineStages() {
+    return storageBackend.setMeta('pipelineStages', pipelineStages).catch(error => {
+        console.error('Error saving pipeline stages:', error);
+        alert('Unable to save pipeline stages.');
+    });
+}
+
+function getActiveStages() {
+    return pipelineStages.filter(stage => !stage.retired);
+}
+
+function getStageOrder(stageName) {
+    const index = pipelineStages.findIndex(stage => stage.name === stageName);
+    return index === -1 ? pipelineStages.length : index;
+}
+
+function getVisibleStages() {
+    // Retired stages stay visible while opportunities still sit in them
+    return pipelineStages.filter(stage => !stage.retired || opportunities.some(opp => opp.stage === stage.name));
+}
+
+// Work in progress is what's still being worked: open deals only
+function getStageWipCount(stageName) {
+    return opportunities.filter(opp => opp.stage === stageName && opp.status === 'Open').length;
+}
+
+function isOverWipLimit(stage) {
+    return !!stage.wipLimit && getStageWipCount(stage.name) > stage.wipLimit;
+}
+
+function updateStageWipLimit(stageId, value) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    const limit = value === '' ? null : parseInt(value);
+    if (limit !== null && (isNaN(limit) || limit < 1)) {
+        showWarning('WIP limit must be a whole number of at least 1');
+        renderStageSettings();
+        return;
+    }
+
+    stage.wipLimit = limit;
+    savePipelineStages();
+    renderKanbanBoard();
+}
+
+function generateStageID(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stage';
+    let id = slug;
+    let suffix = 2;
+    while (pipelineStages.some(stage => stage.id === id)) {
+        id = `${slug}-${suffix++}`;
+    }
+    return id;
+}
+
+function ensureStagesForRecords() {
+    // Imported opportunities may use stages this browser has never seen
+    let added = false;
+    opportunities.forEach(opp => {
+        if (opp.stage && !pipelineStages.some(stage => stage.name === opp.stage)) {
+            pipelineStages.push({ id: generateStageID(opp.stage), name: opp.stage, retired: false });
+            added = true;
+        }
+    });
+
+    if (added) {
+        savePipelineStages();
+    }
+}
+
+function isStageNameTaken(name, exceptId) {
+    return pipelineStages.some(stage => stage.id !== exceptId && stage.name.toLowerCase() === name.toLowerCase());
+}
+
+function addPipelineStage() {
+    const input = document.getElementById('new-stage-name');
+    const name = input.value.trim();
+
+    if (!name) {
+        showWarning('Please enter a stage name');
+        return;
+    }
+    if (isStageNameTaken(name)) {
+        showWarning(`A stage named "${name}" already exists`);
+        return;
+    }
+
+    pipelineStages.push({ id: generateStageID(name), name: name, retired: false });
+    input.value = '';
+
+    savePipelineStages();
+    refreshStageViews();
+    showSuccess(`Stage "${name}" added`);
+}
+
+function renamePipelineStage(stageId, newName) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    const name = newName.trim();
+    if (!stage || name === stage.name) return;
+
+    if (!name || isStageNameTaken(name, stageId)) {
+        showWarning(name ? `A stage named "${name}" already exists` : 'Stage name cannot be empty');
+        renderStageSettings();
+        return;
+    }
+
+    const oldName = stage.name;
+    stage.name = name;
+
+    const renameInHistory = record => {
+        if ((record.stageHistory || []).some(entry => entry.stage === oldName)) {
+            record.stageHistory = record.stageHistory.map(entry => entry.stage === oldName ? { ...entry, stage: name } : entry);
+        }
+    };
+
+    // Move existing opportunities to the new stage name
+    opportunities.forEach(opp => {
+        renameInHistory(opp);
+        if (opp.stage !== oldName) return;
+        const before = { ...opp };
+        opp.stage = name;
+        opp.updatedAt = new Date().toISOString();
+        recordAudit('opportunity', 'stage_rename', before, opp);
+    });
+
+    // Keep undo/redo snapshots consistent with the renamed stage
+    forEachUndoSnapshot('opportunity', snapshot => {
+        renameInHistory(snapshot);
+        if (snapshot.stage === oldName) {
+            snapshot.stage = name;
+        }
+    });
+
+    savePipelineStages();
+    saveOpportunitiesToStorage();
+    refreshStageViews();
+    showSuccess(`Stage "${oldName}" renamed to "${name}"`);
+}
+
+function movePipelineStage(stageId, offset) {
+    const index = pipelineStages.findIndex(stage => stage.id === stageId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= pipelineStages.length) return;
+
+    const [stage] = pipelineStages.splice(index, 1);
+    pipelineStages.splice(target, 0, stage);
+
+    savePipelineStages();
+    refreshStageViews();
+}
+
+function togglePipelineStageRetired(stageId) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    if (!stage.retired && getActiveStages().length === 1) {
+        showWarning('At least one stage must remain active');
+        return;
+    }
+
+    stage.retired = !stage.retired;
+
+    savePipelineStages();
+    refreshStageViews();
+}
+
+function deletePipelineStage(stageId) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    if (opportunities.some(opp => opp.stage === stage.name)) {
+        showWarning(`"${stage.name}" still has opportunities. Retire it instead.`);
+        return;
+    }
+    if (!stage.retired && getActiveStages().length === 1) {
+        showWarning('At least one stage must remain active');
+        return;
+    }
+    if (!confirm(`Delete the stage "${stage.name}"?`)) {
+        return;
+    }
+
+    pipelineStages = pipelineStages.filter(s => s.id !== stageId);
+
+    savePipelineStages();
+    refreshStageViews();
+}
+
+function populateStageSelects(currentStage) {
+    // Form: active stages, plus the record's own stage if it has been retired since
+    const formSelect = document.getElementById('opp-stage');
+    formSelect.innerHTML = '';
+    pipelineStages
+        .filter(stage => !stage.retired || stage.name === currentStage)
+        .forEach(stage => {
+            const option = document.createElement('option');
+            option.value = stage.name;
+            option.textContent = stage.retired ? `${stage.name} (retired)` : stage.name;
+            formSelect.appendChild(option);
+        });
+
+    const filterSelect = document.getElementById('opp-filter-stage');
+    const currentFilter = filterSelect.value;
+    filterSelect.innerHTML = '<option value="">All Stages</option>';
+    getVisibleStages().forEach(stage => {
+        const option = document.createElement('option');
+        option.value = stage.name;
+        option.textContent = stage.retired ? `${stage.name} (retired)` : stage.name;
+        filterSelect.appendChild(option);
+    });
+
+    // Restore previous selection if still valid
+    if (currentFilter && getVisibleStages().some(stage => stage.name === currentFilter)) {
+        filterSelect.value = currentFilter;
+    }
+}
+
+function refreshStageViews() {
+    populateStageSelects();
+    renderStageSettings();
+    renderKanbanBoard();
+    renderOpportunities();
+}
+
+function renderStageSettings() {
+    const list = document.getElementById('stage-settings-list');
+    list.innerHTML = '';
+
+    pipelineStages.forEach((stage, index) => {
+        const count = opportunities.filter(opp => opp.stage === stage.name).length;
+        const entry = document.createElement('li');
+        const item = document.createElement('div');
+        item.className = `settings-list-item${stage.retired ? ' retired' : ''}`;
+        item.innerHTML = `
+            <input type="text" class="search-input stage-name-input" value="${escapeHtml(stage.name)}" aria-label="Stage name">
+            <span class="settings-meta">${count} ${count === 1 ? 'opportunity' : 'opportunities'}${stage.retired ? ' · retired' : ''}</span>
+            <label class="settings-inline">WIP limit
+                <input type="number" class="stage-wip-input" min="1" step="1" value="${stage.wipLimit || ''}" placeholder="—">
+            </label>
+            <div class="actions-cell">
+                <button class="btn btn-history stage-up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-history stage-down" title="Move down" ${index === pipelineStages.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-history stage-retire">${stage.retired ? 'Restore' : 'Retire'}</button>
+                <button class="btn btn-delete stage-delete" ${count > 0 ? 'disabled' : ''}>Delete</button>
+            </div>
+        `;
+
+        item.querySelector('.stage-name-input').addEventListener('change', function() {
+            renamePipelineStage(stage.id, this.value);
+        });
+        item.querySelector('.stage-wip-input').addEventListener('change', function() {
+            updateStageWipLimit(stage.id, this.value);
+        });
+        item.querySelector('.stage-up').addEventListener('click', () => movePipelineStage(stage.id, -1));
+        item.querySelector('.stage-down').addEventListener('click', () => movePipelineStage(stage.id, 1));
+        item.querySelector('.stage-retire').addEventListener('click', () => togglePipelineStageRetired(stage.id));
+        item.querySelector('.stage-delete').addEventListener('click', () => deletePipelineStage(stage.id));
+
+        entry.appendChild(item);
+        entry.appendChild(createStageGateEditor(stage));
+        entry.appendChild(createStageTemplateEditor(stage));
+        list.appendChild(entry);
+    });
+
+    document.getElementById('stage-gate-admins').value = stageGateAdmins.join(', ');
+}
+
+// ===========================
+// Stage Gate Functions
+// ===========================
+
+// Fields a stage can require before an opportunity may enter it
+const STAGE_GATE_FIELDS = {
+    dealValue: 'Deal Value',
+    probability: 'Probability',
+    expectedClose: 'Expected Close Date',
+    salesOwner: 'Sales Owner',
+    preSalesOwner: 'Pre-Sales Owner',
+    contactName: 'Contact Name',
+    contactEmail: 'Contact Email',
+    competition: 'Competition'
+};
+
+function getStageEntryCriteria(stageName) {
+    const stage = pipelineStages.find(s => s.name === stageName);
+    return {
+        minQualification: null,
+        requiredFields: [],
+        requiredTaskTypes: [],
+        ...(stage && stage.entryCriteria)
+    };
+}
+
+function getStageGateFailures(opportunity, stageName) {
+    const criteria = getStageEntryCriteria(stageName);
+    const failures = [];
+
+    if (criteria.minQualification !== null && (opportunity.qualificationPercent || 0) < criteria.minQualification) {
+        failures.push(`Qualification score is ${(opportunity.qualificationPercent || 0).toFixed(0)}% (needs at least ${criteria.minQualification}%)`);
+    }
+
+    criteria.requiredFields.forEach(field => {
+        const value = opportunity[field];
+        if (value === undefined || value === null || value === '' || value === 0) {
+            failures.push(`${STAGE_GATE_FIELDS[field] || field} is required`);
+        }
+    });
+
+    criteria.requiredTaskTypes.forEach(taskType => {
+        const completed = tasks.some(task =>
+            task.opportunityId === opportunity.id && task.taskType === taskType && task.status === 'Completed');
+        if (!completed) {
+            failures.push(`A completed "${taskType}" task is required`);
+        }
+    });
+
+    return failures;
+}
+
+// Honor system only: the current user name is free text, so this is not access control
+function isStageGateAdmin() {
+    return currentUserName !== '' &&
+        stageGateAdmins.some(name => name.toLowerCase() === currentUserName.toLowerCase());
+}
+
+// Returns { allowed, override }; override holds the admin's reason when the gate was bypassed
+function checkStageGate(opportunity, stageName) {
+    const failures = getStageGateFailures(opportunity, stageName);
+    if (failures.length === 0) {
+        return { allowed: true, override: null };
+    }
+
+    const message = `"${opportunity.name}" cannot enter ${stageName} yet:\n\n- ${failures.join('\n- ')}`;
+
+    if (!isStageGateAdmin()) {
+        alert(`${message}\n\nA stage-gate admin can override this.`);
+        return { allowed: false, override: null };
+    }
+
+    const reason = prompt(`${message}\n\nYou are listed as a stage-gate admin, so you can override. The override is logged under your name. Enter a reason to continue:`, '');
+    if (reason === null || !reason.trim()) {
+        return { allowed: false, override: null };
+    }
+
+    return {
+        allowed: true,
+        override: {
+            stage: stageName,
+            reason: reason.trim(),
+            missing: failures.join('; '),
+            by: currentUserName,
+            at: new Date().toISOString()
+        }
+    };
+}
+
+function saveStageGateAdmins(value) {
+    stageGateAdmins = value.split(',').map(name => name.trim()).filter(Boolean);
+    storageBackend.setMeta('stageGateAdmins', stageGateAdmins);
+    document.getElementById('stage-gate-admins').value = stageGateAdmins.join(', ');
+}
+
+function updateStageEntryCriteria(stageId, changes) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    stage.entryCriteria = { ...getStageEntryCriteria(stage.name), ...changes };
+    savePipelineStages();
+}
+
+function describeStageEntryCriteria(stageName) {
+    const criteria = getStageEntryCriteria(stageName);
+    const parts = [];
+    if (criteria.minQualification !== null) parts.push(`qualification ≥ ${criteria.minQualification}%`);
+    criteria.requiredFields.forEach(field => parts.push(STAGE_GATE_FIELDS[field] || field));
+    criteria.requiredTaskTypes.forEach(taskType => parts.push(`completed ${taskType}`));
+    return parts.length > 0 ? `Entry: ${parts.join(', ')}` : 'No entry criteria';
+}
+
+function createStageGateEditor(stage) {
+    const criteria = getStageEntryCriteria(stage.name);
+    const editor = document.createElement('details');
+    editor.className = 'stage-gate-editor';
+
+    const checkboxes = (values, selected, className) => values.map(([value, label]) => `
+        <label class="settings-inline">
+            <input type="checkbox" class="${className}" value="${escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+            ${escapeHtml(label)}
+        </label>
+    `).join('');
+
+    editor.innerHTML = `
+        <summary>${escapeHtml(describeStageEntryCriteria(stage.name))}</summary>
+        <div class="stage-gate-options">
+            <label class="settings-inline">Minimum qualification
+                <input type="number" class="gate-min-qualification" min="0" max="100" value="${criteria.minQualification ?? ''}" placeholder="—">%
+            </label>
+            <div class="stage-gate-group">
+                <span class="settings-meta">Required fields</span>
+                ${checkboxes(Object.entries(STAGE_GATE_FIELDS), criteria.requiredFields, 'gate-field')}
+            </div>
+            <div class="stage-gate-group">
+                <span class="settings-meta">Completed task types</span>
+                ${checkboxes(getSelectOptionValues('task-type').map(type => [type, type]), criteria.requiredTaskTypes, 'gate-task-type')}
+            </div>
+        </div>
+    `;
+
+    const refreshSummary = () => {
+        editor.querySelector('summary').textContent = describeStageEntryCriteria(stage.name);
+    };
+
+    editor.querySelector('.gate-min-qualification').addEventListener('change', function() {
+        const value = this.value === '' ? null : parseFloat(this.value);
+        if (value !== null && (isNaN(value) || value < 0 || value > 100)) {
+            showWarning('Minimum qualification must be between 0 and 100');
+            this.value = criteria.minQualification ?? '';
+            return;
+        }
+        updateStageEntryCriteria(stage.id, { minQualification: value });
+        refreshSummary();
+    });
+
+    editor.querySelectorAll('.gate-field, .gate-task-type').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            updateStageEntryCriteria(stage.id, {
+                requiredFields: [...editor.querySelectorAll('.gate-field:checked')].map(input => input.value),
+                requiredTaskTypes: [...editor.querySelectorAll('.gate-task-type:checked')].map(input => input.value)
+            });
+            refreshSummary();
+        });
+    });
+
+    return editor;
+}
+
+// ===========================
+// Stage Task Template Functions
+// ===========================
+
+// How a stage's templates are applied when a deal enters it
+const TEMPLATE_MODES = {
+    prompt: 'Ask before adding tasks',
+    auto: 'Add tasks automatically'
+};
+
+function generateTemplateID() {
+    const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+    return `TPL-${random}-${Date.now()}`;
+}
+
+function getStageTaskTemplates(stageName) {
+    const stage = pipelineStages.find(s => s.name === stageName);
+    return stage && stage.taskTemplates ? stage.taskTemplates : [];
+}
+
+function describeStageTaskTemplates(stage) {
+    const count = (stage.taskTemplates || []).length;
+    if (count === 0) return 'Task templates: none';
+    return `Task templates: ${count} ${count === 1 ? 'task' : 'tasks'}, ${stage.templateMode === 'auto' ? 'added automatically' : 'added after a prompt'}`;
+}
+
+// Skips templates whose task is still open, so re-entering a stage doesn't duplicate work
+function buildTasksFromTemplates(opportunity, templates) {
+    const today = formatDate(new Date());
+    const ownerFields = Object.keys(OWNER_FIELD_ROLES);
+    const openNames = new Set(tasks
+        .filter(task => task.opportunityId === opportunity.id && isTaskOpen(task))
+        .map(task => task.taskName.trim().toLowerCase()));
+
+    return templates
+        .filter(template => template.taskName && !openNames.has(template.taskName.trim().toLowerCase()))
+        .map(template => {
+            // Hand the task to whoever owns that role on the deal
+            const ownerField = ownerFields.find(field => OWNER_FIELD_ROLES[field] === template.role);
+            return {
+                id: generateTaskID(),
+                opportunityId: opportunity.id,
+                taskName: template.taskName,
+                assignedTo: ownerField ? opportunity[ownerField] || '' : '',
+                role: template.role,
+                taskType: template.taskType,
+                startDate: today,
+                dueDate: shiftDate(today, template.dueInDays || 0),
+                status: 'Not Started',
+                remarks: '',
+                dependsOn: [],
+                recurrence: null,
+                updatedAt: new Date().toISOString()
+            };
+        });
+}
+
+function addTemplateTasks(newTasks, changes) {
+    newTasks.forEach(task => {
+        recordChange(changes, 'task', 'create', null, task);
+        tasks.push(task);
+    });
+}
+
+// Returns how many template tasks were added; asks first unless the stage applies them automatically
+function applyStageTaskTemplates(opportunity, stageName, changes) {
+    const stage = pipelineStages.find(s => s.name === stageName);
+    const newTasks = buildTasksFromTemplates(opportunity, getStageTaskTemplates(stageName));
+    if (!stage || newTasks.length === 0) return 0;
+
+    if (stage.templateMode !== 'auto') {
+        const list = newTasks.map(task => `- ${task.taskName} (due ${task.dueDate})`).join('\n');
+        if (!confirm(`"${opportunity.name}" is entering ${stageName}. Add its template tasks?\n\n${list}`)) {
+            return 0;
+        }
+    }
+
+    addTemplateTasks(newTasks, changes);
+    return newTasks.length;
+}
+
+function populateOpportunityTemplateSelect() {
+    const select = document.getElementById('opp-template-select');
+    select.innerHTML = '<option value="">Choose a template</option>';
+
+    pipelineStages.filter(stage => (stage.taskTemplates || []).length > 0).forEach(stage => {
+        const group = document.createElement('optgroup');
+        group.label = stage.name;
+        group.innerHTML = `<option value="${escapeHtml(stage.id)}">All ${escapeHtml(stage.name)} tasks (${stage.taskTemplates.length})</option>` +
+            stage.taskTemplates.map(template =>
+                `<option value="${escapeHtml(stage.id)}:${escapeHtml(template.id)}">${escapeHtml(template.taskName)}</option>`).join('');
+        select.appendChild(group);
+    });
+
+    document.getElementById('apply-template-btn').disabled = select.options.length === 1;
+}
+
+function applyOpportunityTemplate() {
+    const opportunity = opportunities.find(opp => opp.id === currentEditingOpportunity);
+    const [stageId, templateId] = document.getElementById('opp-template-select').value.split(':');
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!opportunity || !stage) {
+        showWarning('Please choose a template');
+        return;
+    }
+
+    const templates = stage.taskTemplates.filter(template => !templateId || template.id === templateId);
+    const newTasks = buildTasksFromTemplates(opportunity, templates);
+    if (newTasks.length === 0) {
+        showWarning('This opportunity already has those tasks open');
+        return;
+    }
+
+    const changes = [];
+    addTemplateTasks(newTasks, changes);
+    addToUndoStack({
+        type: 'apply_template',
+        description: `Add ${newTasks.length} ${stage.name} template ${newTasks.length === 1 ? 'task' : 'tasks'} to "${opportunity.name}"`,
+        changes: changes
+    });
+
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+    showSuccess(`Added ${newTasks.length} ${newTasks.length === 1 ? 'task' : 'tasks'} to "${opportunity.name}"`);
+}
+
+function updateStageTaskTemplates(stageId, changes) {
+    const stage = pipelineStages.find(s => s.id === stageId);
+    if (!stage) return;
+
+    Object.assign(stage, changes);
+    savePipelineStages();
+}
+
+function createStageTemplateEditor(stage) {
+    const editor = document.createElement('details');
+    editor.className = 'stage-gate-editor stage-template-editor';
+
+    const options = (values, selected) => values.map(value =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`).join('');
+
+    editor.innerHTML = `
+        <summary></summary>
+        <div class="stage-gate-options">
+            <label class="settings-inline">When a deal enters ${escapeHtml(stage.name)}
+                <select class="template-mode">
+                    ${Object.entries(TEMPLATE_MODES).map(([value, label]) =>
+                        `<option value="${value}" ${(stage.templateMode || 'prompt') === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+            <ul class="template-list"></ul>
+            <button type="button" class="btn btn-secondary template-add">+ Add Task Template</button>
+        </div>
+    `;
+
+    const list = editor.querySelector('.template-list');
+    const refresh = () => {
+        editor.querySelector('summary').textContent = describeStageTaskTemplates(stage);
+        list.innerHTML = (stage.taskTemplates || []).map(template => `
+            <li class="template-row" data-template-id="${escapeHtml(template.id)}">
+                <input type="text" class="search-input template-name" value="${escapeHtml(template.taskName)}" placeholder="Task name" aria-label="Task name">
+                <select class="filter-select template-role" aria-label="Role">${options(getTeamRoles(), template.role)}</select>
+                <select class="filter-select template-type" aria-label="Task type">${options(getSelectOptionValues('task-type'), template.taskType)}</select>
+                <label class="settings-inline">Due
+                    <input type="number" class="template-due" min="0" value="${template.dueInDays}" aria-label="Days until due">
+                    days after entering
+                </label>
+                <button type="button" class="btn btn-delete template-remove">Remove</button>
+            </li>
+        `).join('');
+    };
+
+    // Rows are read back in full whenever one of them changes
+    const readTemplates = () => [...list.querySelectorAll('.template-row')].map(row => ({
+        id: row.dataset.templateId,
+        taskName: row.querySelector('.template-name').value.trim(),
+        role: row.querySelector('.template-role').value,
+        taskType: row.querySelector('.template-type').value,
+        dueInDays: Math.max(0, parseInt(row.querySelector('.template-due').value) || 0)
+    }));
+
+    editor.querySelector('.template-mode').addEventListener('change', function() {
+        updateStageTaskTemplates(stage.id, { templateMode: this.value });
+        refresh();
+    });
+    list.addEventListener('change', () => {
+        updateStageTaskTemplates(stage.id, { taskTemplates: readTemplates() });
+        editor.querySelector('summary').textContent = describeStageTaskTemplates(stage);
+    });
+    list.addEventListener('click', event => {
+        const button = event.target.closest('.template-remove');
+        if (!button) return;
+        const id = button.closest('.template-row').dataset.templateId;
+        updateStageTaskTemplates(stage.id, { taskTemplates: readTemplates().filter(template => template.id !== id) });
+        refresh();
+    });
+    editor.querySelector('.template-add').addEventListener('click', () => {
+        updateStageTaskTemplates(stage.id, {
+            taskTemplates: [...readTemplates(), {
+                id: generateTemplateID(),
+                taskName: '',
+                role: getTeamRoles()[0],
+                taskType: getSelectOptionValues('task-type')[0],
+                dueInDays: 7
+            }]
+        });
+        refresh();
+        list.querySelector('.template-row:last-child .template-name').focus();
+    });
+
+    refresh();
+    return editor;
+}
+
+// ===========================
+// Qualification Model Functions
+// ===========================
+
+function loadQualificationModels(stored) {
+    qualificationModels = stored && stored.length > 0
+        ? stored
+        : DEFAULT_QUALIFICATION_MODELS.map(cloneRecord);
+}
+
+function saveQualificationModels() {
+    return storageBackend.setMeta('qualificationModels', qualificationModels).catch(error => {
+        console.error('Error saving qualification models:', error);
+        alert('Unable to save qualification models.');
+    });
+}
+
+function getQualificationModel(modelId) {
+    // Records from another browser may reference a model we don't have
+    return qualificationModels.find(model => model.id === modelId) || qualificationModels[0];
+}
+
+function addMissingQualificationModels(models) {
+    const missing = models.filter(model => !qualificationModels.some(existing => existing.id === model.id));
+    if (missing.length > 0) {
+        qualificationModels.push(...missing.map(cloneRecord));
+        saveQualificationModels();
+    }
+}
+
+function generateModelKey(label, existingKeys) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'item';
+    let key = slug;
+    let suffix = 2;
+    while (existingKeys.includes(key)) {
+        key = `${slug}-${suffix++}`;
+    }
+    return key;
+}
+
+function applyQualification(opp, model) {
+    const result = calculateQualification(model, opp.qualification || {});
+    opp.qualificationModel = model.id;
+    opp.qualificationTotal = result.total;
+    opp.qualificationPercent = result.percent;
+    opp.qualificationSummary = result.summary;
+    return opp;
+}
+
+function recalculateQualificationScores(modelId) {
+    const model = getQualificationModel(modelId);
+    let changed = 0;
+
+    // Scores are stored on each record, so they must follow criteria, weight and threshold edits
+    opportunities.filter(opp => opp.qualificationModel === modelId).forEach(opp => {
+        const before = { ...opp };
+        applyQualification(opp, model);
+        if (before.qualificationTotal !== opp.qualificationTotal ||
+            before.qualificationPercent !== opp.qualificationPercent ||
+            before.qualificationSummary !== opp.qualificationSummary) {
+            opp.updatedAt = new Date().toISOString();
+            recordAudit('opportunity', 'qualification_update', before, opp);
+            changed++;
+        }
+    });
+
+    forEachUndoSnapshot('opportunity', snapshot => {
+        if (snapshot.qualificationModel === modelId) {
+            applyQualification(snapshot, model);
+        }
+    });
+
+    if (changed > 0) {
+        saveOpportunitiesToStorage();
+    }
+}
+
+function isModelInUse(modelId) {
+    return opportunities.some(opp => opp.qualificationModel === modelId);
+}
+
+function afterQualificationModelChange(modelId) {
+    saveQualificationModels();
+    if (modelId) {
+        recalculateQualificationScores(modelId);
+    }
+    renderQualificationSettings();
+    renderOpportunities();
+    renderKanbanBoard();
+    updateDashboard();
+}
+
+function addQualificationModel() {
+    const input = document.getElementById('new-model-name');
+    const name = input.value.trim();
+
+    if (!name) {
+        showWarning('Please enter a model name');
+        return;
+    }
+    if (qualificationModels.some(model => model.name.toLowerCase() === name.toLowerCase())) {
+        showWarning(`A model named "${name}" already exists`);
+        return;
+    }
+
+    qualificationModels.push({
+        id: generateModelKey(name, qualificationModels.map(model => model.id)),
+        name: name,
+        criteria: [{ key: 'fit', label: 'Fit', weight: 1 }],
+        thresholds: { ...DEFAULT_QUALIFICATION_THRESHOLDS }
+    });
+    input.value = '';
+
+    afterQualificationModelChange(null);
+    showSuccess(`Model "${name}" added`);
+}
+
+function renameQualificationModel(modelId, newName) {
+    const model = getQualificationModel(modelId);
+    const name = newName.trim();
+
+    if (!name || qualificationModels.some(m => m.id !== modelId && m.name.toLowerCase() === name.toLowerCase())) {
+        showWarning(name ? `A model named "${name}" already exists` : 'Model name cannot be empty');
+    } else {
+        model.name = name;
+    }
+
+    afterQualificationModelChange(null);
+}
+
+function updateQualificationThreshold(modelId, level, value) {
+    const model = getQualificationModel(modelId);
+    const threshold = parseFloat(value);
+    const thresholds = { ...model.thresholds, [level]: threshold };
+
+    if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+        showWarning('Thresholds must be between 0 and 100');
+    } else if (thresholds.hot <= thresholds.warm) {
+        showWarning('The Hot threshold must be higher than the Warm threshold');
+    } else {
+        model.thresholds = thresholds;
+    }
+
+    afterQualificationModelChange(modelId);
+}
+
+function addQualificationCriterion(modelId, label) {
+    const model = getQualificationModel(modelId);
+    const trimmed = label.trim();
+    if (!trimmed) {
+        showWarning('Please enter a criterion name');
+        return;
+    }
+
+    model.criteria.push({
+        key: generateModelKey(trimmed, model.criteria.map(criterion => criterion.key)),
+        label: trimmed,
+        weight: 1
+    });
+
+    afterQualificationModelChange(modelId);
+}
+
+function updateQualificationCriterion(modelId, key, field, value) {
+    const model = getQualificationModel(modelId);
+    const criterion = model.criteria.find(c => c.key === key);
+    if (!criterion) return;
+
+    if (field === 'weight') {
+        const weight = parseFloat(value);
+        if (isNaN(weight) || weight <= 0) {
+            showWarning('Weight must be a positive number');
+        } else {
+            criterion.weight = weight;
+        }
+    } else if (value.trim()) {
+        // The key is kept so existing scores still line up after a rename
+        criterion.label = value.trim();
+    }
+
+    afterQualificationModelChange(modelId);
+}
+
+function removeQualificationCriterion(modelId, key) {
+    const model = getQualificationModel(modelId);
+    if (model.criteria.length === 1) {
+        showWarning('A model needs at least one criterion');
+        return;
+    }
+
+    model.criteria = model.criteria.filter(criterion => criterion.key !== key);
+
+    afterQualificationModelChange(modelId);
+}
+
+function deleteQualificationModel(modelId) {
+    const model = getQualificationModel(modelId);
+
+    if (isModelInUse(modelId)) {
+        showWarning(`"${model.name}" is used by opportunities and cannot be deleted`);
+        return;
+    }
+    if (qualificationModels.length === 1) {
+        showWarning('At least one qualification model is required');
+        return;
+    }
+    if (!confirm(`Delete the qualification model "${model.name}"?`)) {
+        return;
+    }
+
+    qualificationModels = qualificationModels.filter(m => m.id !== modelId);
+
+    afterQualificationModelChange(null);
+}
+
+function renderQualificationSettings() {
+    const container = document.getElementById('qualification-settings-list');
+    container.innerHTML = '';
+
+    qualificationModels.forEach((model, index) => {
+        const count = opportunities.filter(opp => opp.qualificationModel === model.id).length;
+        const block = document.createElement('div');
+        block.className = 'qualification-model-settings';
+        block.innerHTML = `
+            <div class="settings-list-item">
+                <input type="text" class="search-input model-name-input" value="${escapeHtml(model.name)}" aria-label="Model name">
+                <span class="settings-meta">${count} ${count === 1 ? 'opportunity' : 'opportunities'}${index === 0 ? ' · default for new opportunities' : ''}</span>
+                <label class="settings-inline">Hot ≥ <input type="number" class="threshold-input" data-level="hot" min="0" max="100" value="${model.thresholds.hot}">%</label>
+                <label class="settings-inline">Warm ≥ <input type="number" class="threshold-input" data-level="warm" min="0" max="100" value="${model.thresholds.warm}">%</label>
+                <button class="btn btn-delete model-delete" ${count > 0 ? 'disabled' : ''}>Delete</button>
+            </div>
+            <ul class="settings-list criteria-list">
+                ${model.criteria.map(criterion => `
+                    <li class="settings-list-item" data-key="${escapeHtml(criterion.key)}">
+                        <input type="text" class="search-input criterion-label-input" value="${escapeHtml(criterion.label)}" aria-label="Criterion name">
+                        <label class="settings-inline">Weight <input type="number" class="weight-input" min="0.1" step="0.1" value="${criterion.weight}"></label>
+                        <button class="btn btn-history criterion-remove">Remove</button>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="settings-add-row">
+                <input type="text" class="search-input new-criterion-input" placeholder="New criterion...">
+                <button class="btn btn-secondary criterion-add">Add Criterion</button>
+            </div>
+        `;
+
+        block.querySelector('.model-name-input').addEventListener('change', function() {
+            renameQualificationModel(model.id, this.value);
+        });
+        block.querySelectorAll('.threshold-input').forEach(input => {
+            input.addEventListener('change', function() {
+                updateQualificationThreshold(model.id, this.dataset.level, this.value);
+            });
+        });
+        block.querySelector('.model-delete').addEventListener('click', () => deleteQualificationModel(model.id));
+        block.querySelectorAll('.criteria-list li').forEach(item => {
+            const key = item.dataset.key;
+            item.querySelector('.criterion-label-input').addEventListener('change', function() {
+                updateQualificationCriterion(model.id, key, 'label', this.value);
+            });
+            item.querySelector('.weight-input').addEventListener('change', function() {
+                updateQualificationCriterion(model.id, key, 'weight', this.value);
+            });
+            item.querySelector('.criterion-remove').addEventListener('click', () => removeQualificationCriterion(model.id, key));
+        });
+        block.querySelector('.criterion-add').addEventListener('click', () => {
+            addQualificationCriterion(model.id, block.querySelector('.new-criterion-input').value);
+        });
+
+        container.appendChild(block);
+    });
+}
+
+function populateQualificationModelSelect(selectedId) {
+    const select = document.getElementById('opp-qualification-model');
+    select.innerHTML = '';
+    qualificationModels.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        option.textContent = model.name;
+        select.appendChild(option);
+    });
+    select.value = getQualificationModel(selectedId).id;
+}
+
+function renderQualificationCriteria(scores) {
+    const model = getQualificationModel(document.getElementById('opp-qualification-model').value);
+    const container = document.getElementById('qualification-criteria');
+    container.innerHTML = '';
+
+    model.criteria.forEach(criterion => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const weightNote = criterion.weight !== 1 ? ` ×${criterion.weight}` : '';
+        group.innerHTML = `
+            <label for="opp-criterion-${escapeHtml(criterion.key)}">${escapeHtml(criterion.label)} (1-5)${weightNote}</label>
+            <input type="number" id="opp-criterion-${escapeHtml(criterion.key)}" class="qualification-score" data-key="${escapeHtml(criterion.key)}" min="1" max="5" value="${scores[criterion.key] || 1}">
+        `;
+        group.querySelector('input').addEventListener('input', updateQualificationCalculations);
+        container.appendChild(group);
+    });
+
+    updateQualificationCalculations();
+}
+
+function formatQualificationScores(opp) {
+    const model = getQualificationModel(opp.qualificationModel);
+    const scores = opp.qualification || {};
+    return model.criteria
+        .map(criterion => `${criterion.label}=${scores[criterion.key] || QUALIFICATION_SCORE_MIN}`)
+        .join('; ');
+}
+
+function getQualificationFormScores() {
+    const scores = {};
+    document.querySelectorAll('#qualification-criteria .qualification-score').forEach(input => {
+        scores[input.dataset.key] = parseInt(input.value) || 1;
+    });
+    return scores;
+}
+
+// ===========================
+// Currency Functions
+// ===========================
+
+function loadCurrencySettings(storedBase, storedRates) {
+    baseCurrency = SUPPORTED_CURRENCIES.some(currency => currency.code === storedBase) ? storedBase : DEFAULT_BASE_CURRENCY;
+    exchangeRates = storedRates ? { ...DEFAULT_EXCHANGE_RATES, ...storedRates } : { ...DEFAULT_EXCHANGE_RATES };
+}
+
+function saveCurrencySettings() {
+    return Promise.all([
+        storageBackend.setMeta('baseCurrency', baseCurrency),
+        storageBackend.setMeta('exchangeRates', exchangeRates)
+    ]).catch(error => {
+        console.error('Error saving currency settings:', error);
+        alert('Unable to save currency settings.');
+    });
+}
+
+function getCurrencySymbol(code) {
+    const currency = SUPPORTED_CURRENCIES.find(item => item.code === code);
+    return currency ? currency.symbol : `${code} `;
+}
+
+function convertToBaseCurrency(amount, currency) {
+    // Deals without a currency predate multi-currency support and are already in the base
+    const rate = exchangeRates[currency || baseCurrency];
+    return amount * (rate === undefined ? 1 : rate);
+}
+
+function getBaseDealValue(opp) {
+    return convertToBaseCurrency(opp.dealValue, opp.currency);
+}
+
+function getBaseExpectedRevenue(opp) {
+    return convertToBaseCurrency(opp.expectedRevenue, opp.currency);
+}
+
+function setBaseCurrency(code) {
+    if (code === baseCurrency) return;
+
+    // Rates are stored relative to the base, so re-express them against the new one
+    const pivot = exchangeRates[code];
+    exchangeRates = Object.fromEntries(Object.entries(exchangeRates).map(([currency, rate]) => [currency, parseFloat((rate / pivot).toPrecision(6))]));
+    exchangeRates[code] = 1;
+    baseCurrency = code;
+
+    afterCurrencySettingsChange();
+}
+
+function updateExchangeRate(code, value) {
+    const rate = parseFloat(value);
+    if (isNaN(rate) || rate <= 0) {
+        showWarning('Exchange rates must be greater than zero');
+    } else {
+        exchangeRates[code] = rate;
+    }
+
+    afterCurrencySettingsChange();
+}
+
+function afterCurrencySettingsChange() {
+    saveCurrencySettings();
+    renderCurrencySettings();
+    refreshAllViews();
+}
+
+function renderCurrencySettings() {
+    const select = document.getElementById('base-currency');
+    select.innerHTML = SUPPORTED_CURRENCIES.map(currency => `<option value="${currency.code}">${currency.code} (${escapeHtml(currency.symbol)})</option>`).join('');
+    select.value = baseCurrency;
+
+    const list = document.getElementById('exchange-rate-list');
+    list.innerHTML = '';
+    SUPPORTED_CURRENCIES.filter(currency => currency.code !== baseCurrency).forEach(currency => {
+        const count = opportunities.filter(opp => opp.currency === currency.code).length;
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+        item.innerHTML = `
+            <label class="settings-inline">1 ${currency.code} = <input type="number" class="exchange-rate-input" min="0" step="any" value="${exchangeRates[currency.code]}" aria-label="${currency.code} exchange rate"> ${baseCurrency}</label>
+            <span class="settings-meta">${count} ${count === 1 ? 'opportunity' : 'opportunities'}</span>
+        `;
+        item.querySelector('.exchange-rate-input').addEventListener('change', function() {
+            updateExchangeRate(currency.code, this.value);
+        });
+        list.appendChild(item);
+    });
+}
+
+// ===========================
+// Team Directory Functions
+// ===========================
+
+// Opportunity owner fields and the directory role each picker offers
+const OWNER_FIELD_ROLES = {
+    salesOwner: 'Sales',
+    preSalesOwner: 'Pre-Sales',
+    ba: 'BA'
+};
+
+const OWNER_FIELD_PICKERS = {
+    salesOwner: 'opp-sales-owner',
+    preSalesOwner: 'opp-presales-owner',
+    ba: 'opp-ba'
+};
+
+function saveTeamMembers() {
+    return storageBackend.setMeta('teamMembers', teamMembers).catch(error => {
+        console.error('Error saving team members:', error);
+        alert('Unable to save the team directory.');
+    });
+}
+
+function getTeamRoles() {
+    return getSelectOptionValues('task-role');
+}
+
+function isMemberNameTaken(name, exceptId) {
+    return teamMembers.some(member => member.id !== exceptId && member.name.toLowerCase() === name.toLowerCase());
+}
+
+function ensureTeamMembersForRecords() {
+    // Names typed before the directory existed, or arriving by import, join it with their likely role
+    let added = false;
+    const addMember = (name, role) => {
+        const trimmed = (name || '').trim();
+        if (trimmed && !isMemberNameTaken(trimmed)) {
+            teamMembers.push({ id: generateMemberID(), name: trimmed, role: role, email: '' });
+            added = true;
+        }
+    };
+
+    opportunities.forEach(opp => {
+        Object.keys(OWNER_FIELD_ROLES).forEach(field => addMember(opp[field], OWNER_FIELD_ROLES[field]));
+    });
+    tasks.forEach(task => addMember(task.assignedTo, task.role || 'Pre-Sales'));
+
+    if (added) {
+        teamMembers.sort((a, b) => a.name.localeCompare(b.name));
+        saveTeamMembers();
+    }
+}
+
+function getMemberAssignments(name) {
+    return {
+        opportunities: opportunities.filter(opp => Object.keys(OWNER_FIELD_ROLES).some(field => opp[field] === name)),
+        tasks: tasks.filter(task => task.assignedTo === name)
+    };
+}
+
+function addTeamMember() {
+    const nameInput = document.getElementById('new-member-name');
+    const name = nameInput.value.trim();
+
+    if (!name) {
+        showWarning('Please enter a name');
+        return;
+    }
+    if (isMemberNameTaken(name)) {
+        showWarning(`"${name}" is already in the directory`);
+        return;
+    }
+
+    teamMembers.push({ id: generateMemberID(), name: name, role: document.getElementById('new-member-role').value, email: '' });
+    teamMembers.sort((a, b) => a.name.localeCompare(b.name));
+    nameInput.value = '';
+
+    saveTeamMembers();
+    renderTeamSettings();
+    renderWorkload();
+}
+
+function renameTeamMember(memberId, newName) {
+    const member = teamMembers.find(item => item.id === memberId);
+    const name = newName.trim();
+    if (!member || name === member.name) return;
+
+    if (!name || isMemberNameTaken(name, memberId)) {
+        showWarning(name ? `"${name}" is already in the directory` : 'Name cannot be empty');
+        renderTeamSettings();
+        return;
+    }
+
+    const oldName = member.name;
+    member.name = name;
+
+    // Reassign existing records to the new name
+    const renameFields = (record, fields) => {
+        let changed = false;
+        fields.forEach(field => {
+            if (record[field] === oldName) {
+                record[field] = name;
+                changed = true;
+            }
+        });
+        return changed;
+    };
+
+    opportunities.forEach(opp => {
+        const before = { ...opp };
+        if (renameFields(opp, Object.keys(OWNER_FIELD_ROLES))) {
+            opp.updatedAt = new Date().toISOString();
+            recordAudit('opportunity', 'member_rename', before, opp);
+        }
+    });
+    tasks.forEach(task => {
+        const before = { ...task };
+        if (renameFields(task, ['assignedTo'])) {
+            task.updatedAt = new Date().toISOString();
+            recordAudit('task', 'member_rename', before, task);
+        }
+    });
+
+    // Keep undo/redo snapshots consistent with the new name
+    forEachUndoSnapshot('opportunity', snapshot => renameFields(snapshot, Object.keys(OWNER_FIELD_ROLES)));
+    forEachUndoSnapshot('task', snapshot => renameFields(snapshot, ['assignedTo']));
+
+    saveTeamMembers();
+    saveOpportunitiesToStorage();
+    saveTasksToStorage();
+    refreshAllViews();
+    showSuccess(`"${oldName}" renamed to "${name}"`);
+}
+
+function updateTeamMember(memberId, field, value) {
+    const member = teamMembers.find(item => item.id === memberId);
+    if (!member) return;
+
+    member[field] = value.trim();
+    saveTeamMembers();
+    renderTeamSettings();
+    renderWorkload();
+}
+
+function deleteTeamMember(memberId) {
+    const member = teamMembers.find(item => item.id === memberId);
+    if (!member) return;
+
+    const assignments = getMemberAssignments(member.name);
+    if (assignments.opportunities.length > 0 || assignments.tasks.length > 0) {
+        alert(`${member.name} still owns ${assignments.opportunities.length} opportunities and ${assignments.tasks.length} tasks. Reassign them first.`);
+        return;
+    }
+
+    teamMembers = teamMembers.filter(item => item.id !== memberId);
+    saveTeamMembers();
+    renderTeamSettings();
+    renderWorkload();
+}
+
+function renderTeamSettings() {
+    const list = document.getElementById('team-settings-list');
+    const roles = getTeamRoles();
+    list.innerHTML = '';
+
+    teamMembers.forEach(member => {
+        const assignments = getMemberAssignments(member.name);
+        const assigned = assignments.opportunities.length + assignments.tasks.length;
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+        item.innerHTML = `
+            <input type="text" class="search-input member-name-input" value="${escapeHtml(member.name)}" aria-label="Name">
+            <select class="filter-select member-role-select" aria-label="Role">
+                ${roles.map(role => `<option value="${escapeHtml(role)}" ${role === member.role ? 'selected' : ''}>${escapeHtml(role)}</option>`).join('')}
+            </select>
+            <input type="email" class="search-input member-email-input" value="${escapeHtml(member.email || '')}" placeholder="Email" aria-label="Email">
+            <span class="settings-meta">${assignments.opportunities.length} opportunities · ${assignments.tasks.length} tasks</span>
+            <button class="btn btn-delete member-delete" ${assigned > 0 ? 'disabled' : ''}>Delete</button>
+        `;
+
+        item.querySelector('.member-name-input').addEventListener('change', function() {
+            renameTeamMember(member.id, this.value);
+        });
+        item.querySelector('.member-role-select').addEventListener('change', function() {
+            updateTeamMember(member.id, 'role', this.value);
+        });
+        item.querySelector('.member-email-input').addEventListener('change', function() {
+            updateTeamMember(member.id, 'email', this.value);
+        });
+        item.querySelector('.member-delete').addEventListener('click', () => deleteTeamMember(member.id));
+        list.appendChild(item);
+    });
+
+    const roleSelect = document.getElementById('new-member-role');
+    const selectedRole = roleSelect.value;
+    roleSelect.innerHTML = roles.map(role => `<option value="${escapeHtml(role)}">${escapeHtml(role)}</option>`).join('');
+    roleSelect.value = selectedRole || roles[0];
+}
+
+function fillMemberSelect(select, members, currentValue) {
+    select.innerHTML = '<option value="">Unassigned</option>';
+    members.forEach(member => {
+        const option = document.createElement('option');
+        option.value = member.name;
+        option.textContent = member.name;
+        select.appendChild(option);
+    });
+
+    // Keep a value that is no longer offered, such as someone who changed role
+    if (currentValue && !members.some(member => member.name === currentValue)) {
+        const option = document.createElement('option');
+        option.value = currentValue;
+        option.textContent = currentValue;
+        select.appendChild(option);
+    }
+    select.value = currentValue || '';
+}
+
+function populateOwnerPickers(opportunity) {
+    Object.keys(OWNER_FIELD_PICKERS).forEach(field => {
+        fillMemberSelect(
+            document.getElementById(OWNER_FIELD_PICKERS[field]),
+            teamMembers.filter(member => member.role === OWNER_FIELD_ROLES[field]),
+            opportunity[field]
+        );
+    });
+}
+
+function populateAssigneePicker(currentValue) {
+    const select = document.getElementById('task-assigned-to');
+    const isKnown = teamMembers.some(member => member.name === currentValue);
+    fillMemberSelect(select, [], isKnown ? '' : currentValue);
+
+    // Anyone can take a task; group the directory by role
+    getTeamRoles().forEach(role => {
+        const members = teamMembers.filter(member => member.role === role);
+        if (members.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = role;
+        members.forEach(member => {
+            const option = document.createElement('option');
+            option.value = member.name;
+            option.textContent = member.name;
+            group.appendChild(option);
+        });
+        select.appendChild(group);
+    });
+    select.value = currentValue || '';
+}
+
+function isTaskOpen(task) {
+    return task.status !== 'Completed';
+}
+
+function isTaskOverdue(task) {
+    if (!isTaskOpen(task) || !task.dueDate) return false;
+
+    const today = formatDate(new Date());
+    if (!isRecurringTask(task)) return task.dueDate < today;
+
+    // Occurrences carry their own due date, so look the rule up on the stored series
+    const series = task.occurrenceDate ? tasks.find(item => item.id === task.id) || task : task;
+    const missed = getMissedOccurrence(series);
+    return !!missed && (!task.occurrenceDate || (task.occurrenceDate >= missed && task.occurrenceDate < today));
+}
+
+function getCurrentWeekEnd() {
+    // Weeks run Monday to Sunday
+    const end = new Date();
+    end.setDate(end.getDate() + ((7 - end.getDay()) % 7));
+    return formatDate(end);
+}
+
+function buildWorkload(role) {
+    const today = formatDate(new Date());
+    const weekEnd = getCurrentWeekEnd();
+
+    return teamMembers
+        .filter(member => !role || member.role === role)
+        .map(member => {
+            const assignments = getMemberAssignments(member.name);
+            const openTasks = assignments.tasks.filter(isTaskOpen);
+            return {
+                member: member,
+                openOpportunities: assignments.opportunities.filter(opp => opp.status === 'Open').length,
+                openTasks: openTasks.length,
+                dueThisWeek: openTasks.filter(task => task.dueDate && task.dueDate >= today && task.dueDate <= weekEnd).length,
+                overdue: openTasks.filter(isTaskOverdue).length
+            };
+        })
+        .sort((a, b) => b.overdue - a.overdue || b.dueThisWeek - a.dueThisWeek || b.openTasks - a.openTasks ||
+            a.member.name.localeCompare(b.member.name));
+}
+
+function renderWorkload() {
+    const roleSelect = document.getElementById('workload-role-filter');
+    const selectedRole = roleSelect.value;
+    roleSelect.innerHTML = '<option value="">All Roles</option>' +
+        getTeamRoles().map(role => `<option value="${escapeHtml(role)}">${escapeHtml(role)}</option>`).join('');
+    roleSelect.value = selectedRole;
+
+    const rows = buildWorkload(selectedRole);
+    const tbody = document.getElementById('workload-tbody');
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state"><p>No team members yet. Add them under Settings.</p></td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.className = row.overdue > 0 ? 'workload-overdue' : '';
+        tr.innerHTML = `
+            <td><a href="#" class="workload-member"><strong>${escapeHtml(row.member.name)}</strong></a></td>
+            <td>${escapeHtml(row.member.role)}</td>
+            <td>${row.openOpportunities}</td>
+            <td>${row.openTasks}</td>
+            <td>${row.dueThisWeek}</td>
+            <td>${row.overdue > 0 ? `<span class="badge badge-lost">${row.overdue}</span>` : '0'}</td>
+        `;
+
+        // Jump to the person's tasks
+        tr.querySelector('.workload-member').addEventListener('click', event => {
+            event.preventDefault();
+            document.getElementById('task-search').value = row.member.name;
+            switchTab('tasks');
+            renderTasks();
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+// ===========================
+// Tab Navigation
+// ===========================
+
+function initializeEventListeners() {
+    // Tab navigation
+    const tabButtons = document.querySelectorAll('.tab-btn');
+    tabButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            const targetTab = this.getAttribute('data-tab');
+            switchTab(targetTab);
+        });
+    });
+    
+    // Opportunity modal controls
+    document.getElementById('add-opportunity-btn').addEventListener('click', openAddOpportunityModal);
+    document.getElementById('close-opportunity-modal').addEventListener('click', closeOpportunityModal);
+    document.getElementById('cancel-opportunity-btn').addEventListener('click', closeOpportunityModal);
+    document.getElementById('opportunity-form').addEventListener('submit', saveOpportunity);
+    document.getElementById('apply-template-btn').addEventListener('click', applyOpportunityTemplate);
+    
+    // Account modal controls
+    document.getElementById('add-account-btn').addEventListener('click', openAddAccountModal);
+    document.getElementById('close-account-modal').addEventListener('click', closeAccountModal);
+    document.getElementById('cancel-account-btn').addEventListener('click', closeAccountModal);
+    document.getElementById('add-contact-btn').addEventListener('click', () => addContactRow());
+    document.getElementById('account-form').addEventListener('submit', saveAccount);
+    document.getElementById('account-search').addEventListener('input', debounce(renderAccounts, 300));
+
+    // Task modal controls
+    document.getElementById('add-task-btn').addEventListener('click', openAddTaskModal);
+    document.getElementById('close-task-modal').addEventListener('click', closeTaskModal);
+    document.getElementById('cancel-task-btn').addEventListener('click', closeTaskModal);
+    document.getElementById('task-form').addEventListener('submit', saveTask);
+    document.getElementById('task-recurrence-frequency').addEventListener('change', updateRecurrenceFields);
+    document.getElementById('task-recurrence-end').addEventListener('change', updateRecurrenceFields);
+    document.getElementById('close-occurrence-scope-modal').addEventListener('click', closeOccurrenceScopeModal);
+    document.getElementById('cancel-occurrence-scope-btn').addEventListener('click', closeOccurrenceScopeModal);
+    document.getElementById('occurrence-scope-this').addEventListener('click', () => applyOccurrenceScope('this'));
+    document.getElementById('occurrence-scope-future').addEventListener('click', () => applyOccurrenceScope('future'));
+    document.getElementById('task-opportunity').addEventListener('change', () => {
+        renderTaskDependencyOptions(getSelectedDependencyIds());
+    });
+
+    // CSV import modal controls
+    document.getElementById('close-csv-import-modal').addEventListener('click', closeCSVImportModal);
+    document.getElementById('cancel-csv-import-btn').addEventListener('click', closeCSVImportModal);
+    document.getElementById('csv-import-file').addEventListener('change', handleCSVFileSelected);
+    document.getElementById('csv-import-type').addEventListener('change', renderCSVMapping);
+    document.getElementById('csv-import-submit').addEventListener('click', importCSVRows);
+
+    // Chart drill-down
+    document.getElementById('clear-drilldown-btn').addEventListener('click', clearOpportunityDrillDown);
+
+    // Dashboard filters
+    document.getElementById('dash-date-preset').addEventListener('change', applyDashboardDatePreset);
+    ['dash-date-field', 'dash-date-from', 'dash-date-to', ...Object.values(DASHBOARD_SEGMENT_FILTERS)].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            if (id === 'dash-date-from' || id === 'dash-date-to') {
+                document.getElementById('dash-date-preset').value = '';
+            }
+            updateDashboard();
+        });
+    });
+    document.getElementById('clear-dashboard-filters-btn').addEventListener('click', clearDashboardFilters);
+
+    // iCalendar modal controls
+    document.getElementById('ics-export-btn').addEventListener('click', openICSExportModal);
+    document.getElementById('close-ics-export-modal').addEventListener('click', closeICSExportModal);
+    document.getElementById('cancel-ics-export-btn').addEventListener('click', closeICSExportModal);
+    document.getElementById('ics-export-submit').addEventListener('click', exportTasksToICS);
+    document.getElementById('ics-import-btn').addEventListener('click', openICSImportModal);
+    document.getElementById('close-ics-import-modal').addEventListener('click', closeICSImportModal);
+    document.getElementById('cancel-ics-import-btn').addEventListener('click', closeICSImportModal);
+    document.getElementById('ics-import-file').addEventListener('change', handleICSFileSelected);
+    document.getElementById('ics-import-submit').addEventListener('click', importICSEvents);
+    ['ics-export-opportunity', 'ics-export-assignee', 'ics-export-from', 'ics-export-to', 'ics-export-completed'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateICSExportSummary);
+    });
+
+    // Timeline controls
+    document.getElementById('timeline-opportunity').addEventListener('change', renderTimeline);
+
+    // Forecast controls
+    document.getElementById('forecast-granularity').addEventListener('change', renderForecast);
+    document.getElementById('forecast-breakdown').addEventListener('change', renderForecast);
+
+    // Win/loss controls
+    document.getElementById('opp-status').addEventListener('change', updateOutcomeSection);
+    document.getElementById('winloss-dimension').addEventListener('change', renderWinLossReport);
+    document.getElementById('close-outcome-modal').addEventListener('click', closeOutcomeModal);
+    document.getElementById('cancel-outcome-btn').addEventListener('click', closeOutcomeModal);
+    document.getElementById('outcome-submit').addEventListener('click', applyOutcomeModal);
+
+    // Settings controls
+    document.getElementById('add-stage-btn').addEventListener('click', addPipelineStage);
+    document.getElementById('add-model-btn').addEventListener('click', addQualificationModel);
+    document.getElementById('add-member-btn').addEventListener('click', addTeamMember);
+    document.getElementById('workload-role-filter').addEventListener('change', renderWorkload);
+    document.getElementById('task-assigned-to').addEventListener('change', function() {
+        // Assigning someone defaults the task role to theirs
+        const member = teamMembers.find(item => item.name === this.value);
+        if (member) {
+            document.getElementById('task-role').value = member.role;
+        }
+    });
+    document.getElementById('base-currency').addEventListener('change', function() {
+        setBaseCurrency(this.value);
+    });
+    document.getElementById('stage-gate-admins').addEventListener('change', function() {
+        saveStageGateAdmins(this.value);
+    });
+    document.getElementById('new-stage-name').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') {
+            addPipelineStage();
+        }
+    });
+
+    // History modal controls
+    document.getElementById('close-history-modal').addEventListener('click', closeHistoryModal);
+    document.getElementById('current-user-btn').addEventListener('click', changeCurrentUser);
+
+    // Undo/redo controls
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+    document.getElementById('recent-actions-btn').addEventListener('click', toggleRecentActions);
+
+    // JSON import modal controls
+    document.getElementById('close-json-import-modal').addEventListener('click', closeJSONImportModal);
+    document.getElementById('cancel-json-import-btn').addEventListener('click', closeJSONImportModal);
+    document.getElementById('json-import-submit').addEventListener('click', applyJSONImport);
+    document.getElementById('json-merge-default').addEventListener('change', renderJSONImportPreview);
+    document.querySelectorAll('input[name="json-import-mode"]').forEach(radio => {
+        radio.addEventListener('change', renderJSONImportPreview);
+    });
+    
+    // Auto-calculation for opportunities
+    document.getElementById('opp-deal-value').addEventListener('input', updateOpportunityCalculations);
+    document.getElementById('opp-currency').addEventListener('change', updateOpportunityCalculations);
+    document.getElementById('opp-account').addEventListener('change', handleOpportunityAccountChange);
+    document.getElementById('opp-probability').addEventListener('input', updateOpportunityCalculations);
+    document.getElementById('opp-qualification-model').addEventListener('change', function() {
+        // Criteria shared between models keep their scores
+        renderQualificationCriteria(getQualificationFormScores());
+    });
+    
+    // Search and filter with debouncing
+    const debouncedRenderOpportunities = debounce(renderOpportunities, 300);
+    const debouncedRenderTasks = debounce(renderTasks, 300);
+    
+    document.getElementById('opp-search').addEventListener('input', debouncedRenderOpportunities);
+    document.getElementById('opp-filter-stage').addEventListener('change', renderOpportunities);
+    document.getElementById('opp-filter-status').addEventListener('change', renderOpportunities);
+    document.getElementById('task-search').addEventListener('input', debouncedRenderTasks);
+    document.getElementById('kanban-search').addEventListener('input', debounce(renderKanbanBoard, 300));
+    [...Object.values(KANBAN_FILTERS), 'kanban-swimlane', 'kanban-sort'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderKanbanBoard);
+    });
+    document.getElementById('clear-kanban-filters-btn').addEventListener('click', clearKanbanFilters);
+    document.getElementById('task-filter-status').addEventListener('change', renderTasks);
+    document.getElementById('task-filter-opportunity').addEventListener('change', renderTasks);
+    
+    // Close modal when clicking on backdrop only
+    window.addEventListener('click', function(event) {
+        const oppModal = document.getElementById('opportunity-modal');
+        const taskModal = document.getElementById('task-modal');
+        const csvImportModal = document.getElementById('csv-import-modal');
+        const jsonImportModal = document.getElementById('json-import-modal');
+        const historyModal = document.getElementById('history-modal');
+        const outcomeModal = document.getElementById('outcome-modal');
+        const accountModal = document.getElementById('account-modal');
+        const occurrenceScopeModal = document.getElementById('occurrence-scope-modal');
+        const icsExportModal = document.getElementById('ics-export-modal');
+        const icsImportModal = document.getElementById('ics-import-modal');
+
+        if (event.target === oppModal) {
+            closeOpportunityModal();
+        }
+        if (event.target === accountModal) {
+            closeAccountModal();
+        }
+        if (event.target === taskModal) {
+            closeTaskModal();
+        }
+        if (event.target === csvImportModal) {
+            closeCSVImportModal();
+        }
+        if (event.target === jsonImportModal) {
+            closeJSONImportModal();
+        }
+        if (event.target === historyModal) {
+            closeHistoryModal();
+        }
+        if (event.target === outcomeModal) {
+            closeOutcomeModal();
+        }
+        if (event.target === occurrenceScopeModal) {
+            closeOccurrenceScopeModal();
+        }
+        if (event.target === icsExportModal) {
+            closeICSExportModal();
+        }
+        if (event.target === icsImportModal) {
+            closeICSImportModal();
+        }
+
+        // Close the recent actions panel when clicking elsewhere
+        if (!event.target.closest('.recent-actions')) {
+            document.getElementById('recent-actions-panel').classList.remove('active');
+        }
+    });
+
+    // Keyboard navigation
+    document.addEventListener('keydown', function(event) {
+        // Escape key closes modals
+        if (event.key === 'Escape') {
+            // The scope prompt sits over the task form; dismiss it and leave the form open
+            const occurrenceScopeModal = document.getElementById('occurrence-scope-modal');
+            if (occurrenceScopeModal.classList.contains('active')) {
+                closeOccurrenceScopeModal();
+                return;
+            }
+
+            const oppModal = document.getElementById('opportunity-modal');
+            const taskModal = document.getElementById('task-modal');
+            const csvImportModal = document.getElementById('csv-import-modal');
+            const jsonImportModal = document.getElementById('json-import-modal');
+            const historyModal = document.getElementById('history-modal');
+            const outcomeModal = document.getElementById('outcome-modal');
+            const accountModal = document.getElementById('account-modal');
+            const icsExportModal = document.getElementById('ics-export-modal');
+            const icsImportModal = document.getElementById('ics-import-modal');
+
+            if (oppModal.classList.contains('active')) {
+                closeOpportunityModal();
+            }
+            if (accountModal.classList.contains('active')) {
+                closeAccountModal();
+            }
+            if (taskModal.classList.contains('active')) {
+                closeTaskModal();
+            }
+            if (csvImportModal.classList.contains('active')) {
+                closeCSVImportModal();
+            }
+            if (jsonImportModal.classList.contains('active')) {
+                closeJSONImportModal();
+            }
+            if (historyModal.classList.contains('active')) {
+                closeHistoryModal();
+            }
+            if (outcomeModal.classList.contains('active')) {
+                closeOutcomeModal();
+            }
+            if (icsExportModal.classList.contains('active')) {
+                closeICSExportModal();
+            }
+            if (icsImportModal.classList.contains('active')) {
+                closeICSImportModal();
+            }
+        }
+
+        // Ctrl/Cmd + Z for undo, Ctrl/Cmd + Shift + Z for redo; text fields keep their native undo
+        const isEditingText = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z' && !isEditingText) {
+            event.preventDefault();
+            if (event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        }
+
+        // Ctrl/Cmd + E for export
+        if ((event.ctrlKey || event.metaKey) && event.key === 'e') {
+            event.preventDefault();
+            exportToJSON();
+        }
+
+        // Ctrl/Cmd + I for import
+        if ((event.ctrlKey || event.metaKey) && event.key === 'i') {
+            event.preventDefault();
+            importFromJSON();
+        }
+    });
+}
+
+function switchTab(tabName) {
+    // Update tab buttons
+    const tabButtons = document.querySelectorAll('.tab-btn');
+    tabButtons.forEach(btn => {
+        if (btn.getAttribute('data-tab') === tabName) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+    
+    // Update tab content
+    const tabContents = document.querySelectorAll('.tab-content');
+    tabContents.forEach(content => {
+        content.classList.remove('active');
+    });
+    
+    document.getElementById(`${tabName}-tab`).classList.add('active');
+    
+    // Refresh data based on tab
+    if (tabName === 'dashboard') {
+        updateDashboard();
+    } else if (tabName === 'calendar') {
+        renderCalendar();
+    } else if (tabName === 'timeline') {
+        renderTimeline();
+    } else if (tabName === 'kanban') {
+        renderKanbanBoard();
+    } else if (tabName === 'forecast') {
+        renderForecast();
+    } else if (tabName === 'winloss') {
+        renderWinLossReport();
+    } else if (tabName === 'accounts') {
+        renderAccounts();
+    } else if (tabName === 'team') {
+        renderWorkload();
+    } else if (tabName === 'settings') {
+        renderStageSettings();
+        renderQualificationSettings();
+        renderCurrencySettings();
+        renderTeamSettings();
+    }
+}
+
+// ===========================
+// Opportunity Modal Functions
+// ===========================
+
+function openAddOpportunityModal() {
+    currentEditingOpportunity = null;
+    document.getElementById('opportunity-modal-title').textContent = 'Add Opportunity';
+    document.getElementById('opportunity-form').reset();
+    populateStageSelects();
+    populateAccountSelect();
+    renderOpportunityContacts([]);
+    populateOwnerPickers({});
+    populateQualificationModelSelect();
+    renderQualificationCriteria({});
+    document.getElementById('opp-currency').value = baseCurrency;
+    updateOpportunityCalculations();
+    updateOutcomeSection();
+    document.getElementById('opp-templates-section').style.display = 'none';
+    document.getElementById('opportunity-modal').classList.add('active');
+
+    // Focus first input
+    setTimeout(() => {
+        document.getElementById('opp-name').focus();
+    }, 100);
+}
+
+function openEditOpportunityModal(id) {
+    const opportunity = opportunities.find(opp => opp.id === id);
+    if (!opportunity) return;
+    
+    currentEditingOpportunity = id;
+    document.getElementById('opportunity-modal-title').textContent = 'Edit Opportunity';
+    
+    // Populate form
+    document.getElementById('opp-name').value = opportunity.name || '';
+    populateAccountSelect(opportunity.accountId);
+    renderOpportunityContacts(opportunity.contactIds || []);
+    document.getElementById('opp-industry').value = opportunity.industry || 'Healthcare';
+    populateOwnerPickers(opportunity);
+    document.getElementById('opp-tech-type').value = opportunity.techType || 'AI';
+    document.getElementById('opp-source').value = opportunity.source || 'RFP';
+    document.getElementById('opp-date-identified').value = opportunity.dateIdentified || '';
+    document.getElementById('opp-expected-close').value = opportunity.expectedClose || '';
+    populateStageSelects(opportunity.stage);
+    document.getElementById('opp-stage').value = opportunity.stage || getActiveStages()[0].name;
+    document.getElementById('opp-status').value = opportunity.status || 'Open';
+    document.getElementById('opp-deal-value').value = opportunity.dealValue || 0;
+    document.getElementById('opp-currency').value = opportunity.currency || baseCurrency;
+    document.getElementById('opp-probability').value = opportunity.probability || 0;
+    document.getElementById('opp-competition').value = opportunity.competition || '';
+    document.getElementById('opp-outcome-reason').value = opportunity.outcomeReason || '';
+    document.getElementById('opp-outcome-notes').value = opportunity.outcomeNotes || '';
+    document.getElementById('opp-winning-competitor').value = opportunity.winningCompetitor || '';
+    updateOutcomeSection();
+    populateQualificationModelSelect(opportunity.qualificationModel);
+    renderQualificationCriteria(opportunity.qualification || {});
+    
+    updateOpportunityCalculations();
+
+    // Templates add tasks straight away, so they're offered once the opportunity exists
+    populateOpportunityTemplateSelect();
+    document.getElementById('opp-templates-section').style.display = 'block';
+
+    document.getElementById('opportunity-modal').classList.add('active');
+
+    // Focus first input
+    setTimeout(() => {
+        document.getElementById('opp-name').focus();
+    }, 100);
+}
+
+function closeOpportunityModal() {
+    document.getElementById('opportunity-modal').classList.remove('active');
+    currentEditingOpportunity = null;
+}
+
+function updateOpportunityCalculations() {
+    const dealValue = parseFloat(document.getElementById('opp-deal-value').value) || 0;
+    const probability = parseFloat(document.getElementById('opp-probability').value) || 0;
+    const expectedRevenue = calculateExpectedRevenue(dealValue, probability);
+    
+    const currency = document.getElementById('opp-currency').value;
+    
+    document.getElementById('opp-expected-revenue').value = formatCurrency(expectedRevenue, currency);
+}
+
+function updateQualificationCalculations() {
+    const model = getQualificationModel(document.getElementById('opp-qualification-model').value);
+    const qualification = calculateQualification(model, getQualificationFormScores());
+    
+    document.getElementById('opp-qualification-total').value = qualification.total;
+    document.getElementById('opp-qualification-percent').value = `${qualification.percent.toFixed(0)}%`;
+    document.getElementById('opp-qualification-summary').value = qualification.summary;
+}
+
+function saveOpportunity(event) {
+    event.preventDefault();
+    
+    const dealValue = parseFloat(document.getElementById('opp-deal-value').value) || 0;
+    const probability = parseFloat(document.getElementById('opp-probability').value) || 0;
+    const model = getQualificationModel(document.getElementById('opp-qualification-model').value);
+    const scores = getQualificationFormScores();
+    
+    const qualification = calculateQualification(model, scores);
+    const expectedRevenue = calculateExpectedRevenue(dealValue, probability);
+    const existing = opportunities.find(opp => opp.id === currentEditingOpportunity);
+    const account = accounts.find(item => item.id === document.getElementById('opp-account').value);
+    if (!account) {
+        showWarning('Please choose an account');
+        document.getElementById('opp-account').focus();
+        return;
+    }
+    
+    const opportunityData = {
+        // Keep fields the form doesn't edit, such as stage-gate overrides
+        ...existing,
+        id: currentEditingOpportunity || generateOpportunityID(),
+        name: document.getElementById('opp-name').value,
+        ...getAccountLinkFields(account, getSelectedContactIds()),
+        industry: document.getElementById('opp-industry').value,
+        salesOwner: document.getElementById('opp-sales-owner').value,
+        preSalesOwner: document.getElementById('opp-presales-owner').value,
+        ba: document.getElementById('opp-ba').value,
+        techType: document.getElementById('opp-tech-type').value,
+        source: document.getElementById('opp-source').value,
+        dateIdentified: document.getElementById('opp-date-identified').value,
+        expectedClose: document.getElementById('opp-expected-close').value,
+        stage: document.getElementById('opp-stage').value,
+        status: document.getElementById('opp-status').value,
+        dealValue: dealValue,
+        currency: document.getElementById('opp-currency').value,
+        probability: probability,
+        expectedRevenue: expectedRevenue,
+        competition: document.getElementById('opp-competition').value,
+        qualificationModel: model.id,
+        qualification: scores,
+        qualificationTotal: qualification.total,
+        qualificationPercent: qualification.percent,
+        qualificationSummary: qualification.summary,
+        updatedAt: new Date().toISOString()
+    };
+    
+    // Closing a deal records why it was won or lost
+    if (CLOSED_STATUSES.includes(opportunityData.status)) {
+        opportunityData.outcomeReason = document.getElementById('opp-outcome-reason').value;
+        opportunityData.outcomeNotes = document.getElementById('opp-outcome-notes').value.trim();
+        opportunityData.winningCompetitor = opportunityData.status === 'Lost'
+            ? document.getElementById('opp-winning-competitor').value.trim()
+            : '';
+
+        if (!opportunityData.outcomeReason && (!existing || existing.status !== opportunityData.status)) {
+            showWarning(`Please select why this opportunity was ${opportunityData.status.toLowerCase()}`);
+            document.getElementById('opp-outcome-reason').focus();
+            return;
+        }
+    } else {
+        // A reopened deal no longer has an outcome
+        clearOpportunityOutcome(opportunityData);
+    }
+    recordClosure(opportunityData, existing ? existing.status : null, opportunityData.updatedAt);
+
+    // Entering a new stage must satisfy its entry criteria
+    let gateOverridden = false;
+    if (!existing || existing.stage !== opportunityData.stage) {
+        const gate = checkStageGate(opportunityData, opportunityData.stage);
+        if (!gate.allowed) {
+            return;
+        }
+        if (gate.override) {
+            opportunityData.lastStageGateOverride = gate.override;
+            gateOverridden = true;
+        }
+    }
+    
+    recordStageTransition(opportunityData, opportunityData.stage, opportunityData.updatedAt);
+    
+    const changes = [];
+
+    if (currentEditingOpportunity) {
+        // Update existing
+        const index = opportunities.findIndex(opp => opp.id === currentEditingOpportunity);
+        if (index !== -1) {
+            recordChange(changes, 'opportunity', gateOverridden ? 'stage_gate_override' : 'update', opportunities[index], opportunityData);
+            opportunities[index] = opportunityData;
+        }
+    } else {
+        // Add new
+        recordChange(changes, 'opportunity', 'create', null, opportunityData);
+        opportunities.push(opportunityData);
+    }
+
+    // Entering a stage brings in its template tasks, undone together with the save
+    const templateTaskCount = !existing || existing.stage !== opportunityData.stage
+        ? applyStageTaskTemplates(opportunityData, opportunityData.stage, changes)
+        : 0;
+
+    addToUndoStack({
+        type: currentEditingOpportunity ? 'update_opportunity' : 'create_opportunity',
+        description: `${currentEditingOpportunity ? 'Edit' : 'Add'} opportunity "${opportunityData.name}"${templateTaskCount > 0 ? ` (+${templateTaskCount} template tasks)` : ''}`,
+        changes: changes
+    });
+    
+    if (templateTaskCount > 0) {
+        saveTasksToStorage();
+        renderTasks();
+    }
+    saveOpportunitiesToStorage();
+    renderOpportunities();
+    renderAccounts();
+    updateTaskOpportunityFilters();
+    updateDashboard();
+    closeOpportunityModal();
+    if (!existing || existing.stage !== opportunityData.stage) {
+        warnIfOverWipLimit(opportunityData.stage);
+    }
+}
+
+function deleteOpportunity(id) {
+    if (!confirm('Are you sure you want to delete this opportunity? All associated tasks will also be deleted.')) {
+        return;
+    }
+
+    // Find opportunity and associated tasks
+    const opportunity = opportunities.find(opp => opp.id === id);
+    const associatedTasks = tasks.filter(task => task.opportunityId === id);
+
+    const changes = [];
+    recordChange(changes, 'opportunity', 'delete', opportunity, null);
+    associatedTasks.forEach(task => recordChange(changes, 'task', 'delete', task, null));
+
+    // Add to undo stack
+    addToUndoStack({
+        type: 'delete_opportunity',
+        description: `Delete opportunity "${opportunity.name}"`,
+        changes: changes
+    });
+
+    // Delete opportunity
+    opportunities = opportunities.filter(opp => opp.id !== id);
+    saveOpportunitiesToStorage();
+
+    // Delete associated tasks
+    tasks = tasks.filter(task => task.opportunityId !== id);
+    saveTasksToStorage();
+
+    renderOpportunities();
+    renderTasks();
+    renderAccounts();
+    updateTaskOpportunityFilters();
+    updateDashboard();
+
+    // Show undo toast
+    showUndoToast('Opportunity deleted');
+}
+
+// ===========================
+// Overdue Detection Functions
+// ===========================
+
+const OVERDUE_CHECK_INTERVAL = 10 * 60 * 1000;
+
+function getOverdueSince(task) {
+    return isRecurringTask(task) && !task.occurrenceDate ? getMissedOccurrence(task) : task.dueDate;
+}
+
+function getDaysOverdue(task) {
+    return daysBetween(getOverdueSince(task), formatDate(new Date()));
+}
+
+// Overdue is derived from the due date rather than written into the status, so only the first slip is stored
+function flagOverdueTasks() {
+    const flagged = [];
+    const updatedAt = new Date().toISOString();
+
+    tasks.forEach((task, index) => {
+        if (!isTaskOverdue(task) || task.firstSlippedOn) return;
+
+        const after = {
+            ...task,
+            firstSlippedOn: shiftDate(getOverdueSince(task), 1),
+            updatedAt: updatedAt
+        };
+        const entry = recordAudit('task', 'overdue', task, after);
+        if (entry) {
+            entry.user = 'Automatic check';
+        }
+        tasks[index] = after;
+        flagged.push(after);
+    });
+
+    if (flagged.length > 0) {
+        saveTasksToStorage();
+    }
+    return flagged;
+}
+
+function checkOverdueTasks() {
+    const flagged = flagOverdueTasks();
+    if (flagged.length === 0) return;
+
+    renderTasks();
+    updateDashboard();
+    if (document.getElementById('calendar-tab').classList.contains('active')) {
+        renderCalendar();
+    }
+    if (document.getElementById('team-tab').classList.contains('active')) {
+        renderWorkload();
+    }
+    showWarning(`${flagged.length} task${flagged.length === 1 ? ' is' : 's are'} past due`);
+}
+
+function renderOverdueTasks(recordTasks) {
+    const overdue = recordTasks.filter(isTaskOverdue).sort((a, b) => getOverdueSince(a).localeCompare(getOverdueSince(b)));
+    document.getElementById('overdue-tasks-count').textContent = overdue.length;
+
+    const list = document.getElementById('overdue-tasks-list');
+    if (overdue.length === 0) {
+        list.innerHTML = '<p class="empty-state">No open tasks are past their due date.</p>';
+        return;
+    }
+
+    list.innerHTML = '';
+    overdue.forEach(task => {
+        const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
+        const row = document.createElement('div');
+        row.className = 'qualification-breakdown-row overdue-task-row';
+        row.title = task.firstSlippedOn ? `First slipped on ${task.firstSlippedOn}` : '';
+        row.innerHTML = `
+            <span>${escapeHtml(task.taskName)} <span class="model-tag">${escapeHtml(opportunity ? opportunity.name : 'N/A')}</span> <span class="settings-meta">${escapeHtml(task.assignedTo || 'Unassigned')}</span></span>
+            <span class="stat-danger">${getDaysOverdue(task)} days</span>
+        `;
+        row.addEventListener('click', () => openEditTaskModal(task.id));
+        list.appendChild(row);
+    });
+}
+
+// ===========================
+// Recurring Task Functions
+// ===========================
+
+// A recurring task is stored once, as a series anchored on its due date; the calendar
+// works out each occurrence from the rule rather than storing copies
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let currentEditingOccurrence = null;
+let pendingOccurrenceChange = null;
+
+function isRecurringTask(task) {
+    return !!(task.recurrence && task.recurrence.frequency);
+}
+
+function formatWeekdays(weekdays) {
+    // Weeks run Monday to Sunday
+    return [...weekdays].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => WEEKDAY_NAMES[day]).join(', ');
+}
+
+function describeRecurrence(recurrence) {
+    const interval = recurrence.interval || 1;
+    const unit = RECURRENCE_UNITS[recurrence.frequency];
+    let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays && recurrence.weekdays.length > 0) {
+        text += ` on ${formatWeekdays(recurrence.weekdays)}`;
+    }
+    if (recurrence.until) {
+        text += ` until ${recurrence.until}`;
+    } else if (recurrence.count) {
+        text += `, ${recurrence.count} times`;
+    }
+    return text;
+}
+
+// Skipped dates still count towards an occurrence limit, as iCalendar counts EXDATE against COUNT
+function getTaskOccurrences(task, from, to, includeSkipped = false) {
+    if (!isRecurringTask(task) || !task.dueDate) return [];
+
+    const rule = task.recurrence;
+    const interval = Math.max(1, rule.interval || 1);
+    const anchor = toDayNumber(task.dueDate);
+    const last = Math.min(toDayNumber(to), rule.until ? toDayNumber(rule.until) : Infinity);
+    const skipped = rule.excludedDates || [];
+    const dates = [];
+    let generated = 0;
+
+    // Returns false once the series has run past the window or its limit
+    const accept = day => {
+        if (day > last || (rule.count && generated >= rule.count)) return false;
+        generated++;
+        const date = fromDayNumber(day);
+        if (date >= from && (includeSkipped || !skipped.includes(date))) {
+            dates.push(date);
+        }
+        return true;
+    };
+
+    if (rule.frequency === 'daily') {
+        let day = anchor;
+        while (accept(day)) {
+            day += interval;
+        }
+    } else if (rule.frequency === 'weekly') {
+        const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [new Date(anchor * MS_PER_DAY).getUTCDay()];
+        const offsets = weekdays.map(day => (day + 6) % 7).sort((a, b) => a - b);
+        const firstMonday = anchor - (new Date(anchor * MS_PER_DAY).getUTCDay() + 6) % 7;
+        let running = true;
+        for (let monday = firstMonday; running; monday += 7 * interval) {
+            for (const offset of offsets) {
+                if (monday + offset < anchor) continue;
+                if (!accept(monday + offset)) {
+                    running = false;
+                    break;
+                }
+            }
+        }
+    } else if (rule.frequency === 'monthly') {
+        // Months too short for the anchor day fall on their last day
+        const [year, month, dayOfMonth] = task.dueDate.split('-').map(Number);
+        for (let step = 0; ; step += interval) {
+            const daysInMonth = new Date(Date.UTC(year, month + step, 0)).getUTCDate();
+            if (!accept(Math.round(Date.UTC(year, month - 1 + step, Math.min(dayOfMonth, daysInMonth)) / MS_PER_DAY))) break;
+        }
+    }
+
+    return dates;
+}
+
+function getNextOccurrence(task, from) {
+    const horizon = shiftDate(from, 366 * Math.max(1, task.recurrence.interval || 1));
+    return getTaskOccurrences(task, from, horizon)[0] || null;
+}
+
+// The earliest past occurrence since the last one split off the series, which is what makes it overdue
+function getMissedOccurrence(task) {
+    const today = formatDate(new Date());
+    const handled = (task.recurrence.excludedDates || []).filter(date => date < today).sort().pop();
+    return getTaskOccurrences(task, handled ? shiftDate(handled, 1) : task.dueDate, shiftDate(today, -1))[0] || null;
+}
+
+// One occurrence of a series, shaped like an ordinary task due on that date
+function buildOccurrence(task, date) {
+    const lead = task.startDate ? toDayNumber(task.dueDate) - toDayNumber(task.startDate) : null;
+    return {
+        ...task,
+        dueDate: date,
+        startDate: lead === null ? '' : shiftDate(date, -lead),
+        occurrenceDate: date
+    };
+}
+
+function updateRecurrenceFields() {
+    const frequency = document.getElementById('task-recurrence-frequency').value;
+    const end = document.getElementById('task-recurrence-end').value;
+
+    document.querySelectorAll('#task-form .recurrence-field').forEach(field => {
+        field.style.display = frequency ? '' : 'none';
+    });
+    if (!frequency) return;
+
+    document.getElementById('task-recurrence-unit').textContent = `${RECURRENCE_UNITS[frequency]}s`;
+    document.getElementById('task-recurrence-weekdays-group').style.display = frequency === 'weekly' ? '' : 'none';
+    document.getElementById('task-recurrence-until-group').style.display = end === 'until' ? '' : 'none';
+    document.getElementById('task-recurrence-count-group').style.display = end === 'count' ? '' : 'none';
+}
+
+function populateRecurrenceFields(recurrence) {
+    const rule = recurrence || {};
+    document.getElementById('task-recurrence-frequency').value = rule.frequency || '';
+    document.getElementById('task-recurrence-interval').value = rule.interval || 1;
+    document.querySelectorAll('#task-recurrence-weekdays input').forEach(input => {
+        input.checked = (rule.weekdays || []).includes(parseInt(input.value));
+    });
+    document.getElementById('task-recurrence-end').value = rule.until ? 'until' : (rule.count ? 'count' : 'never');
+    document.getElementById('task-recurrence-until').value = rule.until || '';
+    document.getElementById('task-recurrence-count').value = rule.count || 10;
+    updateRecurrenceFields();
+}
+
+function getRecurrenceFromForm(dueDate, existing) {
+    const frequency = document.getElementById('task-recurrence-frequency').value;
+    if (!frequency) return null;
+
+    const end = document.getElementById('task-recurrence-end').value;
+    let weekdays = [...document.querySelectorAll('#task-recurrence-weekdays input:checked')].map(input => parseInt(input.value));
+    if (frequency === 'weekly' && weekdays.length === 0 && dueDate) {
+        weekdays = [new Date(toDayNumber(dueDate) * MS_PER_DAY).getUTCDay()];
+    }
+
+    return {
+        frequency: frequency,
+        interval: Math.max(1, parseInt(document.getElementById('task-recurrence-interval').value) || 1),
+        weekdays: frequency === 'weekly' ? weekdays : [],
+        until: end === 'until' ? document.getElementById('task-recurrence-until').value : '',
+        count: end === 'count' ? Math.max(1, parseInt(document.getElementById('task-recurrence-count').value) || 1) : null,
+        // Occurrences already split off the series stay skipped
+        excludedDates: existing && existing.excludedDates ? existing.excludedDates : []
+    };
+}
+
+function openOccurrenceScopeModal(change) {
+    const task = tasks.find(item => item.id === change.taskId);
+    pendingOccurrenceChange = change;
+
+    document.getElementById('occurrence-scope-title').textContent = change.completing ? 'Complete Recurring Task' : 'Edit Recurring Task';
+    document.getElementById('occurrence-scope-help').textContent = change.completing
+        ? `"${task.taskName}" repeats (${describeRecurrence(task.recurrence)}). Complete only the occurrence on ${change.occurrenceDate}, or complete it and stop repeating?`
+        : `"${task.taskName}" repeats (${describeRecurrence(task.recurrence)}). Apply your changes to the occurrence on ${change.occurrenceDate} only, or to it and every later occurrence?`;
+    document.getElementById('occurrence-scope-modal').classList.add('active');
+}
+
+function closeOccurrenceScopeModal() {
+    document.getElementById('occurrence-scope-modal').classList.remove('active');
+    pendingOccurrenceChange = null;
+}
+
+function applyOccurrenceScope(scope) {
+    const change = pendingOccurrenceChange;
+    closeOccurrenceScopeModal();
+    if (change) {
+        applyOccurrenceChange(change, scope);
+    }
+}
+
+// "this" splits the occurrence off the series; "future" ends the series the day before and starts a new one
+function applyOccurrenceChange(change, scope) {
+    const index = tasks.findIndex(task => task.id === change.taskId);
+    if (index === -1) return;
+
+    const series = tasks[index];
+    const date = change.occurrenceDate;
+    const updatedAt = new Date().toISOString();
+    // Split-off tasks are one-offs; seriesId is what ties them back to the series
+    const { recurrence, occurrenceDate, ...occurrence } = buildOccurrence(series, date);
+    const changes = [];
+
+    const replaceSeries = after => {
+        recordChange(changes, 'task', 'update', series, after);
+        tasks[index] = after;
+    };
+    const addTask = record => {
+        recordChange(changes, 'task', 'create', null, record);
+        tasks.push(record);
+    };
+    const splitOff = fields => ({ ...occurrence, ...fields, id: generateTaskID(), seriesId: series.id, updatedAt: updatedAt });
+    const endSeriesBefore = () => ({
+        ...series,
+        recurrence: { ...recurrence, until: shiftDate(date, -1), count: null },
+        updatedAt: updatedAt
+    });
+
+    // Occurrences the series produced before this one, skipped ones included
+    const earlier = getTaskOccurrences(series, series.dueDate, shiftDate(date, -1), true);
+
+    if (scope === 'this') {
+        replaceSeries({
+            ...series,
+            recurrence: { ...recurrence, excludedDates: [...(recurrence.excludedDates || []), date] },
+            updatedAt: updatedAt
+        });
+        addTask(splitOff({ ...change.fields, recurrence: null }));
+    } else if (change.completing) {
+        // Completing the rest of the series stops it at this occurrence
+        if (earlier.length === 0) {
+            replaceSeries({ ...occurrence, ...change.fields, id: series.id, recurrence: null, updatedAt: updatedAt });
+        } else {
+            replaceSeries(endSeriesBefore());
+            addTask(splitOff({ ...change.fields, recurrence: null }));
+        }
+    } else if (earlier.length === 0) {
+        replaceSeries({ ...series, ...change.fields, id: series.id, updatedAt: updatedAt });
+    } else {
+        const rule = change.fields.recurrence;
+        replaceSeries(endSeriesBefore());
+        addTask({
+            ...series,
+            ...change.fields,
+            id: generateTaskID(),
+            recurrence: rule ? {
+                ...rule,
+                // An unchanged occurrence limit covers the whole series, so count what already happened
+                count: rule.count && rule.count === recurrence.count ? Math.max(1, rule.count - earlier.length) : rule.count,
+                excludedDates: (rule.excludedDates || []).filter(skipped => skipped >= (change.fields.dueDate || date))
+            } : null,
+            updatedAt: updatedAt
+        });
+    }
+
+    const verb = change.completing ? 'Complete' : 'Edit';
+    addToUndoStack({
+        type: 'update_task',
+        description: `${verb} "${series.taskName}" on ${date}${scope === 'future' ? ' and after' : ''}`,
+        changes: changes
+    });
+
+    saveTasksToStorage();
+    closeTaskModal();
+    renderTasks();
+    updateDashboard();
+    if (document.getElementById('calendar-tab').classList.contains('active')) {
+        renderCalendar();
+        if (selectedCalendarDate) {
+            showTasksForDate(selectedCalendarDate);
+        }
+    }
+}
+
+function completeTaskFromCalendar(taskId, occurrenceDate) {
+    const task = tasks.find(item => item.id === taskId);
+    if (!task) return;
+
+    if (occurrenceDate && isRecurringTask(task)) {
+        openOccurrenceScopeModal({ taskId: taskId, occurrenceDate: occurrenceDate, fields: { status: 'Completed' }, completing: true });
+        return;
+    }
+
+    const index = tasks.indexOf(task);
+    const after = { ...task, status: 'Completed', updatedAt: new Date().toISOString() };
+    const changes = [];
+    recordChange(changes, 'task', 'update', task, after);
+    tasks[index] = after;
+    addToUndoStack({
+        type: 'update_task',
+        description: `Complete task "${task.taskName}"`,
+        changes: changes
+    });
+
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+    renderCalendar();
+    if (selectedCalendarDate) {
+        showTasksForDate(selectedCalendarDate);
+    }
+}
+
+// ===========================
+// Task Modal Functions
+// ===========================
+
+function openAddTaskModal() {
+    currentEditingTask = null;
+    currentEditingOccurrence = null;
+    document.getElementById('task-modal-title').textContent = 'Add Task';
+    document.getElementById('task-form').reset();
+    populateTaskOpportunityDropdown();
+    populateAssigneePicker('');
+    renderTaskDependencyOptions([]);
+    populateRecurrenceFields(null);
+    document.getElementById('task-modal').classList.add('active');
+
+    // Focus first input
+    setTimeout(() => {
+        document.getElementById('task-opportunity').focus();
+    }, 100);
+}
+
+function openEditTaskModal(id, occurrenceDate) {
+    const series = tasks.find(t => t.id === id);
+    if (!series) return;
+
+    // Editing a single occurrence shows that occurrence's dates
+    const isOccurrence = !!occurrenceDate && isRecurringTask(series);
+    const task = isOccurrence ? buildOccurrence(series, occurrenceDate) : series;
+    
+    currentEditingTask = id;
+    currentEditingOccurrence = isOccurrence ? occurrenceDate : null;
+    document.getElementById('task-modal-title').textContent = isOccurrence ? `Edit Task (occurrence on ${occurrenceDate})` : 'Edit Task';
+    
+    populateTaskOpportunityDropdown();
+    
+    // Populate form
+    document.getElementById('task-opportunity').value = task.opportunityId || '';
+    document.getElementById('task-name').value = task.taskName || '';
+    populateAssigneePicker(task.assignedTo);
+    document.getElementById('task-role').value = task.role || 'Sales';
+    document.getElementById('task-type').value = task.taskType || 'Document';
+    document.getElementById('task-start-date').value = task.startDate || '';
+    document.getElementById('task-due-date').value = task.dueDate || '';
+    document.getElementById('task-status').value = task.status || 'Not Started';
+    document.getElementById('task-remarks').value = task.remarks || '';
+    renderTaskDependencyOptions(task.dependsOn || []);
+    populateRecurrenceFields(task.recurrence);
+
+    document.getElementById('task-modal').classList.add('active');
+
+    // Focus first input
+    setTimeout(() => {
+        document.getElementById('task-opportunity').focus();
+    }, 100);
+}
+
+function closeTaskModal() {
+    document.getElementById('task-modal').classList.remove('active');
+    currentEditingTask = null;
+    currentEditingOccurrence = null;
+}
+
+function populateTaskOpportunityDropdown() {
+    const select = document.getElementById('task-opportunity');
+    select.innerHTML = '<option value="">Select Opportunity</option>';
+    
+    opportunities.forEach(opp => {
+        const option = document.createElement('option');
+        option.value = opp.id;
+        option.textContent = `${opp.id} - ${opp.name}`;
+        select.appendChild(option);
+    });
+}
+
+// Every task that waits on the given task, directly or through other dependencies
+function getTaskDependents(taskId) {
+    const dependents = new Set();
+    const queue = [taskId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        tasks.forEach(task => {
+            if ((task.dependsOn || []).includes(current) && !dependents.has(task.id)) {
+                dependents.add(task.id);
+                queue.push(task.id);
+            }
+        });
+    }
+    return dependents;
+}
+
+function getTaskPredecessors(task) {
+    return (task.dependsOn || [])
+        .map(id => tasks.find(item => item.id === id))
+        .filter(item => item && item.opportunityId === task.opportunityId);
+}
+
+// Unlink deleted tasks from the tasks still waiting on them, in the same undoable change
+function removeTaskDependencies(deletedIds, changes) {
+    const updatedAt = new Date().toISOString();
+    tasks.forEach((task, index) => {
+        if (deletedIds.has(task.id) || !(task.dependsOn || []).some(id => deletedIds.has(id))) return;
+
+        const after = { ...task, dependsOn: task.dependsOn.filter(id => !deletedIds.has(id)), updatedAt: updatedAt };
+        recordChange(changes, 'task', 'update', task, after);
+        tasks[index] = after;
+    });
+}
+
+function renderTaskDependencyOptions(selectedIds) {
+    const container = document.getElementById('task-depends-on');
+    const opportunityId = document.getElementById('task-opportunity').value;
+
+    if (!opportunityId) {
+        container.innerHTML = '<p class="settings-meta">Choose an opportunity to pick the tasks this one waits on.</p>';
+        return;
+    }
+
+    // A task can't wait on itself or on anything already waiting on it
+    const excluded = currentEditingTask ? getTaskDependents(currentEditingTask) : new Set();
+    const candidates = tasks.filter(task =>
+        task.opportunityId === opportunityId && task.id !== currentEditingTask && !excluded.has(task.id));
+
+    if (candidates.length === 0) {
+        container.innerHTML = '<p class="settings-meta">No other tasks on this opportunity can come before this one.</p>';
+        return;
+    }
+
+    container.innerHTML = candidates.map(task => `
+        <label class="contact-option">
+            <input type="checkbox" value="${escapeHtml(task.id)}" ${selectedIds.includes(task.id) ? 'checked' : ''}>
+            ${escapeHtml(task.taskName)} <span class="settings-meta">${escapeHtml(task.id)}${task.dueDate ? ` · due ${escapeHtml(task.dueDate)}` : ''}</span>
+        </label>
+    `).join('');
+}
+
+function getSelectedDependencyIds() {
+    return [...document.querySelectorAll('#task-depends-on input:checked')].map(input => input.value);
+}
+
+function saveTask(event) {
+    event.preventDefault();
+    
+    const existing = currentEditingTask ? tasks.find(t => t.id === currentEditingTask) : null;
+    const taskData = {
+        // Keep fields the form doesn't edit, such as when the task first slipped
+        ...existing,
+        id: currentEditingTask || generateTaskID(),
+        opportunityId: document.getElementById('task-opportunity').value,
+        taskName: document.getElementById('task-name').value,
+        assignedTo: document.getElementById('task-assigned-to').value,
+        role: document.getElementById('task-role').value,
+        taskType: document.getElementById('task-type').value,
+        startDate: document.getElementById('task-start-date').value,
+        dueDate: document.getElementById('task-due-date').value,
+        status: document.getElementById('task-status').value,
+        remarks: document.getElementById('task-remarks').value,
+        dependsOn: getSelectedDependencyIds(),
+        updatedAt: new Date().toISOString()
+    };
+
+    taskData.recurrence = getRecurrenceFromForm(taskData.dueDate, existing && existing.recurrence);
+    if (taskData.recurrence && !taskData.dueDate) {
+        showWarning('A repeating task needs a due date for its first occurrence');
+        return;
+    }
+
+    // Changes to one occurrence ask how far they reach before anything is saved
+    if (currentEditingOccurrence) {
+        const { id, ...fields } = taskData;
+        openOccurrenceScopeModal({ taskId: id, occurrenceDate: currentEditingOccurrence, fields: fields, completing: false });
+        return;
+    }
+    
+    const changes = [];
+
+    if (currentEditingTask) {
+        // Update existing
+        const index = tasks.findIndex(t => t.id === currentEditingTask);
+        if (index !== -1) {
+            recordChange(changes, 'task', 'update', tasks[index], taskData);
+            tasks[index] = taskData;
+        }
+    } else {
+        // Add new
+        recordChange(changes, 'task', 'create', null, taskData);
+        tasks.push(taskData);
+    }
+
+    addToUndoStack({
+        type: currentEditingTask ? 'update_task' : 'create_task',
+        description: `${currentEditingTask ? 'Edit' : 'Add'} task "${taskData.taskName}"`,
+        changes: changes
+    });
+    
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+    closeTaskModal();
+
+    // Dependencies are finish-to-start: flag a task scheduled to begin before its predecessors finish
+    const start = taskData.startDate || taskData.dueDate;
+    const blocking = getTaskPredecessors(taskData).filter(task => start && task.dueDate && task.dueDate >= start);
+    if (blocking.length > 0) {
+        showWarning(`"${taskData.taskName}" starts before ${blocking.map(task => `"${task.taskName}"`).join(', ')} ${blocking.length === 1 ? 'is' : 'are'} due`);
+    }
+}
+
+function deleteTask(id) {
+    if (!confirm('Are you sure you want to delete this task?')) {
+        return;
+    }
+
+    // Find task
+    const task = tasks.find(t => t.id === id);
+
+    const changes = [];
+    recordChange(changes, 'task', 'delete', task, null);
+    removeTaskDependencies(new Set([id]), changes);
+
+    // Add to undo stack
+    addToUndoStack({
+        type: 'delete_task',
+        description: `Delete task "${task.taskName}"`,
+        changes: changes
+    });
+
+    tasks = tasks.filter(t => t.id !== id);
+    saveTasksToStorage();
+    renderTasks();
+    updateDashboard();
+
+    // Show undo toast
+    showUndoToast('Task deleted');
+}
+
+// ===========================
+// Render Functions
+// ===========================
+
+function renderOpportunities() {
+    const tbody = document.getElementById('opportunities-tbody');
+    const searchTerm = document.getElementById('opp-search').value.toLowerCase();
+    const filterStage = document.getElementById('opp-filter-stage').value;
+    const filterStatus = document.getElementById('opp-filter-status').value;
+    
+    // Filter opportunities
+    let filteredOpportunities = opportunities.filter(opp => {
+        const matchesSearch = !searchTerm || 
+            opp.name.toLowerCase().includes(searchTerm) ||
+            opp.client.toLowerCase().includes(searchTerm) ||
+            opp.id.toLowerCase().includes(searchTerm);
+        
+        const matchesStage = !filterStage || opp.stage === filterStage;
+        const matchesStatus = !filterStatus || opp.status === filterStatus;
+        const matchesDrillDown = !opportunityDrillDown || opportunityDrillDown.matches(opp);
+        
+        return matchesSearch && matchesStage && matchesStatus && matchesDrillDown;
+    });
+
+    // Show which chart segment the table was opened from
+    const drillDownBar = document.getElementById('opp-drilldown');
+    drillDownBar.style.display = opportunityDrillDown ? 'flex' : 'none';
+    document.getElementById('opp-drilldown-label').textContent = opportunityDrillDown ? opportunityDrillDown.label : '';
+    
+    if (filteredOpportunities.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="13" class="empty-state"><p>No opportunities found. Click "Add Opportunity" to create one.</p></td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = '';
+    filteredOpportunities.forEach(opp => {
+        const row = document.createElement('tr');
+        const isChecked = selectedOpportunities.has(opp.id) ? 'checked' : '';
+        row.innerHTML = `
+            <td><input type="checkbox" ${isChecked} data-id="${escapeHtml(opp.id)}" class="row-checkbox" onchange="toggleOpportunitySelection('${escapeHtml(opp.id)}')"></td>
+            <td><strong>${escapeHtml(opp.id)}</strong></td>
+            <td>${escapeHtml(opp.name)}${isPastDue(opp) ? ` <span class="badge badge-past-due" title="Expected close ${escapeHtml(opp.expectedClose)} has passed">Past due</span>` : ''}</td>
+            <td>${escapeHtml(opp.client)}</td>
+            <td>${escapeHtml(opp.industry)}</td>
+            <td>${escapeHtml(opp.stage)}</td>
+            <td><span class="badge badge-${opp.status.toLowerCase().replace(' ', '-')}">${escapeHtml(opp.status)}</span></td>
+            <td>${formatCurrency(opp.dealValue, opp.currency)}</td>
+            <td>${opp.probability}%</td>
+            <td>${formatCurrency(opp.expectedRevenue, opp.currency)}</td>
+            <td>${opp.qualificationPercent.toFixed(0)}% <span class="model-tag">${escapeHtml(getQualificationModel(opp.qualificationModel).name)}</span></td>
+            <td><span class="badge badge-${opp.qualificationSummary.toLowerCase()}">${escapeHtml(opp.qualificationSummary)}</span></td>
+            <td>
+                <div class="actions-cell">
+                    <button class="btn btn-edit" data-id="${escapeHtml(opp.id)}">Edit</button>
+                    <button class="btn btn-timeline" data-id="${escapeHtml(opp.id)}">Timeline</button>
+                    <button class="btn btn-history" data-id="${escapeHtml(opp.id)}">History</button>
+                    <button class="btn btn-delete" data-id="${escapeHtml(opp.id)}">Delete</button>
+                </div>
+            </td>
+        `;
+        
+        // Add event listeners to buttons
+        row.querySelector('.btn-edit').addEventListener('click', function() {
+            openEditOpportunityModal(this.getAttribute('data-id'));
+        });
+        row.querySelector('.btn-timeline').addEventListener('click', function() {
+            openOpportunityTimeline(this.getAttribute('data-id'));
+        });
+        row.querySelector('.btn-history').addEventListener('click', function() {
+            openHistoryModal('opportunity', this.getAttribute('data-id'));
+        });
+        row.querySelector('.btn-delete').addEventListener('click', function() {
+            deleteOpportunity(this.getAttribute('data-id'));
+        });
+        
+        tbody.appendChild(row);
+    });
+}
+
+function renderTasks() {
+    const tbody = document.getElementById('tasks-tbody');
+    const searchTerm = document.getElementById('task-search').value.toLowerCase();
+    const filterStatus = document.getElementById('task-filter-status').value;
+    const filterOpportunity = document.getElementById('task-filter-opportunity').value;
+    
+    // Filter tasks
+    let filteredTasks = tasks.filter(task => {
+        const matchesSearch = !searchTerm || 
+            task.taskName.toLowerCase().includes(searchTerm) ||
+            (task.assignedTo && task.assignedTo.toLowerCase().includes(searchTerm)) ||
+            task.id.toLowerCase().includes(searchTerm);
+        
+        const matchesStatus = !filterStatus || task.status === filterStatus;
+        const matchesOpportunity = !filterOpportunity || task.opportunityId === filterOpportunity;
+        
+        return matchesSearch && matchesStatus && matchesOpportunity;
+    });
+    
+    if (filteredTasks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="11" class="empty-state"><p>No tasks found. Click "Add Task" to create one.</p></td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+    filteredTasks.forEach(task => {
+        const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
+        const opportunityName = opportunity ? opportunity.name : 'N/A';
+        const isChecked = selectedTasks.has(task.id) ? 'checked' : '';
+
+        const row = document.createElement('tr');
+        const overdue = isTaskOverdue(task);
+        row.className = overdue ? 'task-overdue' : '';
+        let repeatTag = '';
+        if (isRecurringTask(task)) {
+            const next = getNextOccurrence(task, formatDate(new Date()));
+            repeatTag = ` <span class="model-tag" title="${escapeHtml(describeRecurrence(task.recurrence))}">↻ ${next ? `next ${escapeHtml(next)}` : 'ended'}</span>`;
+        }
+        row.innerHTML = `
+            <td><input type="checkbox" ${isChecked} data-id="${escapeHtml(task.id)}" class="row-checkbox" onchange="toggleTaskSelection('${escapeHtml(task.id)}')"></td>
+            <td><strong>${escapeHtml(task.id)}</strong></td>
+            <td>${escapeHtml(opportunityName)}</td>
+            <td>${escapeHtml(task.taskName)}</td>
+            <td>${escapeHtml(task.assignedTo || '')}</td>
+            <td>${escapeHtml(task.role)}</td>
+            <td>${escapeHtml(task.taskType)}</td>
+            <td>${escapeHtml(task.startDate || 'N/A')}</td>
+            <td>${escapeHtml(task.dueDate || 'N/A')}${repeatTag}${overdue ? ` <span class="badge badge-past-due" title="${task.firstSlippedOn ? `First slipped on ${escapeHtml(task.firstSlippedOn)}` : ''}">${getDaysOverdue(task)}d overdue</span>` : ''}</td>
+            <td>${escapeHtml(task.status)}</td>
+            <td>
+                <div class="actions-cell">
+                    <button class="btn btn-edit" data-id="${escapeHtml(task.id)}">Edit</button>
+                    <button class="btn btn-history" data-id="${escapeHtml(task.id)}">History</button>
+                    <button class="btn btn-delete" data-id="${escapeHtml(task.id)}">Delete</button>
+                </div>
+            </td>
+        `;
+        
+        // Add event listeners to buttons
+        row.querySelector('.btn-edit').addEventListener('click', function() {
+            openEditTaskModal(this.getAttribute('data-id'));
+        });
+        row.querySelector('.btn-history').addEventListener('click', function() {
+            openHistoryModal('task', this.getAttribute('data-id'));
+        });
+        row.querySelector('.btn-delete').addEventListener('click', function() {
+            deleteTask(this.getAttribute('data-id'));
+        });
+        
+        tbody.appendChild(row);
+    });
+}
+
+function updateTaskOpportunityFilters() {
+    const select = document.getElementById('task-filter-opportunity');
+    const currentValue = select.value;
+    
+    select.innerHTML = '<option value="">All Opportunities</option>';
+    
+    opportunities.forEach(opp => {
+        const option = document.createElement('option');
+        option.value = opp.id;
+        option.textContent = `${opp.id} - ${opp.name}`;
+        select.appendChild(option);
+    });
+    
+    // Restore previous selection if still valid
+    if (currentValue && opportunities.find(opp => opp.id === currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+// ===========================
+// Dashboard Functions
+// ===========================
+
+// Stat cards and how to format them; "invert" marks metrics where a rise is bad news
+const DASHBOARD_STATS = [
+    { id: 'stat-total-opps', key: 'totalOpps', format: 'count' },
+    { id: 'stat-open-opps', key: 'openOpps', format: 'count' },
+    { id: 'stat-won-opps', key: 'wonOpps', format: 'count' },
+    { id: 'stat-lost-opps', key: 'lostOpps', format: 'count', invert: true },
+    { id: 'stat-pipeline-value', key: 'pipelineValue', format: 'money' },
+    { id: 'stat-expected-revenue', key: 'expectedRevenue', format: 'money' },
+    { id: 'stat-avg-deal', key: 'avgDealSize', format: 'money' },
+    { id: 'stat-avg-probability', key: 'avgProbability', format: 'percent' },
+    { id: 'stat-avg-qualification', key: 'avgQualification', format: 'percent' },
+    { id: 'stat-hot-leads', key: 'hotLeads', format: 'count' },
+    { id: 'stat-warm-leads', key: 'warmLeads', format: 'count' },
+    { id: 'stat-cold-leads', key: 'coldLeads', format: 'count', invert: true },
+    { id: 'stat-total-tasks', key: 'totalTasks', format: 'count' },
+    { id: 'stat-completed-tasks', key: 'completedTasks', format: 'count' },
+    { id: 'stat-progress-tasks', key: 'progressTasks', format: 'count' },
+    { id: 'stat-delayed-tasks', key: 'delayedTasks', format: 'count', invert: true }
+];
+
+const DASHBOARD_SEGMENT_FILTERS = {
+    salesOwner: 'dash-filter-sales-owner',
+    preSalesOwner: 'dash-filter-presales-owner',
+    industry: 'dash-filter-industry',
+    techType: 'dash-filter-tech-type',
+    source: 'dash-filter-source'
+};
+
+function updateDashboard() {
+    populateDashboardFilterOptions();
+
+    const scope = getDashboardScope();
+    const scopedOpportunities = filterDashboardOpportunities(scope, scope.from, scope.to);
+    const scopedTasks = getTasksForOpportunities(scopedOpportunities);
+    const stats = computeDashboardStats(scopedOpportunities, scopedTasks);
+
+    // Compare with the window of equal length just before the selected range
+    const previousRange = getPreviousDashboardRange(scope);
+    let previousStats = null;
+    if (previousRange) {
+        const previousOpportunities = filterDashboardOpportunities(scope, previousRange.from, previousRange.to);
+        previousStats = computeDashboardStats(previousOpportunities, getTasksForOpportunities(previousOpportunities));
+    }
+
+    DASHBOARD_STATS.forEach(stat => {
+        document.getElementById(stat.id).textContent = formatDashboardStat(stats[stat.key], stat.format);
+        renderStatDelta(stat, stats[stat.key], previousStats ? previousStats[stat.key] : null);
+    });
+
+    const scopedIds = new Set(scopedOpportunities.map(opp => opp.id));
+    const scopeLabel = isDashboardScoped(scope) ? ' (dashboard filters)' : '';
+    const drill = (label, matches) => drillIntoOpportunities(`${label}${scopeLabel}`, opp => scopedIds.has(opp.id) && matches(opp));
+
+    renderQualificationBreakdown(scopedOpportunities);
+    updateVelocityMetrics(scopedOpportunities);
+    renderDashboardCharts(scopedOpportunities, scopedTasks, drill);
+    renderOverdueTasks(scopedTasks);
+}
+
+function computeDashboardStats(records, recordTasks) {
+    const total = records.length;
+    const sum = field => records.reduce((acc, opp) => acc + opp[field], 0);
+    const sumInBase = getValue => records.reduce((acc, opp) => acc + getValue(opp), 0);
+    const countBy = (list, field, value) => list.filter(item => item[field] === value).length;
+
+    return {
+        totalOpps: total,
+        openOpps: countBy(records, 'status', 'Open'),
+        wonOpps: countBy(records, 'status', 'Won'),
+        lostOpps: countBy(records, 'status', 'Lost'),
+        pipelineValue: sumInBase(getBaseDealValue),
+        expectedRevenue: sumInBase(getBaseExpectedRevenue),
+        avgDealSize: total > 0 ? sumInBase(getBaseDealValue) / total : 0,
+        avgProbability: total > 0 ? sum('probability') / total : 0,
+        // Each opportunity is rated against its own qualification model's thresholds
+        avgQualification: total > 0 ? sum('qualificationPercent') / total : 0,
+        hotLeads: countBy(records, 'qualificationSummary', 'Hot'),
+        warmLeads: countBy(records, 'qualificationSummary', 'Warm'),
+        coldLeads: countBy(records, 'qualificationSummary', 'Cold'),
+        totalTasks: recordTasks.length,
+        completedTasks: countBy(recordTasks, 'status', 'Completed'),
+        progressTasks: countBy(recordTasks, 'status', 'In Progress'),
+        delayedTasks: recordTasks.filter(task => task.status === 'Delayed' || isTaskOverdue(task)).length
+    };
+}
+
+function formatDashboardStat(value, format) {
+    if (format === 'money') return formatCurrency(value);
+    if (format === 'percent') return `${value.toFixed(1)}%`;
+    return String(value);
+}
+
+function renderStatDelta(stat, current, previous) {
+    const valueElement = document.getElementById(stat.id);
+    let deltaElement = document.getElementById(`${stat.id}-delta`);
+    if (!deltaElement) {
+        deltaElement = document.createElement('span');
+        deltaElement.id = `${stat.id}-delta`;
+        valueElement.insertAdjacentElement('afterend', deltaElement);
+    }
+
+    if (previous === null) {
+        deltaElement.className = 'stat-delta';
+        deltaElement.textContent = '';
+        return;
+    }
+
+    const change = current - previous;
+    const arrow = change > 0 ? '▲' : change < 0 ? '▼' : '■';
+    const sign = change > 0 ? '+' : change < 0 ? '−' : '';
+    const magnitude = stat.format === 'percent'
+        ? `${Math.abs(change).toFixed(1)} pts`
+        : formatDashboardStat(Math.abs(change), stat.format);
+    const relative = previous !== 0 && stat.format !== 'percent' ? ` (${sign}${Math.abs((change / previous) * 100).toFixed(0)}%)` : '';
+    const good = stat.invert ? change < 0 : change > 0;
+
+    deltaElement.className = `stat-delta ${change === 0 ? 'delta-flat' : good ? 'delta-up' : 'delta-down'}`;
+    deltaElement.textContent = `${arrow} ${sign}${magnitude}${relative} vs previous period`;
+}
+
+function getDashboardScope() {
+    const scope = {
+        dateField: document.getElementById('dash-date-field').value,
+        from: document.getElementById('dash-date-from').value,
+        to: document.getElementById('dash-date-to').value
+    };
+    Object.keys(DASHBOARD_SEGMENT_FILTERS).forEach(field => {
+        scope[field] = document.getElementById(DASHBOARD_SEGMENT_FILTERS[field]).value;
+    });
+    return scope;
+}
+
+function isDashboardScoped(scope) {
+    return !!(scope.from || scope.to || Object.keys(DASHBOARD_SEGMENT_FILTERS).some(field => scope[field]));
+}
+
+function filterDashboardOpportunities(scope, from, to) {
+    return opportunities.filter(opp => {
+        const matchesSegments = Object.keys(DASHBOARD_SEGMENT_FILTERS).every(field => !scope[field] || opp[field] === scope[field]);
+        if (!matchesSegments) return false;
+        if (!from && !to) return true;
+
+        // Records without the chosen date fall outside any date range
+        const date = opp[scope.dateField];
+        return !!date && (!from || date >= from) && (!to || date <= to);
+    });
+}
+
+function getTasksForOpportunities(records) {
+    const ids = new Set(records.map(opp => opp.id));
+    return tasks.filter(task => ids.has(task.opportunityId));
+}
+
+function getPreviousDashboardRange(scope) {
+    if (!scope.from || !scope.to || scope.from > scope.to) return null;
+
+    const from = new Date(`${scope.from}T00:00:00`);
+    const to = new Date(`${scope.to}T00:00:00`);
+    const lengthDays = Math.round((to - from) / MS_PER_DAY) + 1;
+
+    const previousTo = new Date(from);
+    previousTo.setDate(previousTo.getDate() - 1);
+    const previousFrom = new Date(previousTo);
+    previousFrom.setDate(previousFrom.getDate() - (lengthDays - 1));
+
+    return { from: formatDate(previousFrom), to: formatDate(previousTo) };
+}
+
+function applyDashboardDatePreset() {
+    const preset = document.getElementById('dash-date-preset').value;
+    const today = new Date();
+    const year = today.getFullYear();
+    const quarterStart = Math.floor(today.getMonth() / 3) * 3;
+    const ranges = {
+        'this-month': [new Date(year, today.getMonth(), 1), new Date(year, today.getMonth() + 1, 0)],
+        'last-month': [new Date(year, today.getMonth() - 1, 1), new Date(year, today.getMonth(), 0)],
+        'this-quarter': [new Date(year, quarterStart, 1), new Date(year, quarterStart + 3, 0)],
+        'last-quarter': [new Date(year, quarterStart - 3, 1), new Date(year, quarterStart, 0)],
+        'this-year': [new Date(year, 0, 1), new Date(year, 11, 31)],
+        'last-year': [new Date(year - 1, 0, 1), new Date(year - 1, 11, 31)]
+    };
+
+    if (ranges[preset]) {
+        document.getElementById('dash-date-from').value = formatDate(ranges[preset][0]);
+        document.getElementById('dash-date-to').value = formatDate(ranges[preset][1]);
+    }
+    updateDashboard();
+}
+
+function clearDashboardFilters() {
+    document.getElementById('dash-date-preset').value = '';
+    document.getElementById('dash-date-from').value = '';
+    document.getElementById('dash-date-to').value = '';
+    Object.values(DASHBOARD_SEGMENT_FILTERS).forEach(selectId => {
+        document.getElementById(selectId).value = '';
+    });
+    updateDashboard();
+}
+
+function populateDashboardFilterOptions() {
+    // Owners come from the data; segments from the opportunity form's option lists
+    const optionSources = {
+        salesOwner: [...new Set(opportunities.map(opp => opp.salesOwner).filter(Boolean))].sort(),
+        preSalesOwner: [...new Set(opportunities.map(opp => opp.preSalesOwner).filter(Boolean))].sort(),
+        industry: getSelectOptionValues('opp-industry'),
+        techType: getSelectOptionValues('opp-tech-type'),
+        source: getSelectOptionValues('opp-source')
+    };
+
+    Object.keys(DASHBOARD_SEGMENT_FILTERS).forEach(field => {
+        const select = document.getElementById(DASHBOARD_SEGMENT_FILTERS[field]);
+        const currentValue = select.value;
+        const allLabel = select.options[0].textContent;
+        select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>`;
+        optionSources[field].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+        if (optionSources[field].includes(currentValue)) {
+            select.value = currentValue;
+        }
+    });
+}
+
+function renderQualificationBreakdown(records) {
+    const container = document.getElementById('stat-qualification-models');
+    const rows = qualificationModels
+        .map(model => {
+            const modelOpps = records.filter(opp => getQualificationModel(opp.qualificationModel).id === model.id);
+            const count = summary => modelOpps.filter(opp => opp.qualificationSummary === summary).length;
+            return { model, total: modelOpps.length, hot: count('Hot'), warm: count('Warm'), cold: count('Cold') };
+        })
+        .filter(row => row.total > 0);
+
+    container.innerHTML = rows.map(row => `
+        <div class="qualification-breakdown-row">
+            <span class="stat-label">${escapeHtml(row.model.name)} (${row.total})</span>
+            <span><span class="stat-hot">${row.hot} Hot</span> · <span class="stat-warm">${row.warm} Warm</span> · <span class="stat-cold">${row.cold} Cold</span></span>
+        </div>
+    `).join('');
+}
+
+// ===========================
+// Chart Functions
+// ===========================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_COLORS = ['#1e3a5f', '#ff6b35', '#22c55e', '#3b82f6', '#a855f7', '#eab308', '#14b8a6', '#64748b'];
+const QUALIFICATION_COLORS = { Hot: '#dc2626', Warm: '#ff6b35', Cold: '#1e3a5f' };
+const TASK_STATUS_COLORS = { 'Not Started': '#94a3b8', 'In Progress': '#ff6b35', 'Completed': '#22c55e', 'Delayed': '#ef4444' };
+const CHART_MAX_PERIODS = 12;
+
+function formatCompactCurrency(amount) {
+    const symbol = getCurrencySymbol(baseCurrency);
+    if (amount >= 1000000) return `${symbol}${(amount / 1000000).toFixed(1)}M`;
+    if (amount >= 1000) return `${symbol}${(amount / 1000).toFixed(amount >= 10000 ? 0 : 1)}K`;
+    return `${symbol}${amount.toFixed(0)}`;
+}
+
+function getMonthKey(date) {
+    return date ? date.slice(0, 7) : '';
+}
+
+function formatMonthKey(key) {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+}
+
+function renderChartEmpty(container, message) {
+    container.innerHTML = `<p class="empty-state">${escapeHtml(message)}</p>`;
+}
+
+// Wires elements marked with data-segment to a drill-down handler
+function bindChartSegments(container, segments, onSelect) {
+    container.querySelectorAll('[data-segment]').forEach(element => {
+        element.addEventListener('click', () => onSelect(segments[parseInt(element.dataset.segment)]));
+    });
+}
+
+function renderChartLegend(series) {
+    return `
+        <div class="chart-legend">
+            ${series.map(item => `<span><i style="background:${item.color}"></i>${escapeHtml(item.label)}</span>`).join('')}
+        </div>
+    `;
+}
+
+function renderFunnelChart(container, items, onSelect) {
+    if (items.every(item => item.count === 0)) {
+        renderChartEmpty(container, 'No opportunities in the pipeline yet.');
+        return;
+    }
+
+    const rowHeight = 34;
+    const width = 400;
+    const maxValue = Math.max(...items.map(item => item.value), 1);
+
+    const rows = items.map((item, index) => {
+        // Keep empty stages visible as a sliver so they remain clickable
+        const barWidth = Math.max((item.value / maxValue) * width, 24);
+        const x = (width - barWidth) / 2;
+        const y = index * rowHeight;
+        return `
+            <g class="chart-segment" data-segment="${index}">
+                <title>${escapeHtml(item.label)}: ${item.count} deals, ${formatCurrency(item.value)}</title>
+                <rect x="${x}" y="${y}" width="${barWidth}" height="${rowHeight - 6}" rx="4" fill="${CHART_COLORS[index % CHART_COLORS.length]}"></rect>
+                <text x="${width / 2}" y="${y + rowHeight / 2}" text-anchor="middle" class="chart-label-inverse">${escapeHtml(item.label)} · ${item.count} · ${formatCompactCurrency(item.value)}</text>
+            </g>
+        `;
+    }).join('');
+
+    container.innerHTML = `<svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${items.length * rowHeight}" class="chart-svg">${rows}</svg>`;
+    bindChartSegments(container, items, onSelect);
+}
+
+function renderHorizontalBarChart(container, items, onSelect) {
+    if (items.length === 0) {
+        renderChartEmpty(container, 'No open opportunities yet.');
+        return;
+    }
+
+    const rowHeight = 28;
+    const labelWidth = 110;
+    const valueWidth = 60;
+    const width = 400;
+    const maxValue = Math.max(...items.map(item => item.value), 1);
+
+    const rows = items.map((item, index) => {
+        const barWidth = (item.value / maxValue) * (width - labelWidth - valueWidth);
+        const y = index * rowHeight;
+        return `
+            <g class="chart-segment" data-segment="${index}">
+                <title>${escapeHtml(item.label)}: ${formatCurrency(item.value)}</title>
+                <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" class="chart-label">${escapeHtml(item.label)}</text>
+                <rect x="${labelWidth}" y="${y + 4}" width="${Math.max(barWidth, 2)}" height="${rowHeight - 8}" rx="3" fill="${CHART_COLORS[index % CHART_COLORS.length]}"></rect>
+                <text x="${labelWidth + barWidth + 6}" y="${y + rowHeight / 2}" class="chart-label">${formatCompactCurrency(item.value)}</text>
+            </g>
+        `;
+    }).join('');
+
+    container.innerHTML = `<svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${items.length * rowHeight}" class="chart-svg">${rows}</svg>`;
+    bindChartSegments(container, items, onSelect);
+}
+
+function renderDonutChart(container, items, onSelect) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total === 0) {
+        renderChartEmpty(container, 'No opportunities yet.');
+        return;
+    }
+
+    const radius = 60;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+
+    // Each segment is a dashed stroke on the same circle
+    const segments = items.map((item, index) => {
+        const length = (item.value / total) * circumference;
+        const segment = `
+            <circle class="chart-segment" data-segment="${index}" cx="100" cy="100" r="${radius}" fill="none"
+                stroke="${item.color}" stroke-width="28" stroke-dasharray="${length} ${circumference - length}"
+                stroke-dashoffset="${-offset}" transform="rotate(-90 100 100)">
+                <title>${escapeHtml(item.label)}: ${item.value}</title>
+            </circle>
+        `;
+        offset += length;
+        return segment;
+    }).join('');
+
+    container.innerHTML = `
+        <svg xmlns="${SVG_NS}" viewBox="0 0 200 200" class="chart-svg chart-donut">
+            ${segments}
+            <text x="100" y="106" text-anchor="middle" class="chart-total">${total}</text>
+        </svg>
+        ${renderChartLegend(items.map(item => ({ ...item, label: `${item.label} (${item.value})` })))}
+    `;
+    bindChartSegments(container, items, onSelect);
+}
+
+// Stacked or grouped bars per period; onSelect receives { period, series }
+function renderColumnChart(container, periods, series, onSelect, grouped) {
+    if (periods.length === 0) {
+        renderChartEmpty(container, 'Nothing to chart yet.');
+        return;
+    }
+
+    const width = 400;
+    const height = 180;
+    const axisHeight = 20;
+    const plotHeight = height - axisHeight;
+    const slotWidth = width / periods.length;
+    const barAreaWidth = slotWidth * 0.7;
+    const maxValue = Math.max(1, ...periods.map(period => grouped
+        ? Math.max(...series.map(s => period.values[s.key] || 0))
+        : series.reduce((sum, s) => sum + (period.values[s.key] || 0), 0)));
+
+    const segments = [];
+    const bars = periods.map((period, periodIndex) => {
+        const slotX = periodIndex * slotWidth + (slotWidth - barAreaWidth) / 2;
+        let stackedY = plotHeight;
+
+        const rects = series.map((s, seriesIndex) => {
+            const value = period.values[s.key] || 0;
+            if (value === 0) return '';
+            const barHeight = (value / maxValue) * (plotHeight - 10);
+            const barWidth = grouped ? barAreaWidth / series.length : barAreaWidth;
+            const x = grouped ? slotX + seriesIndex * barWidth : slotX;
+            const y = grouped ? plotHeight - barHeight : stackedY - barHeight;
+            stackedY -= grouped ? 0 : barHeight;
+
+            segments.push({ period: period, series: s });
+            return `
+                <rect class="chart-segment" data-segment="${segments.length - 1}" x="${x}" y="${y}" width="${barWidth - 1}" height="${barHeight}" fill="${s.color}">
+                    <title>${escapeHtml(period.label)} · ${escapeHtml(s.label)}: ${value}</title>
+                </rect>
+            `;
+        }).join('');
+
+        return `
+            ${rects}
+            <text x="${periodIndex * slotWidth + slotWidth / 2}" y="${height - 5}" text-anchor="middle" class="chart-label">${escapeHtml(period.label)}</text>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" class="chart-svg">
+            <line x1="0" y1="${plotHeight}" x2="${width}" y2="${plotHeight}" class="chart-axis"></line>
+            ${bars}
+        </svg>
+        ${renderChartLegend(series)}
+    `;
+    bindChartSegments(container, segments, onSelect);
+}
+
+function buildMonthlyPeriods(records, getMonth, getSeries) {
+    const periods = {};
+    records.forEach(record => {
+        const month = getMonth(record);
+        if (!month) return;
+        if (!periods[month]) {
+            periods[month] = { key: month, label: formatMonthKey(month), values: {} };
+        }
+        const series = getSeries(record);
+        periods[month].values[series] = (periods[month].values[series] || 0) + 1;
+    });
+
+    return Object.values(periods)
+        .sort((a, b) => a.key.localeCompare(b.key))
+        .slice(-CHART_MAX_PERIODS);
+}
+
+function getOpportunityCloseMonth(opportunity) {
+    // Deals closed before close dates were recorded fall back to the expected close (or last update)
+    return getMonthKey(opportunity.closedAt || opportunity.expectedClose || opportunity.updatedAt);
+}
+
+function sumExpectedRevenueBy(records, field) {
+    const totals = {};
+    records.filter(opp => opp.status === 'Open').forEach(opp => {
+        const key = opp[field] || 'Unassigned';
+        totals[key] = (totals[key] || 0) + getBaseExpectedRevenue(opp);
+    });
+    return Object.entries(totals)
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value);
+}
+
+function renderDashboardCharts(scopedOpportunities, scopedTasks, drill) {
+    renderFunnelChart(
+        document.getElementById('chart-stage-funnel'),
+        getVisibleStages().map(stage => {
+            const stageOpps = scopedOpportunities.filter(opp => opp.stage === stage.name);
+            return {
+                label: stage.name,
+                count: stageOpps.length,
+                value: stageOpps.reduce((sum, opp) => sum + getBaseDealValue(opp), 0)
+            };
+        }),
+        item => drill(`Stage: ${item.label}`, opp => opp.stage === item.label)
+    );
+
+    ['industry', 'techType'].forEach(field => {
+        renderHorizontalBarChart(
+            document.getElementById(`chart-revenue-${field === 'industry' ? 'industry' : 'tech'}`),
+            sumExpectedRevenueBy(scopedOpportunities, field),
+            item => drill(
+                `Open · ${field === 'industry' ? 'Industry' : 'Tech Type'}: ${item.label}`,
+                opp => opp.status === 'Open' && (opp[field] || 'Unassigned') === item.label
+            )
+        );
+    });
+
+    renderDonutChart(
+        document.getElementById('chart-qualification'),
+        ['Hot', 'Warm', 'Cold'].map(summary => ({
+            label: summary,
+            value: scopedOpportunities.filter(opp => opp.qualificationSummary === summary).length,
+            color: QUALIFICATION_COLORS[summary]
+        })),
+        item => drill(`Qualification: ${item.label}`, opp => opp.qualificationSummary === item.label)
+    );
+
+    // Each task counts once, under its due month and the status it has now
+    renderColumnChart(
+        document.getElementById('chart-task-status'),
+        buildMonthlyPeriods(scopedTasks, task => getMonthKey(task.dueDate || task.startDate), task => task.status),
+        getSelectOptionValues('task-status').map(status => ({ key: status, label: status, color: TASK_STATUS_COLORS[status] || CHART_COLORS[0] })),
+        ({ period, series }) => drill(
+            `${series.label} tasks due ${period.label}`,
+            opp => tasks.some(task => task.opportunityId === opp.id && task.status === series.key &&
+                getMonthKey(task.dueDate || task.startDate) === period.key)
+        ),
+        false
+    );
+
+    renderColumnChart(
+        document.getElementById('chart-win-loss'),
+        buildMonthlyPeriods(scopedOpportunities.filter(opp => CLOSED_STATUSES.includes(opp.status)), getOpportunityCloseMonth, opp => opp.status),
+        [{ key: 'Won', label: 'Won', color: '#22c55e' }, { key: 'Lost', label: 'Lost', color: '#ef4444' }],
+        ({ period, series }) => drill(
+            `${series.label} · ${period.label}`,
+            opp => opp.status === series.key && getOpportunityCloseMonth(opp) === period.key
+        ),
+        true
+    );
+}
+
+function drillIntoOpportunities(label, matches) {
+    opportunityDrillDown = { label: label, matches: matches };
+    switchTab('opportunities');
+    renderOpportunities();
+}
+
+function clearOpportunityDrillDown() {
+    opportunityDrillDown = null;
+    renderOpportunities();
+}
+
+// ===========================
+// Pipeline Velocity Functions
+// ===========================
+
+const STUCK_DEAL_DAYS = 30;
+const DEAL_AGING_BUCKETS = [
+    { label: '0-30 days', max: 30 },
+    { label: '31-60 days', max: 60 },
+    { label: '61-90 days', max: 90 },
+    { label: '90+ days', max: Infinity }
+];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+    return Math.max(0, Math.floor((new Date(to) - new Date(from)) / MS_PER_DAY));
+}
+
+function recordStageTransition(opportunity, stage, at) {
+    const history = opportunity.stageHistory || [];
+    const last = history[history.length - 1];
+    if (last && last.stage === stage) return;
+
+    // A new array keeps shallow before-snapshots for audit and undo intact
+    opportunity.stageHistory = [...history, { stage: stage, at: at }];
+}
+
+function getStageStints(opportunity) {
+    const history = opportunity.stageHistory || [];
+    // Closed deals stop the clock at their last update
+    const end = opportunity.status === 'Open' || !opportunity.updatedAt ? new Date().toISOString() : opportunity.updatedAt;
+
+    return history.map((entry, index) => ({
+        stage: entry.stage,
+        days: daysBetween(entry.at, index < history.length - 1 ? history[index + 1].at : end),
+        current: index === history.length - 1
+    }));
+}
+
+function getDaysInStage(opportunity) {
+    const history = opportunity.stageHistory || [];
+    const last = history[history.length - 1];
+    const since = last && last.stage === opportunity.stage ? last.at : opportunity.updatedAt;
+    return since ? daysBetween(since, new Date()) : 0;
+}
+
+function getDealAge(opportunity) {
+    const history = opportunity.stageHistory || [];
+    const start = opportunity.dateIdentified || (history[0] && history[0].at);
+    return start ? daysBetween(start, new Date()) : 0;
+}
+
+function isStuckDeal(opportunity) {
+    return opportunity.status === 'Open' && getDaysInStage(opportunity) > STUCK_DEAL_DAYS;
+}
+
+function buildStageVelocity(records) {
+    return pipelineStages.map((stage, index) => {
+        const stints = records.flatMap(getStageStints).filter(stint => stint.stage === stage.name);
+        const reached = records.filter(opp => (opp.stageHistory || []).some(entry => entry.stage === stage.name));
+        // Converted means the deal later reached any stage further down the pipeline
+        const laterStages = pipelineStages.slice(index + 1).map(s => s.name);
+        const converted = reached.filter(opp => (opp.stageHistory || []).some(entry => laterStages.includes(entry.stage)));
+
+        return {
+            stage: stage,
+            avgDays: stints.length > 0 ? stints.reduce((sum, stint) => sum + stint.days, 0) / stints.length : null,
+            reached: reached.length,
+            conversion: laterStages.length > 0 && reached.length > 0 ? (converted.length / reached.length) * 100 : null
+        };
+    }).filter(row => !row.stage.retired || row.reached > 0);
+}
+
+function updateVelocityMetrics(records) {
+    const velocityBody = document.getElementById('velocity-tbody');
+    velocityBody.innerHTML = buildStageVelocity(records).map(row => `
+        <tr>
+            <td>${escapeHtml(row.stage.name)}</td>
+            <td>${row.avgDays === null ? '—' : row.avgDays.toFixed(1)}</td>
+            <td>${row.reached}</td>
+            <td>${row.conversion === null ? '—' : `${row.conversion.toFixed(0)}%`}</td>
+        </tr>
+    `).join('');
+
+    // Deal aging for open deals
+    const openOpps = records.filter(opp => opp.status === 'Open');
+    const ages = openOpps.map(getDealAge);
+    const avgAge = ages.length > 0 ? ages.reduce((sum, age) => sum + age, 0) / ages.length : 0;
+    document.getElementById('stat-avg-deal-age').textContent = `${avgAge.toFixed(0)} days`;
+    document.getElementById('deal-aging-buckets').innerHTML = DEAL_AGING_BUCKETS.map((bucket, index) => {
+        const min = index === 0 ? 0 : DEAL_AGING_BUCKETS[index - 1].max + 1;
+        const count = ages.filter(age => age >= min && age <= bucket.max).length;
+        return `
+            <div class="qualification-breakdown-row">
+                <span class="stat-label">${bucket.label}</span>
+                <span>${count}</span>
+            </div>
+        `;
+    }).join('');
+
+    // Stuck deals, longest first
+    const stuck = openOpps.filter(isStuckDeal).sort((a, b) => getDaysInStage(b) - getDaysInStage(a));
+    document.getElementById('stuck-deals-count').textContent = stuck.length;
+    const stuckList = document.getElementById('stuck-deals-list');
+    stuckList.innerHTML = stuck.length > 0
+        ? stuck.map(opp => `
+            <div class="qualification-breakdown-row">
+                <span>${escapeHtml(opp.name)} <span class="model-tag">${escapeHtml(opp.stage)}</span></span>
+                <span class="stat-danger">${getDaysInStage(opp)} days</span>
+            </div>
+        `).join('')
+        : `<p class="empty-state">No open deals have been in one stage for more than ${STUCK_DEAL_DAYS} days.</p>`;
+}
+
+// ===========================
+// Forecast Functions
+// ===========================
+
+// Probability cut-offs for the forecast categories
+const FORECAST_CATEGORIES = [
+    { key: 'commit', label: 'Commit', minProbability: 75 },
+    { key: 'bestCase', label: 'Best Case', minProbability: 40 },
+    { key: 'pipeline', label: 'Pipeline', minProbability: 0 }
+];
+
+const FORECAST_BREAKDOWNS = {
+    salesOwner: 'Sales Owner',
+    preSalesOwner: 'Pre-Sales Owner',
+    industry: 'Industry',
+    techType: 'Tech Type'
+};
+
+const NO_CLOSE_DATE_PERIOD = 'none';
+
+function getForecastCategory(opportunity) {
+    return FORECAST_CATEGORIES.find(category => opportunity.probability >= category.minProbability).key;
+}
+
+function getForecastPeriod(expectedClose, granularity) {
+    if (!expectedClose) return NO_CLOSE_DATE_PERIOD;
+
+    const [year, month] = expectedClose.split('-').map(Number);
+    if (granularity === 'quarter') {
+        return `${year}-Q${Math.ceil(month / 3)}`;
+    }
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function formatForecastPeriod(period, granularity) {
+    if (period === NO_CLOSE_DATE_PERIOD) return 'No close date';
+    if (granularity === 'quarter') {
+        const [year, quarter] = period.split('-');
+        return `${quarter} ${year}`;
+    }
+    const [year, month] = period.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+function isPastDue(opportunity) {
+    return opportunity.status === 'Open' && !!opportunity.expectedClose && opportunity.expectedClose < formatDate(new Date());
+}
+
+function createForecastTotals() {
+    const totals = { count: 0, total: 0 };
+    FORECAST_CATEGORIES.forEach(category => {
+        totals[category.key] = 0;
+    });
+    return totals;
+}
+
+function addToForecastTotals(totals, opportunity) {
+    const expectedRevenue = getBaseExpectedRevenue(opportunity);
+    totals[getForecastCategory(opportunity)] += expectedRevenue;
+    totals.total += expectedRevenue;
+    totals.count++;
+}
+
+function buildForecast(granularity, breakdown) {
+    const periods = {};
+
+    opportunities.filter(opp => opp.status === 'Open').forEach(opp => {
+        const key = getForecastPeriod(opp.expectedClose, granularity);
+        if (!periods[key]) {
+            periods[key] = { key: key, totals: createForecastTotals(), groups: {} };
+        }
+        addToForecastTotals(periods[key].totals, opp);
+
+        if (breakdown) {
+            const group = opp[breakdown] || 'Unassigned';
+            if (!periods[key].groups[group]) {
+                periods[key].groups[group] = createForecastTotals();
+            }
+            addToForecastTotals(periods[key].groups[group], opp);
+        }
+    });
+
+    // Chronological, with undated deals last
+    return Object.values(periods).sort((a, b) => {
+        if (a.key === NO_CLOSE_DATE_PERIOD) return 1;
+        if (b.key === NO_CLOSE_DATE_PERIOD) return -1;
+        return a.key.localeCompare(b.key);
+    });
+}
+
+function renderForecastCells(totals) {
+    return `
+        ${FORECAST_CATEGORIES.map(category => `<td>${formatCurrency(totals[category.key])}</td>`).join('')}
+        <td><strong>${formatCurrency(totals.total)}</strong></td>
+        <td>${totals.count}</td>
+    `;
+}
+
+function renderForecast() {
+    const granularity = document.getElementById('forecast-granularity').value;
+    const breakdown = document.getElementById('forecast-breakdown').value;
+    const periods = buildForecast(granularity, breakdown);
+    const tbody = document.getElementById('forecast-tbody');
+
+    document.getElementById('forecast-group-header').textContent = breakdown ? FORECAST_BREAKDOWNS[breakdown] : '';
+
+    if (periods.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="empty-state"><p>No open opportunities to forecast.</p></td></tr>';
+    } else {
+        const grandTotals = createForecastTotals();
+        tbody.innerHTML = '';
+
+        periods.forEach(period => {
+            const row = document.createElement('tr');
+            row.className = 'forecast-period-row';
+            row.innerHTML = `
+                <td><strong>${escapeHtml(formatForecastPeriod(period.key, granularity))}</strong></td>
+                <td></td>
+                ${renderForecastCells(period.totals)}
+            `;
+            tbody.appendChild(row);
+
+            Object.keys(period.groups).sort().forEach(group => {
+                const groupRow = document.createElement('tr');
+                groupRow.className = 'forecast-group-row';
+                groupRow.innerHTML = `
+                    <td></td>
+                    <td>${escapeHtml(group)}</td>
+                    ${renderForecastCells(period.groups[group])}
+                `;
+                tbody.appendChild(groupRow);
+            });
+
+            FORECAST_CATEGORIES.forEach(category => {
+                grandTotals[category.key] += period.totals[category.key];
+            });
+            grandTotals.total += period.totals.total;
+            grandTotals.count += period.totals.count;
+        });
+
+        const totalRow = document.createElement('tr');
+        totalRow.className = 'forecast-total-row';
+        totalRow.innerHTML = `
+            <td><strong>Total</strong></td>
+            <td></td>
+            ${renderForecastCells(grandTotals)}
+        `;
+        tbody.appendChild(totalRow);
+    }
+
+    renderPastDueDeals();
+}
+
+function renderPastDueDeals() {
+    const container = document.getElementById('forecast-past-due');
+    const pastDue = opportunities
+        .filter(isPastDue)
+        .sort((a, b) => a.expectedClose.localeCompare(b.expectedClose));
+
+    document.getElementById('forecast-past-due-count').textContent = pastDue.length;
+
+    if (pastDue.length === 0) {
+        container.innerHTML = '<p class="empty-state">No open deals are past their expected close date.</p>';
+        return;
+    }
+
+    container.innerHTML = '';
+    pastDue.forEach(opp => {
+        const item = document.createElement('div');
+        item.className = 'past-due-item';
+        item.innerHTML = `
+            <div>
+                <strong>${escapeHtml(opp.name)}</strong> · ${escapeHtml(opp.client)}
+                <div class="settings-meta">Expected close ${escapeHtml(opp.expectedClose)} · ${escapeHtml(opp.salesOwner || 'Unassigned')} · ${formatCurrency(opp.expectedRevenue, opp.currency)}</div>
+            </div>
+            <button class="btn btn-edit">Edit</button>
+        `;
+        item.querySelector('.btn-edit').addEventListener('click', () => openEditOpportunityModal(opp.id));
+        container.appendChild(item);
+    });
+}
+
+// ===========================
+// Win/Loss Functions
+// ===========================
+
+const CLOSED_STATUSES = ['Won', 'Lost'];
+
+const WIN_LOSS_DIMENSIONS = {
+    outcomeReason: 'Reason',
+    industry: 'Industry',
+    techType: 'Tech Type',
+    source: 'Source',
+    preSalesOwner: 'Pre-Sales Owner'
+};
+
+// Stamps when a deal was actually won or lost; reopening it clears the stamp
+function recordClosure(opportunity, previousStatus, at) {
+    if (!CLOSED_STATUSES.includes(opportunity.status)) {
+        opportunity.closedAt = '';
+    } else if (opportunity.status !== previousStatus || !opportunity.closedAt) {
+        opportunity.closedAt = at;
+    }
+}
+
+function clearOpportunityOutcome(opportunity) {
+    opportunity.outcomeReason = '';
+    opportunity.outcomeNotes = '';
+    opportunity.winningCompetitor = '';
+}
+
+function updateOutcomeSection() {
+    const status = document.getElementById('opp-status').value;
+    document.getElementById('opp-outcome-section').style.display = CLOSED_STATUSES.includes(status) ? 'block' : 'none';
+    document.getElementById('opp-winning-competitor-group').style.display = status === 'Lost' ? '' : 'none';
+}
+
+// Asks about the selected opportunities, or just one when an ID is given
+function openOutcomeModal(status, opportunityId = null) {
+    const opportunity = opportunities.find(opp => opp.id === opportunityId);
+    pendingOutcomeStatus = status;
+    pendingOutcomeOpportunityId = opportunity ? opportunity.id : null;
+    document.getElementById('outcome-modal-title').textContent = opportunity
+        ? `Mark "${opportunity.name}" as ${status}`
+        : `Mark ${selectedOpportunities.size} ${selectedOpportunities.size === 1 ? 'opportunity' : 'opportunities'} as ${status}`;
+
+    // Reuse the reasons offered on the opportunity form
+    document.getElementById('outcome-reason').innerHTML = document.getElementById('opp-outcome-reason').innerHTML;
+    document.getElementById('outcome-reason').value = '';
+    document.getElementById('outcome-notes').value = '';
+    document.getElementById('outcome-winning-competitor').value = '';
+    document.getElementById('outcome-winning-competitor-group').style.display = status === 'Lost' ? '' : 'none';
+
+    document.getElementById('outcome-modal').classList.add('active');
+}
+
+function closeOutcomeModal() {
+    document.getElementById('outcome-modal').classList.remove('active');
+    pendingOutcomeStatus = null;
+    if (pendingOutcomeOpportunityId) {
+        pendingOutcomeOpportunityId = null;
+        // Puts the card's status picker back if the close was cancelled
+        renderKanbanBoard();
+    }
+}
+
+function applyOutcomeModal() {
+    const reason = document.getElementById('outcome-reason').value;
+    if (!reason) {
+        showWarning('Please select a win/loss reason');
+        return;
+    }
+
+    const status = pendingOutcomeStatus;
+    const outcome = {
+        outcomeReason: reason,
+        outcomeNotes: document.getElementById('outcome-notes').value.trim(),
+        winningCompetitor: status === 'Lost' ? document.getElementById('outcome-winning-competitor').value.trim() : ''
+    };
+
+    const opportunityId = pendingOutcomeOpportunityId;
+    closeOutcomeModal();
+    if (opportunityId) {
+        changeOpportunityStatus(opportunityId, status, outcome);
+    } else {
+        bulkUpdateOpportunityStatus(status, outcome);
+    }
+}
+
+function buildWinLossReport(dimension) {
+    const groups = {};
+
+    opportunities.filter(opp => CLOSED_STATUSES.includes(opp.status)).forEach(opp => {
+        const key = opp[dimension] || (dimension === 'outcomeReason' ? 'Not recorded' : 'Unassigned');
+        if (!groups[key]) {
+            groups[key] = { name: key, won: 0, lost: 0, wonValue: 0, lostValue: 0 };
+        }
+        if (opp.status === 'Won') {
+            groups[key].won++;
+            groups[key].wonValue += getBaseDealValue(opp);
+        } else {
+            groups[key].lost++;
+            groups[key].lostValue += getBaseDealValue(opp);
+        }
+    });
+
+    return Object.values(groups)
+        .map(group => ({ ...group, winRate: (group.won / (group.won + group.lost)) * 100 }))
+        .sort((a, b) => (b.won + b.lost) - (a.won + a.lost) || a.name.localeCompare(b.name));
+}
+
+function renderWinLossReport() {
+    const dimension = document.getElementById('winloss-dimension').value;
+    const rows = buildWinLossReport(dimension);
+    const closed = opportunities.filter(opp => CLOSED_STATUSES.includes(opp.status));
+    const won = closed.filter(opp => opp.status === 'Won');
+
+    document.getElementById('winloss-won').textContent = won.length;
+    document.getElementById('winloss-lost').textContent = closed.length - won.length;
+    document.getElementById('winloss-rate').textContent = closed.length > 0
+        ? `${((won.length / closed.length) * 100).toFixed(1)}%`
+        : '—';
+    document.getElementById('winloss-group-header').textContent = WIN_LOSS_DIMENSIONS[dimension];
+
+    const tbody = document.getElementById('winloss-tbody');
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-state"><p>No won or lost opportunities yet.</p></td></tr>';
+    } else {
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td>${escapeHtml(row.name)}</td>
+                <td>${row.won}</td>
+                <td>${row.lost}</td>
+                <td><strong>${row.winRate.toFixed(1)}%</strong></td>
+                <td>${formatCurrency(row.wonValue)}</td>
+                <td>${formatCurrency(row.lostValue)}</td>
+            </tr>
+        `).join('');
+    }
+
+    renderCompetitorLosses();
+}
+
+function renderCompetitorLosses() {
+    const counts = {};
+    opportunities
+        .filter(opp => opp.status === 'Lost' && opp.winningCompetitor)
+        .forEach(opp => {
+            counts[opp.winningCompetitor] = (counts[opp.winningCompetitor] || 0) + 1;
+        });
+
+    const entries = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const container = document.getElementById('winloss-competitors');
+
+    container.innerHTML = entries.length > 0
+        ? entries.map(([competitor, count]) => `
+            <div class="qualification-breakdown-row">
+                <span>${escapeHtml(competitor)}</span>
+                <span>${count} ${count === 1 ? 'loss' : 'losses'}</span>
+            </div>
+        `).join('')
+        : '<p class="empty-state">No losses to a named competitor.</p>';
+}
+
+// ===========================
+// Account Functions
+// ===========================
+
+// Account picker entry that creates an account from the opportunity form
+const NEW_ACCOUNT_OPTION = '__new__';
+
+function normalizeAccountName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function findAccountByName(list, name) {
+    const key = normalizeAccountName(name);
+    return key ? list.find(account => normalizeAccountName(account.name) === key) : undefined;
+}
+
+function findOrCreateAccount(list, name, industry) {
+    let account = findAccountByName(list, name);
+    if (!account) {
+        account = {
+            id: generateAccountID(),
+            name: name.trim(),
+            industry: industry || '',
+            region: '',
+            notes: '',
+            contacts: [],
+            updatedAt: new Date().toISOString()
+        };
+        list.push(account);
+    }
+    return account;
+}
+
+function findOrCreateContact(account, name, email) {
+    const trimmedName = (name || '').trim();
+    const trimmedEmail = (email || '').trim();
+    if (!trimmedName && !trimmedEmail) return null;
+
+    // Two people can share a name, so an email on both sides decides
+    let contact = account.contacts.find(existing => existing.email && trimmedEmail
+        ? existing.email.toLowerCase() === trimmedEmail.toLowerCase()
+        : existing.name.toLowerCase() === (trimmedName || trimmedEmail).toLowerCase());
+    if (!contact) {
+        contact = {
+            id: generateContactID(),
+            name: trimmedName || trimmedEmail,
+            role: '',
+            email: trimmedEmail,
+            phone: '',
+            decisionMaker: false
+        };
+        account.contacts.push(contact);
+    }
+    return contact;
+}
+
+function getAccountLinkFields(account, contactIds) {
+    // The client and first contact are copied onto the opportunity for search, exports and stage gates
+    const linked = contactIds.map(id => account.contacts.find(contact => contact.id === id)).filter(Boolean);
+    return {
+        accountId: account.id,
+        client: account.name,
+        contactIds: linked.map(contact => contact.id),
+        contactName: linked.length > 0 ? linked[0].name : '',
+        contactEmail: linked.length > 0 ? linked[0].email : ''
+    };
+}
+
+function linkOpportunityToAccount(opp, changes) {
+    let account = accounts.find(item => item.id === opp.accountId);
+    if (!account || normalizeAccountName(account.name) !== normalizeAccountName(opp.client)) {
+        account = findAccountByName(accounts, opp.client);
+        opp.contactIds = [];
+    }
+
+    const before = cloneRecord(account);
+    account = findOrCreateAccount(accounts, opp.client, opp.industry);
+    const contact = findOrCreateContact(account, opp.contactName, opp.contactEmail);
+    if (stableStringify(before) !== stableStringify(account)) {
+        account.updatedAt = new Date().toISOString();
+        recordChange(changes, 'account', before ? 'update' : 'create', before, account);
+    }
+
+    const contactIds = opp.contactIds || [];
+    Object.assign(opp, getAccountLinkFields(account, contact ? [contact.id, ...contactIds.filter(id => id !== contact.id)] : contactIds));
+}
+
+function getAccountSummary(account) {
+    const accountOpportunities = opportunities.filter(opp => opp.accountId === account.id);
+    const opportunityIds = new Set(accountOpportunities.map(opp => opp.id));
+    const openTasks = tasks.filter(task => opportunityIds.has(task.opportunityId) && task.status !== 'Completed');
+    const sumBase = status => accountOpportunities
+        .filter(opp => opp.status === status)
+        .reduce((sum, opp) => sum + getBaseDealValue(opp), 0);
+
+    return {
+        opportunities: accountOpportunities,
+        openTasks: openTasks,
+        pipeline: sumBase('Open'),
+        wonRevenue: sumBase('Won')
+    };
+}
+
+function renderAccounts() {
+    const tbody = document.getElementById('accounts-tbody');
+    const searchTerm = document.getElementById('account-search').value.toLowerCase();
+
+    const filteredAccounts = accounts
+        .filter(account => !searchTerm ||
+            account.name.toLowerCase().includes(searchTerm) ||
+            (account.region || '').toLowerCase().includes(searchTerm) ||
+            account.contacts.some(contact => contact.name.toLowerCase().includes(searchTerm)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (filteredAccounts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="empty-state"><p>No accounts found. Click "Add Account" to create one.</p></td></tr>';
+    } else {
+        tbody.innerHTML = '';
+        filteredAccounts.forEach(account => {
+            const summary = getAccountSummary(account);
+            const row = document.createElement('tr');
+            row.className = account.id === selectedAccountId ? 'selected-row' : '';
+            row.innerHTML = `
+                <td><a href="#" class="account-link"><strong>${escapeHtml(account.name)}</strong></a></td>
+                <td>${escapeHtml(account.industry || '—')}</td>
+                <td>${escapeHtml(account.region || '—')}</td>
+                <td>${account.contacts.length}</td>
+                <td>${summary.opportunities.length}</td>
+                <td>${formatCurrency(summary.pipeline)}</td>
+                <td>${formatCurrency(summary.wonRevenue)}</td>
+                <td>${summary.openTasks.length}</td>
+                <td>
+                    <div class="actions-cell">
+                        <button class="btn btn-edit">Edit</button>
+                        <button class="btn btn-history">History</button>
+                        <button class="btn btn-delete" ${summary.opportunities.length > 0 ? 'disabled title="Move or delete its opportunities first"' : ''}>Delete</button>
+                    </div>
+                </td>
+            `;
+
+            row.querySelector('.account-link').addEventListener('click', event => {
+                event.preventDefault();
+                selectAccount(account.id);
+            });
+            row.querySelector('.btn-edit').addEventListener('click', () => openEditAccountModal(account.id));
+            row.querySelector('.btn-history').addEventListener('click', () => openHistoryModal('account', account.id));
+            row.querySelector('.btn-delete').addEventListener('click', () => deleteAccount(account.id));
+            tbody.appendChild(row);
+        });
+    }
+
+    renderAccountDetail();
+}
+
+function selectAccount(id) {
+    selectedAccountId = id;
+    renderAccounts();
+    document.getElementById('account-detail').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderAccountDetail() {
+    const container = document.getElementById('account-detail');
+    const account = accounts.find(item => item.id === selectedAccountId);
+
+    if (!account) {
+        selectedAccountId = null;
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const summary = getAccountSummary(account);
+    container.style.display = 'block';
+    container.innerHTML = `
+        <div class="account-detail-header">
+            <div>
+                <h3>${escapeHtml(account.name)}</h3>
+                <p class="settings-meta">${escapeHtml([account.industry, account.region].filter(Boolean).join(' · ') || 'No industry or region recorded')}</p>
+            </div>
+            <button class="btn btn-secondary" id="close-account-detail">Close</button>
+        </div>
+        ${account.notes ? `<p class="account-notes">${escapeHtml(account.notes)}</p>` : ''}
+        <div class="dashboard-grid">
+            <div class="stat-card">
+                <div class="stat-content">
+                    <span class="stat-label">Open Pipeline</span>
+                    <span class="stat-value">${formatCurrency(summary.pipeline)}</span>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-content">
+                    <span class="stat-label">Won Revenue</span>
+                    <span class="stat-value">${formatCurrency(summary.wonRevenue)}</span>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-content">
+                    <span class="stat-label">Opportunities</span>
+                    <span class="stat-value">${summary.opportunities.length}</span>
+                </div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-content">
+                    <span class="stat-label">Open Tasks</span>
+                    <span class="stat-value">${summary.openTasks.length}</span>
+                </div>
+            </div>
+        </div>
+        <h4>Contacts</h4>
+        <div class="table-container">
+            <table>
+                <thead><tr><th>Name</th><th>Role</th><th>Email</th><th>Phone</th><th>Decision Maker</th></tr></thead>
+                <tbody>
+                    ${account.contacts.length === 0 ? '<tr><td colspan="5" class="empty-state"><p>No contacts yet.</p></td></tr>' : account.contacts.map(contact => `
+                        <tr>
+                            <td>${escapeHtml(contact.name)}</td>
+                            <td>${escapeHtml(contact.role || '—')}</td>
+                            <td>${contact.email ? `<a href="mailto:${escapeHtml(contact.email)}">${escapeHtml(contact.email)}</a>` : '—'}</td>
+                            <td>${escapeHtml(contact.phone || '—')}</td>
+                            <td>${contact.decisionMaker ? '<span class="badge badge-won">Yes</span>' : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <h4>Opportunities</h4>
+        <div class="table-container">
+            <table>
+                <thead><tr><th>ID</th><th>Name</th><th>Stage</th><th>Status</th><th>Deal Value</th><th>Expected Close</th><th>Actions</th></tr></thead>
+                <tbody>
+                    ${summary.opportunities.length === 0 ? '<tr><td colspan="7" class="empty-state"><p>No opportunities linked to this account.</p></td></tr>' : summary.opportunities.map(opp => `
+                        <tr>
+                            <td><strong>${escapeHtml(opp.id)}</strong></td>
+                            <td>${escapeHtml(opp.name)}</td>
+                            <td>${escapeHtml(opp.stage)}</td>
+                            <td><span class="badge badge-${opp.status.toLowerCase().replace(' ', '-')}">${escapeHtml(opp.status)}</span></td>
+                            <td>${formatCurrency(opp.dealValue, opp.currency)}</td>
+                            <td>${escapeHtml(opp.expectedClose || 'N/A')}</td>
+                            <td><button class="btn btn-edit" data-id="${escapeHtml(opp.id)}">Edit</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <h4>Open Tasks</h4>
+        <div class="table-container">
+            <table>
+                <thead><tr><th>Task</th><th>Opportunity</th><th>Assigned To</th><th>Due Date</th><th>Status</th></tr></thead>
+                <tbody>
+                    ${summary.openTasks.length === 0 ? '<tr><td colspan="5" class="empty-state"><p>No open tasks.</p></td></tr>' : summary.openTasks.map(task => `
+                        <tr>
+                            <td>${escapeHtml(task.taskName)}</td>
+                            <td>${escapeHtml((summary.opportunities.find(opp => opp.id === task.opportunityId) || {}).name || '')}</td>
+                            <td>${escapeHtml(task.assignedTo || '')}</td>
+                            <td>${escapeHtml(task.dueDate || 'N/A')}</td>
+                            <td>${escapeHtml(task.status)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    container.querySelector('#close-account-detail').addEventListener('click', () => {
+        selectedAccountId = null;
+        renderAccounts();
+    });
+    container.querySelectorAll('.btn-edit').forEach(button => {
+        button.addEventListener('click', function() {
+            openEditOpportunityModal(this.getAttribute('data-id'));
+        });
+    });
+}
+
+function populateAccountIndustrySelect(selected) {
+    const select = document.getElementById('account-industry');
+    select.innerHTML = '<option value="">Not set</option>';
+    getSelectOptionValues('opp-industry').forEach(industry => {
+        const option = document.createElement('option');
+        option.value = industry;
+        option.textContent = industry;
+        select.appendChild(option);
+    });
+    select.value = selected || '';
+}
+
+function openAddAccountModal() {
+    currentEditingAccount = null;
+    document.getElementById('account-modal-title').textContent = 'Add Account';
+    document.getElementById('account-form').reset();
+    populateAccountIndustrySelect('');
+    document.getElementById('account-contacts').innerHTML = '';
+    addContactRow();
+    document.getElementById('account-modal').classList.add('active');
+
+    setTimeout(() => {
+        document.getElementById('account-name').focus();
+    }, 100);
+}
+
+function openEditAccountModal(id) {
+    const account = accounts.find(item => item.id === id);
+    if (!account) return;
+
+    currentEditingAccount = id;
+    document.getElementById('account-modal-title').textContent = 'Edit Account';
+    document.getElementById('account-name').value = account.name;
+    populateAccountIndustrySelect(account.industry);
+    document.getElementById('account-region').value = account.region || '';
+    document.getElementById('account-notes').value = account.notes || '';
+    document.getElementById('account-contacts').innerHTML = '';
+    account.contacts.forEach(addContactRow);
+    if (account.contacts.length === 0) {
+        addContactRow();
+    }
+    document.getElementById('account-modal').classList.add('active');
+
+    setTimeout(() => {
+        document.getElementById('account-name').focus();
+    }, 100);
+}
+
+function closeAccountModal() {
+    document.getElementById('account-modal').classList.remove('active');
+    currentEditingAccount = null;
+}
+
+function addContactRow(contact = {}) {
+    const row = document.createElement('div');
+    row.className = 'contact-row';
+    row.dataset.contactId = contact.id || '';
+    row.innerHTML = `
+        <input type="text" class="contact-name" placeholder="Name" value="${escapeHtml(contact.name || '')}" aria-label="Contact name">
+        <input type="text" class="contact-role" placeholder="Role" value="${escapeHtml(contact.role || '')}" aria-label="Contact role">
+        <input type="email" class="contact-email" placeholder="Email" value="${escapeHtml(contact.email || '')}" aria-label="Contact email">
+        <input type="tel" class="contact-phone" placeholder="Phone" value="${escapeHtml(contact.phone || '')}" aria-label="Contact phone">
+        <label class="settings-inline"><input type="checkbox" class="contact-decision-maker" ${contact.decisionMaker ? 'checked' : ''}> Decision maker</label>
+        <button type="button" class="btn btn-history contact-remove">Remove</button>
+    `;
+    row.querySelector('.contact-remove').addEventListener('click', () => row.remove());
+    document.getElementById('account-contacts').appendChild(row);
+}
+
+function getAccountFormContacts() {
+    // Rows left without a name are treated as unused
+    return [...document.querySelectorAll('#account-contacts .contact-row')]
+        .map(row => ({
+            id: row.dataset.contactId || generateContactID(),
+            name: row.querySelector('.contact-name').value.trim(),
+            role: row.querySelector('.contact-role').value.trim(),
+            email: row.querySelector('.contact-email').value.trim(),
+            phone: row.querySelector('.contact-phone').value.trim(),
+            decisionMaker: row.querySelector('.contact-decision-maker').checked
+        }))
+        .filter(contact => contact.name);
+}
+
+function saveAccount(event) {
+    event.preventDefault();
+
+    const name = document.getElementById('account-name').value.trim();
+    if (!name) {
+        showWarning('Please enter an account name');
+        return;
+    }
+
+    const duplicate = findAccountByName(accounts, name);
+    if (duplicate && duplicate.id !== currentEditingAccount) {
+        showWarning(`"${duplicate.name}" already exists`);
+        return;
+    }
+
+    const existing = accounts.find(account => account.id === currentEditingAccount);
+    const accountData = {
+        ...existing,
+        id: currentEditingAccount || generateAccountID(),
+        name: name,
+        industry: document.getElementById('account-industry').value,
+        region: document.getElementById('account-region').value.trim(),
+        notes: document.getElementById('account-notes').value.trim(),
+        contacts: getAccountFormContacts(),
+        updatedAt: new Date().toISOString()
+    };
+
+    const changes = [];
+    if (existing) {
+        recordChange(changes, 'account', 'update', existing, accountData);
+        accounts[accounts.indexOf(existing)] = accountData;
+
+        // Linked opportunities follow renames and drop removed contacts
+        opportunities.forEach((opp, index) => {
+            if (opp.accountId !== accountData.id) return;
+            const updated = { ...opp, ...getAccountLinkFields(accountData, opp.contactIds || []) };
+            if (stableStringify(updated) !== stableStringify(opp)) {
+                updated.updatedAt = accountData.updatedAt;
+                recordChange(changes, 'opportunity', 'update', opp, updated);
+                opportunities[index] = updated;
+            }
+        });
+    } else {
+        recordChange(changes, 'account', 'create', null, accountData);
+        accounts.push(accountData);
+    }
+
+    addToUndoStack({
+        type: existing ? 'update_account' : 'create_account',
+        description: `${existing ? 'Edit' : 'Add'} account "${accountData.name}"`,
+        changes: changes
+    });
+
+    saveAccountsToStorage();
+    saveOpportunitiesToStorage();
+    closeAccountModal();
+    refreshAllViews();
+}
+
+function deleteAccount(id) {
+    const account = accounts.find(item => item.id === id);
+    if (!account) return;
+
+    if (opportunities.some(opp => opp.accountId === id)) {
+        alert(`"${account.name}" still has opportunities. Move or delete them before deleting the account.`);
+        return;
+    }
+    if (!confirm(`Delete the account "${account.name}" and its ${account.contacts.length} contact(s)?`)) {
+        return;
+    }
+
+    const changes = [];
+    recordChange(changes, 'account', 'delete', account, null);
+    addToUndoStack({
+        type: 'delete_account',
+        description: `Delete account "${account.name}"`,
+        changes: changes
+    });
+
+    accounts = accounts.filter(item => item.id !== id);
+    if (selectedAccountId === id) {
+        selectedAccountId = null;
+    }
+    saveAccountsToStorage();
+    renderAccounts();
+
+    showUndoToast('Account deleted');
+}
+
+function populateAccountSelect(selectedId) {
+    const select = document.getElementById('opp-account');
+    select.innerHTML = '<option value="">Select Account</option>';
+    [...accounts].sort((a, b) => a.name.localeCompare(b.name)).forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = account.name;
+        select.appendChild(option);
+    });
+
+    const newOption = document.createElement('option');
+    newOption.value = NEW_ACCOUNT_OPTION;
+    newOption.textContent = '+ New account...';
+    select.appendChild(newOption);
+
+    select.value = selectedId && accounts.some(account => account.id === selectedId) ? selectedId : '';
+}
+
+function renderOpportunityContacts(selectedIds) {
+    const container = document.getElementById('opp-contacts');
+    const account = accounts.find(item => item.id === document.getElementById('opp-account').value);
+
+    if (!account) {
+        container.innerHTML = '<p class="settings-meta">Choose an account to pick its contacts.</p>';
+        return;
+    }
+    if (account.contacts.length === 0) {
+        container.innerHTML = '<p class="settings-meta">This account has no contacts yet. Add them from the Accounts tab.</p>';
+        return;
+    }
+
+    container.innerHTML = account.contacts.map(contact => `
+        <label class="contact-option">
+            <input type="checkbox" value="${escapeHtml(contact.id)}" ${selectedIds.includes(contact.id) ? 'checked' : ''}>
+            ${escapeHtml(contact.name)}${contact.role ? ` <span class="settings-meta">${escapeHtml(contact.role)}</span>` : ''}${contact.decisionMaker ? ' <span class="badge badge-won">Decision maker</span>' : ''}
+        </label>
+    `).join('');
+}
+
+function getSelectedContactIds() {
+    return [...document.querySelectorAll('#opp-contacts input:checked')].map(input => input.value);
+}
+
+function handleOpportunityAccountChange() {
+    const select = document.getElementById('opp-account');
+
+    if (select.value === NEW_ACCOUNT_OPTION) {
+        const name = prompt('New account name:');
+        if (name && name.trim()) {
+            createAccountFromOpportunityForm(name.trim());
+        } else {
+            select.value = '';
+        }
+    }
+
+    // New opportunities pick up the account's industry
+    const account = accounts.find(item => item.id === select.value);
+    if (account && account.industry && !currentEditingOpportunity) {
+        document.getElementById('opp-industry').value = account.industry;
+    }
+    renderOpportunityContacts([]);
+}
+
+function createAccountFromOpportunityForm(name) {
+    const existing = findAccountByName(accounts, name);
+    if (existing) {
+        showWarning(`"${existing.name}" already exists and has been selected`);
+        populateAccountSelect(existing.id);
+        return;
+    }
+
+    const changes = [];
+    const account = findOrCreateAccount(accounts, name, document.getElementById('opp-industry').value);
+    recordChange(changes, 'account', 'create', null, account);
+    addToUndoStack({
+        type: 'create_account',
+        description: `Add account "${account.name}"`,
+        changes: changes
+    });
+
+    saveAccountsToStorage();
+    populateAccountSelect(account.id);
+    renderAccounts();
+}
+
+// ===========================
+// Calendar View Functions
+// ===========================
+
+const CALENDAR_MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+                              'July', 'August', 'September', 'October', 'November', 'December'];
+// Filter value for tasks nobody has picked up yet
+const UNASSIGNED_FILTER = '__unassigned__';
+
+function initializeCalendar() {
+    document.getElementById('calendar-prev-month').addEventListener('click', () => stepCalendar(-1));
+    document.getElementById('calendar-next-month').addEventListener('click', () => stepCalendar(1));
+    
+    document.getElementById('calendar-today').addEventListener('click', () => {
+        currentCalendarDate = new Date();
+        renderCalendar();
+    });
+
+    document.getElementById('calendar-view').addEventListener('change', function() {
+        calendarView = this.value;
+        renderCalendar();
+    });
+
+    ['calendar-filter-assignee', 'calendar-filter-opportunity', 'calendar-filter-type'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderCalendar);
+    });
+    document.getElementById('clear-calendar-filters-btn').addEventListener('click', () => {
+        ['calendar-filter-assignee', 'calendar-filter-opportunity', 'calendar-filter-type'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        renderCalendar();
+    });
+}
+
+// Weeks step by seven days; the month and agenda views step a month at a time
+function stepCalendar(direction) {
+    if (calendarView === 'week') {
+        currentCalendarDate.setDate(currentCalendarDate.getDate() + 7 * direction);
+    } else {
+        currentCalendarDate = new Date(currentCalendarDate.getFullYear(), currentCalendarDate.getMonth() + direction, 1);
+    }
+    renderCalendar();
+}
+
+function populateCalendarFilters() {
+    const fill = (id, allLabel, options) => {
+        const select = document.getElementById(id);
+        const currentValue = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` + options.map(option =>
+            `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('');
+        if (options.some(option => option.value === currentValue)) {
+            select.value = currentValue;
+        }
+    };
+
+    const assignees = [...new Set([...teamMembers.map(member => member.name), ...tasks.map(task => task.assignedTo).filter(Boolean)])]
+        .sort((a, b) => a.localeCompare(b));
+    fill('calendar-filter-assignee', 'All Assignees', [
+        ...assignees.map(name => ({ value: name, label: name })),
+        { value: UNASSIGNED_FILTER, label: 'Unassigned' }
+    ]);
+    fill('calendar-filter-opportunity', 'All Opportunities', opportunities.map(opp => ({ value: opp.id, label: `${opp.id} - ${opp.name}` })));
+    fill('calendar-filter-type', 'All Task Types', getSelectOptionValues('task-type').map(type => ({ value: type, label: type })));
+}
+
+function matchesCalendarFilters(task) {
+    const assignee = document.getElementById('calendar-filter-assignee').value;
+    const opportunityId = document.getElementById('calendar-filter-opportunity').value;
+    const taskType = document.getElementById('calendar-filter-type').value;
+
+    if (assignee === UNASSIGNED_FILTER && task.assignedTo) return false;
+    if (assignee && assignee !== UNASSIGNED_FILTER && task.assignedTo !== assignee) return false;
+    if (opportunityId && task.opportunityId !== opportunityId) return false;
+    if (taskType && task.taskType !== taskType) return false;
+    return true;
+}
+
+// First day a task occupies on the calendar; tasks without a usable start sit on their due date
+function getCalendarStart(task) {
+    return task.startDate && task.startDate <= task.dueDate ? task.startDate : task.dueDate;
+}
+
+// Tasks and occurrences that pass the calendar filters and span any day in the range
+function getCalendarEntries(from, to) {
+    return tasks.filter(task => task.dueDate && matchesCalendarFilters(task)).flatMap(task => {
+        if (isRecurringTask(task)) {
+            // An occurrence due after the window can still start inside it
+            const lead = toDayNumber(task.dueDate) - toDayNumber(getCalendarStart(task));
+            return getTaskOccurrences(task, from, shiftDate(to, lead))
+                .map(date => buildOccurrence(task, date))
+                .filter(occurrence => getCalendarStart(occurrence) <= to);
+        }
+        return task.dueDate >= from && getCalendarStart(task) <= to ? [task] : [];
+    });
+}
+
+function getCalendarEntriesOn(entries, date) {
+    return entries.filter(task => getCalendarStart(task) <= date && task.dueDate >= date);
+}
+
+function renderCalendar() {
+    populateCalendarFilters();
+    document.getElementById('calendar-view').value = calendarView;
+
+    const calendarGrid = document.getElementById('calendar-grid');
+    calendarGrid.innerHTML = '';
+    calendarGrid.className = `calendar-grid ${calendarView}-view`;
+
+    if (calendarView === 'week') {
+        renderCalendarWeek(calendarGrid);
+    } else if (calendarView === 'agenda') {
+        renderCalendarAgenda(calendarGrid);
+    } else {
+        renderCalendarMonth(calendarGrid);
+    }
+    
+    // If a date was selected, show its tasks
+    if (selectedCalendarDate) {
+        showTasksForDate(selectedCalendarDate);
+    }
+}
+
+function renderCalendarDayHeaders(calendarGrid, dates) {
+    const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    dayHeaders.forEach((day, index) => {
+        const header = document.createElement('div');
+        header.className = 'calendar-day-header';
+        header.textContent = dates ? `${day} ${dates[index].getDate()}` : day;
+        calendarGrid.appendChild(header);
+    });
+}
+
+function renderCalendarMonth(calendarGrid) {
+    const year = currentCalendarDate.getFullYear();
+    const month = currentCalendarDate.getMonth();
+    
+    // Update month/year display
+    document.getElementById('calendar-month-year').textContent = `${CALENDAR_MONTH_NAMES[month]} ${year}`;
+    
+    // Get first day of month and number of days
+    const firstDay = new Date(year, month, 1);
+    const lastDay = new Date(year, month + 1, 0);
+    const daysInMonth = lastDay.getDate();
+    const startingDayOfWeek = firstDay.getDay();
+    
+    // Get previous month's last days
+    const prevMonthLastDay = new Date(year, month, 0).getDate();
+
+    // The grid always shows six weeks
+    const gridStart = new Date(year, month, 1 - startingDayOfWeek);
+    const entries = getCalendarEntries(formatDate(gridStart), formatDate(new Date(year, month, 42 - startingDayOfWeek)));
+    
+    // Add day headers
+    renderCalendarDayHeaders(calendarGrid);
+    
+    // Add previous month's trailing days
+    for (let i = startingDayOfWeek - 1; i >= 0; i--) {
+        const dayNum = prevMonthLastDay - i;
+        const dayCell = createCalendarDay(dayNum, year, month - 1, true, entries);
+        calendarGrid.appendChild(dayCell);
+    }
+    
+    // Add current month's days
+    for (let day = 1; day <= daysInMonth; day++) {
+        const dayCell = createCalendarDay(day, year, month, false, entries);
+        calendarGrid.appendChild(dayCell);
+    }
+    
+    // Add next month's leading days
+    const totalCells = calendarGrid.children.length - 7; // Subtract headers
+    const remainingCells = 42 - totalCells; // 6 rows * 7 days
+    for (let day = 1; day <= remainingCells; day++) {
+        const dayCell = createCalendarDay(day, year, month + 1, true, entries);
+        calendarGrid.appendChild(dayCell);
+    }
+}
+
+function renderCalendarWeek(calendarGrid) {
+    const weekStart = new Date(currentCalendarDate.getFullYear(), currentCalendarDate.getMonth(), currentCalendarDate.getDate() - currentCalendarDate.getDay());
+    const dates = Array.from({ length: 7 }, (_, index) => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + index));
+    const weekEnd = dates[6];
+
+    const format = date => `${CALENDAR_MONTH_NAMES[date.getMonth()].slice(0, 3)} ${date.getDate()}`;
+    document.getElementById('calendar-month-year').textContent = `${format(weekStart)} – ${format(weekEnd)}, ${weekEnd.getFullYear()}`;
+
+    const entries = getCalendarEntries(formatDate(weekStart), formatDate(weekEnd));
+    renderCalendarDayHeaders(calendarGrid, dates);
+    dates.forEach(date => {
+        // A week has room to list every task
+        calendarGrid.appendChild(createCalendarDay(date.getDate(), date.getFullYear(), date.getMonth(), false, entries, Infinity));
+    });
+}
+
+function renderCalendarAgenda(calendarGrid) {
+    const year = currentCalendarDate.getFullYear();
+    const month = currentCalendarDate.getMonth();
+    document.getElementById('calendar-month-year').textContent = `Agenda · ${CALENDAR_MONTH_NAMES[month]} ${year}`;
+
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const entries = getCalendarEntries(formatDate(new Date(year, month, 1)), formatDate(new Date(year, month, daysInMonth)));
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = new Date(year, month, day);
+        const dateStr = formatDate(date);
+        const dayTasks = getCalendarEntriesOn(entries, dateStr);
+        if (dayTasks.length === 0) continue;
+
+        const group = document.createElement('div');
+        group.className = 'agenda-day';
+
+        const heading = document.createElement('div');
+        heading.className = `agenda-date${date.toDateString() === new Date().toDateString() ? ' today' : ''}`;
+        heading.textContent = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+        heading.addEventListener('click', () => {
+            selectedCalendarDate = date;
+            showTasksForDate(date);
+        });
+        makeCalendarDropTarget(heading, dateStr);
+        group.appendChild(heading);
+
+        dayTasks.forEach(task => {
+            const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
+            const start = getCalendarStart(task);
+            const spanDays = toDayNumber(task.dueDate) - toDayNumber(start) + 1;
+            const item = document.createElement('div');
+            item.className = `agenda-item calendar-task-item status-${task.status.toLowerCase().replace(' ', '-')}${isTaskOverdue(task) ? ' overdue' : ''}`;
+            item.innerHTML = `
+                <h4>${isRecurringTask(task) ? '↻ ' : ''}${escapeHtml(task.taskName)}${spanDays > 1 ? ` <span class="settings-meta">Day ${toDayNumber(dateStr) - toDayNumber(start) + 1} of ${spanDays}</span>` : ''}</h4>
+                <p>${escapeHtml(opportunity ? opportunity.name : 'N/A')} · ${escapeHtml(task.taskType)} · ${escapeHtml(task.assignedTo || 'Unassigned')} · ${escapeHtml(task.status)}</p>
+            `;
+            item.title = 'Click to edit, or drag to another day';
+            item.addEventListener('click', () => openEditTaskModal(task.id, task.occurrenceDate));
+            makeCalendarTaskDraggable(item, task, dateStr);
+            group.appendChild(item);
+        });
+
+        calendarGrid.appendChild(group);
+    }
+
+    if (calendarGrid.children.length === 0) {
+        calendarGrid.innerHTML = '<p class="empty-state">No tasks scheduled this month.</p>';
+    }
+}
+
+function createCalendarDay(day, year, month, isOtherMonth, entries, limit = 3) {
+    const dayCell = document.createElement('div');
+    dayCell.className = 'calendar-day';
+    
+    if (isOtherMonth) {
+        dayCell.classList.add('other-month');
+    }
+    
+    const date = new Date(year, month, day);
+    const dateStr = formatDate(date);
+    
+    // Check if it's today
+    const today = new Date();
+    if (date.toDateString() === today.toDateString()) {
+        dayCell.classList.add('today');
+    }
+    
+    // Check if it's selected
+    if (selectedCalendarDate && date.toDateString() === selectedCalendarDate.toDateString()) {
+        dayCell.classList.add('selected');
+    }
+    
+    // Day number
+    const dayNumber = document.createElement('div');
+    dayNumber.className = 'calendar-day-number';
+    dayNumber.textContent = date.getDate();
+    dayCell.appendChild(dayNumber);
+    
+    // Tasks running through this date, including occurrences of recurring tasks
+    const dayTasks = getCalendarEntriesOn(entries, dateStr);
+    
+    // Add task indicators
+    dayTasks.slice(0, limit).forEach(task => {
+        const indicator = document.createElement('div');
+        const start = getCalendarStart(task);
+        // Multi-day tasks read as one bar across the days they cover
+        const span = start === task.dueDate ? '' : dateStr === start ? ' span-start' : dateStr === task.dueDate ? ' span-end' : ' span-middle';
+        indicator.className = `calendar-task-indicator status-${task.status.toLowerCase().replace(' ', '-')}${isTaskOverdue(task) ? ' overdue' : ''}${span}`;
+        indicator.textContent = `${isRecurringTask(task) ? '↻ ' : ''}${task.taskName}`;
+        indicator.title = isTaskOverdue(task) ? `${task.taskName} (${getDaysOverdue(task)} days overdue)` : `${task.taskName} (${start === task.dueDate ? task.dueDate : `${start} → ${task.dueDate}`})`;
+        makeCalendarTaskDraggable(indicator, task, dateStr);
+        dayCell.appendChild(indicator);
+    });
+    
+    // Show "+X more" if there are more tasks
+    if (dayTasks.length > limit) {
+        const moreIndicator = document.createElement('div');
+        moreIndicator.className = 'calendar-task-indicator';
+        moreIndicator.textContent = `+${dayTasks.length - limit} more`;
+        dayCell.appendChild(moreIndicator);
+    }
+    
+    // Click handler
+    dayCell.addEventListener('click', () => {
+        selectedCalendarDate = date;
+        renderCalendar();
+        showTasksForDate(date);
+    });
+    makeCalendarDropTarget(dayCell, dateStr);
+    
+    return dayCell;
+}
+
+function makeCalendarTaskDraggable(element, task, dateStr) {
+    element.draggable = true;
+    element.addEventListener('dragstart', e => {
+        e.stopPropagation();
+        calendarDraggedTask = { taskId: task.id, occurrenceDate: task.occurrenceDate, fromDate: dateStr };
+        element.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', task.id);
+    });
+    element.addEventListener('dragend', () => {
+        element.classList.remove('dragging');
+        calendarDraggedTask = null;
+    });
+}
+
+function makeCalendarDropTarget(element, dateStr) {
+    element.addEventListener('dragover', e => {
+        if (!calendarDraggedTask) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        element.classList.add('drag-over');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+    element.addEventListener('drop', e => {
+        e.preventDefault();
+        element.classList.remove('drag-over');
+        const drag = calendarDraggedTask;
+        calendarDraggedTask = null;
+        if (drag) {
+            moveCalendarTask(drag, dateStr);
+        }
+    });
+}
+
+// The whole task moves by the same number of days, so its length is kept
+function moveCalendarTask(drag, dateStr) {
+    const days = toDayNumber(dateStr) - toDayNumber(drag.fromDate);
+    const task = tasks.find(item => item.id === drag.taskId);
+    if (!task || days === 0) return;
+
+    if (drag.occurrenceDate && isRecurringTask(task)) {
+        const occurrence = buildOccurrence(task, drag.occurrenceDate);
+        const rule = task.recurrence;
+        openOccurrenceScopeModal({
+            taskId: task.id,
+            occurrenceDate: drag.occurrenceDate,
+            fields: {
+                startDate: shiftDate(occurrence.startDate, days),
+                dueDate: shiftDate(occurrence.dueDate, days),
+                // Later occurrences keep falling on the same weekdays relative to the move
+                recurrence: {
+                    ...rule,
+                    weekdays: (rule.weekdays || []).map(day => ((day + days) % 7 + 7) % 7)
+                }
+            }
+        });
+        return;
+    }
+
+    rescheduleTask(task.id, days);
+}
+
+function showTasksForDate(date) {
+    const dateStr = date.toLocaleDateString('en-US', { 
+        weekday: 'long', 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+    });
+    
+    document.getElementById('selected-date').textContent = dateStr;
+    
+    const dayTasks = getCalendarEntriesOn(getCalendarEntries(formatDate(date), formatDate(date)), formatDate(date));
+    
+    const tasksContainer = document.getElementById('selected-date-tasks');
+    
+    if (dayTasks.length === 0) {
+        tasksContainer.innerHTML = '<p style="color: #666;">No tasks scheduled on this date.</p>';
+        return;
+    }
+    
+    tasksContainer.innerHTML = '';
+    
+    dayTasks.forEach(task => {
+        const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
+        
+        const taskItem = document.createElement('div');
+        taskItem.className = `calendar-task-item status-${task.status.toLowerCase().replace(' ', '-')}${isTaskOverdue(task) ? ' overdue' : ''}`;
+        
+        taskItem.innerHTML = `
+            <h4>${escapeHtml(task.taskName)}${isTaskOverdue(task) ? ` <span class="badge badge-past-due">${getDaysOverdue(task)}d overdue</span>` : ''}</h4>
+            <p><strong>Opportunity:</strong> ${escapeHtml(opportunity ? opportunity.name : 'N/A')}</p>
+            <p><strong>Assigned To:</strong> ${escapeHtml(task.assignedTo || 'Unassigned')}</p>
+            <p><strong>Role:</strong> ${escapeHtml(task.role)}</p>
+            <p><strong>Type:</strong> ${escapeHtml(task.taskType)}</p>
+            <p><strong>Status:</strong> ${escapeHtml(task.status)}</p>
+            ${isRecurringTask(task) ? `<p><strong>Repeats:</strong> ${escapeHtml(describeRecurrence(task.recurrence))}</p>` : ''}
+            ${task.firstSlippedOn ? `<p><strong>First Slipped:</strong> ${escapeHtml(task.firstSlippedOn)}</p>` : ''}
+            ${task.remarks ? `<p><strong>Remarks:</strong> ${escapeHtml(task.remarks)}</p>` : ''}
+            <div class="actions-cell">
+                <button class="btn btn-edit">Edit</button>
+                ${task.status !== 'Completed' ? '<button class="btn btn-complete">Complete</button>' : ''}
+            </div>
+        `;
+
+        taskItem.querySelector('.btn-edit').addEventListener('click', () => openEditTaskModal(task.id, task.occurrenceDate));
+        if (taskItem.querySelector('.btn-complete')) {
+            taskItem.querySelector('.btn-complete').addEventListener('click', () => completeTaskFromCalendar(task.id, task.occurrenceDate));
+        }
+        
+        tasksContainer.appendChild(taskItem);
+    });
+}
+
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+// ===========================
+// iCalendar Functions
+// ===========================
+
+const ICS_PRODUCT_ID = '-//Presales Tracker//Tasks//EN';
+// Suffix that makes task UIDs globally unique while staying the same across exports
+const ICS_UID_DOMAIN = 'presales-tracker';
+const ICS_TODO_STATUSES = {
+    'Not Started': 'NEEDS-ACTION',
+    'In Progress': 'IN-PROCESS',
+    'Delayed': 'NEEDS-ACTION',
+    'Completed': 'COMPLETED'
+};
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function escapeICSText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Folds to 75 octets as RFC 5545 requires, without splitting a character
+function foldICSLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        // UTF-8 length of the character
+        const codePoint = char.codePointAt(0);
+        const charSize = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+        // Continuation lines start with a space, which counts towards their length
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function formatICSDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function formatICSTimestamp(iso) {
+    return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function getTaskICSUid(task) {
+    return `${task.id}@${ICS_UID_DOMAIN}`;
+}
+
+function getOpportunityLink(opportunityId) {
+    return `${window.location.href.split('#')[0]}#opportunity=${encodeURIComponent(opportunityId)}`;
+}
+
+// Calendars expand an RRULE from DTSTART, while the app anchors occurrences on their due dates
+function buildICSRecurrence(task, lead) {
+    const rule = task.recurrence;
+    const toStart = date => formatICSDate(shiftDate(date, -lead));
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if ((rule.interval || 1) > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.frequency === 'weekly' && rule.weekdays.length > 0) {
+        parts.push(`BYDAY=${rule.weekdays.map(day => ICS_WEEKDAYS[((day - lead) % 7 + 7) % 7]).join(',')}`);
+    }
+    if (rule.frequency === 'monthly') {
+        // The app moves a day-31 series to the last day of shorter months; pick the last
+        // matching day in each month to say the same thing
+        const dayOfMonth = parseInt(task.dueDate.slice(8, 10));
+        if (dayOfMonth > 28) {
+            const days = [];
+            for (let day = 28; day <= dayOfMonth; day++) days.push(day);
+            parts.push(`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1');
+        }
+    }
+    if (rule.until) {
+        parts.push(`UNTIL=${toStart(rule.until)}`);
+    } else if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    }
+
+    const lines = [`RRULE:${parts.join(';')}`];
+    if ((rule.excludedDates || []).length > 0) {
+        lines.push(`EXDATE;VALUE=DATE:${rule.excludedDates.map(toStart).join(',')}`);
+    }
+    return lines;
+}
+
+function buildICSEntry(task, component, stamp) {
+    const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
+    const due = task.dueDate || task.startDate;
+    let start = task.startDate && task.startDate <= due ? task.startDate : due;
+    if (isRecurringTask(task) && task.recurrence.frequency === 'monthly' &&
+        (parseInt(due.slice(8, 10)) > 28 || parseInt(due.slice(8, 10)) <= toDayNumber(due) - toDayNumber(start))) {
+        // A monthly rule can't say "N days before the due day" once that crosses into the
+        // previous month or the due day moves with month length, so such series export due-day only
+        start = due;
+    }
+    // Each change to the task appears in its history, so the count only ever goes up
+    const sequence = auditLog.filter(entry => entry.entityType === 'task' && entry.entityId === task.id).length;
+
+    const description = [
+        opportunity ? `Opportunity: ${opportunity.id} - ${opportunity.name} (${opportunity.client})` : '',
+        `Assigned to: ${task.assignedTo || 'Unassigned'} (${task.role})`,
+        `Type: ${task.taskType}`,
+        `Status: ${task.status}`,
+        task.remarks ? `Remarks: ${task.remarks}` : ''
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${getTaskICSUid(task)}`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${sequence}`,
+        `SUMMARY:${escapeICSText(opportunity ? `${task.taskName} - ${opportunity.name}` : task.taskName)}`,
+        `DESCRIPTION:${escapeICSText(description)}`,
+        `CATEGORIES:${escapeICSText(task.taskType)}`,
+        `DTSTART;VALUE=DATE:${formatICSDate(start)}`
+    ];
+
+    if (task.updatedAt) {
+        lines.push(`LAST-MODIFIED:${formatICSTimestamp(task.updatedAt)}`);
+    }
+    if (component === 'VTODO') {
+        lines.push(`DUE;VALUE=DATE:${formatICSDate(due)}`, `STATUS:${ICS_TODO_STATUSES[task.status] || 'NEEDS-ACTION'}`);
+    } else {
+        // All-day events end on the following day
+        lines.push(`DTEND;VALUE=DATE:${formatICSDate(shiftDate(due, 1))}`, 'TRANSP:TRANSPARENT');
+    }
+
+    if (opportunity) {
+        lines.push(`URL:${getOpportunityLink(opportunity.id)}`, `X-PRESALES-OPPORTUNITY-ID:${escapeICSText(opportunity.id)}`);
+    }
+    if (isRecurringTask(task)) {
+        lines.push(...buildICSRecurrence(task, toDayNumber(due) - toDayNumber(start)));
+    }
+    lines.push(`END:${component}`);
+
+    return lines;
+}
+
+function buildICSCalendar(exportTasks, component) {
+    const stamp = formatICSTimestamp(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Presales Tasks',
+        ...exportTasks.flatMap(task => buildICSEntry(task, component, stamp)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+function getICSExportFilters() {
+    return {
+        opportunityId: document.getElementById('ics-export-opportunity').value,
+        assignee: document.getElementById('ics-export-assignee').value,
+        from: document.getElementById('ics-export-from').value,
+        to: document.getElementById('ics-export-to').value,
+        includeCompleted: document.getElementById('ics-export-completed').checked
+    };
+}
+
+function getICSExportTasks(filters) {
+    return tasks.filter(task => {
+        if (!task.dueDate && !task.startDate) return false;
+        if (filters.opportunityId && task.opportunityId !== filters.opportunityId) return false;
+        if (filters.assignee && task.assignedTo !== filters.assignee) return false;
+        if (!filters.includeCompleted && task.status === 'Completed') return false;
+        if (!filters.from && !filters.to) return true;
+
+        const from = filters.from || '0000-01-01';
+        if (isRecurringTask(task)) {
+            const to = filters.to || shiftDate(from > task.dueDate ? from : task.dueDate, 3660);
+            return getTaskOccurrences(task, from, to).length > 0;
+        }
+        // Any overlap between the task's span and the range counts
+        const start = task.startDate || task.dueDate;
+        const end = task.dueDate || task.startDate;
+        return end >= from && (!filters.to || start <= filters.to);
+    });
+}
+
+function updateICSExportSummary() {
+    const count = getICSExportTasks(getICSExportFilters()).length;
+    document.getElementById('ics-export-summary').textContent =
+        `${count} ${count === 1 ? 'task' : 'tasks'} will be exported. Tasks without dates are left out.`;
+    document.getElementById('ics-export-submit').disabled = count === 0;
+}
+
+function openICSExportModal() {
+    const opportunitySelect = document.getElementById('ics-export-opportunity');
+    opportunitySelect.innerHTML = '<option value="">All Opportunities</option>' + opportunities.map(opp =>
+        `<option value="${escapeHtml(opp.id)}">${escapeHtml(opp.id)} - ${escapeHtml(opp.name)}</option>`).join('');
+
+    const assignees = [...new Set([...teamMembers.map(member => member.name), ...tasks.map(task => task.assignedTo)].filter(Boolean))].sort();
+    document.getElementById('ics-export-assignee').innerHTML = '<option value="">All Assignees</option>' +
+        assignees.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+
+    updateICSExportSummary();
+    document.getElementById('ics-export-modal').classList.add('active');
+}
+
+function closeICSExportModal() {
+    document.getElementById('ics-export-modal').classList.remove('active');
+}
+
+function exportTasksToICS() {
+    const filters = getICSExportFilters();
+    const exportTasks = getICSExportTasks(filters);
+    if (exportTasks.length === 0) {
+        showWarning('No dated tasks match these filters');
+        return;
+    }
+
+    const component = document.getElementById('ics-export-format').value;
+    const blob = new Blob([buildICSCalendar(exportTasks, component)], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `presales-tasks-${formatDate(new Date())}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    closeICSExportModal();
+    showSuccess(`Exported ${exportTasks.length} ${exportTasks.length === 1 ? 'task' : 'tasks'} to iCalendar`);
+}
+
+// Webmail domains say nothing about which client an attendee works for
+const FREE_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'];
+const ICS_IMPORT_TASK_TYPES = ['Meeting', 'Demo'];
+
+let icsImportEvents = [];
+
+function unescapeICSText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function parseICSLine(line) {
+    // The value starts at the first colon outside a quoted parameter
+    let inQuotes = false;
+    let split = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            split = i;
+            break;
+        }
+    }
+    if (split === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, split).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params: params, value: line.slice(split + 1) };
+}
+
+// UTC times are converted; times in a named zone are taken at face value
+function parseICSDate(property) {
+    const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (!hour) {
+        return { date: `${year}-${month}-${day}`, allDay: true, time: null };
+    }
+    const time = utc
+        ? new Date(Date.UTC(year, month - 1, day, hour, minute, second || 0))
+        : new Date(year, month - 1, day, hour, minute, second || 0);
+    return { date: formatDate(time), allDay: false, time: time };
+}
+
+// Events repeat on their start date but tasks on their due date, so dates move forward by the event's lead days
+function parseICSRecurrence(value, exdates, lead) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [key, ...rest] = part.split('=');
+        rule[key.toUpperCase()] = rest.join('=');
+    });
+
+    const frequency = (rule.FREQ || '').toLowerCase();
+    // Only rules the app can repeat exactly are kept
+    const supported = RECURRENCE_UNITS[frequency] &&
+        !rule.BYSETPOS && !rule.BYMONTHDAY && !rule.BYMONTH && !rule.BYYEARDAY && !rule.BYWEEKNO &&
+        (!rule.BYDAY || (frequency === 'weekly' && rule.BYDAY.split(',').every(day => ICS_WEEKDAYS.includes(day))));
+    if (!supported) return null;
+
+    const until = rule.UNTIL ? parseICSDate({ value: rule.UNTIL }) : null;
+    return {
+        frequency: frequency,
+        interval: Math.max(1, parseInt(rule.INTERVAL) || 1),
+        weekdays: rule.BYDAY ? rule.BYDAY.split(',').map(day => (ICS_WEEKDAYS.indexOf(day) + lead) % 7) : [],
+        until: until ? shiftDate(until.date, lead) : '',
+        count: rule.COUNT ? parseInt(rule.COUNT) : null,
+        excludedDates: exdates.map(date => shiftDate(date, lead))
+    };
+}
+
+function parseICSEvents(text) {
+    // Unfold continuation lines before reading properties
+    const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+
+    lines.forEach(line => {
+        const property = parseICSLine(line);
+        if (!property) return;
+
+        if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+            current = { attendees: [], exdates: [] };
+        } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT' && current) {
+            events.push(current);
+            current = null;
+        } else if (current) {
+            switch (property.name) {
+            case 'UID': current.uid = property.value; break;
+            case 'SUMMARY': current.summary = unescapeICSText(property.value); break;
+            case 'DESCRIPTION': current.description = unescapeICSText(property.value); break;
+            case 'LOCATION': current.location = unescapeICSText(property.value); break;
+            case 'STATUS': current.status = property.value.toUpperCase(); break;
+            case 'DTSTART': current.start = parseICSDate(property); break;
+            case 'DTEND': current.end = parseICSDate(property); break;
+            case 'RRULE': current.rrule = property.value; break;
+            case 'RECURRENCE-ID':
+                current.recurrenceId = property.value;
+                current.recurrenceDate = parseICSDate(property);
+                break;
+            case 'EXDATE':
+                property.value.split(',').forEach(value => {
+                    const date = parseICSDate({ value: value });
+                    if (date) current.exdates.push(date.date);
+                });
+                break;
+            case 'ORGANIZER':
+            case 'ATTENDEE':
+                current.attendees.push({
+                    name: property.params.CN || '',
+                    email: property.value.replace(/^mailto:/i, '').toLowerCase()
+                });
+                break;
+            }
         }
     });
 
-    selectedTasks.clear();
+    return events;
+}
 
-    saveTasksToStorage();
-    renderTasks();
-    updateDashboard();
-    updateBulkActionsUI('tasks');
+function getEmailDomain(email) {
+    const at = (email || '').lastIndexOf('@');
+    return at === -1 ? '' : email.slice(at + 1).toLowerCase();
+}
 
-    showSuccess(`Updated ${count} tasks to ${newStatus}`);
+// Matches on an attendee sharing a contact's email domain, then on the client name in the summary
+function matchEventOpportunity(event) {
+    const byPreference = [...opportunities].sort((a, b) => (a.status === 'Open' ? 0 : 1) - (b.status === 'Open' ? 0 : 1));
+    const eventDomains = new Set(event.attendees.map(attendee => getEmailDomain(attendee.email))
+        .filter(domain => domain && !FREE_EMAIL_DOMAINS.includes(domain)));
+
+    const byDomain = byPreference.find(opp => {
+        const account = accounts.find(item => item.id === opp.accountId);
+        const emails = [opp.contactEmail, ...(account ? account.contacts.map(contact => contact.email) : [])];
+        return emails.some(email => eventDomains.has(getEmailDomain(email)));
+    });
+    if (byDomain) {
+        return { opportunity: byDomain, reason: 'attendee email domain' };
+    }
+
+    const summary = ` ${normalizeAccountName(event.summary || '')} `;
+    const byName = byPreference.find(opp => {
+        const client = normalizeAccountName(opp.client || '');
+        return client && summary.includes(` ${client} `);
+    });
+    if (byName) {
+        return { opportunity: byName, reason: 'client name in summary' };
+    }
+
+    return { opportunity: null, reason: '' };
 }
 
-// ===========================
-// Business Logic Functions
-// ===========================
+function getEventImportKey(event) {
+    // Events without a UID are recognised by their title and start
+    return event.uid ? `${event.uid}${event.recurrenceId ? `#${event.recurrenceId}` : ''}` : `${event.summary}|${event.start && event.start.date}`;
+}
 
-function calculateExpectedRevenue(dealValue, probability) {
-    return dealValue * (probability / 100);
+function isEventAlreadyImported(event) {
+    const key = getEventImportKey(event);
+    // Our own exports carry the task ID in their UID
+    const ownTaskId = event.uid && event.uid.endsWith(`@${ICS_UID_DOMAIN}`) ? event.uid.slice(0, -ICS_UID_DOMAIN.length - 1) : null;
+    return tasks.some(task => task.icsUid === key || task.id === ownTaskId);
 }
 
-function calculateBANT(budget, authority, need, timeline) {
-    const total = budget + authority + need + timeline;
-    const percent = (total / MAX_BANT_SCORE) * 100;
-    let summary = 'Cold';
-    
-    if (percent >= BANT_THRESHOLDS.HOT) {
-        summary = 'Hot';
-    } else if (percent >= BANT_THRESHOLDS.WARM) {
-        summary = 'Warm';
+function prepareICSImportEvent(event) {
+    let skipReason = '';
+    if (!event.start) {
+        skipReason = 'No start date';
+    } else if (event.status === 'CANCELLED') {
+        skipReason = 'Cancelled';
+    } else if (isEventAlreadyImported(event)) {
+        skipReason = 'Already imported';
     }
-    
+
+    const match = matchEventOpportunity(event);
+    let recurrence = null;
+    if (event.rrule && event.start) {
+        const { startDate, dueDate } = getEventDates(event);
+        recurrence = parseICSRecurrence(event.rrule, event.exdates, toDayNumber(dueDate) - toDayNumber(startDate));
+    }
+
     return {
-        total: total,
-        percent: percent,
-        summary: summary
+        ...event,
+        skipReason: skipReason,
+        include: !skipReason && !!match.opportunity,
+        opportunityId: match.opportunity ? match.opportunity.id : '',
+        matchReason: match.reason,
+        taskType: /\bdemo/i.test(event.summary || '') ? 'Demo' : 'Meeting',
+        recurrence: recurrence,
+        // Repeats the app can't express come in as the first occurrence only
+        recurrenceDropped: !!event.rrule && !recurrence
     };
 }
 
-// ===========================
-// Tab Navigation
-// ===========================
-
-function initializeEventListeners() {
-    // Tab navigation
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    tabButtons.forEach(button => {
-        button.addEventListener('click', function() {
-            const targetTab = this.getAttribute('data-tab');
-            switchTab(targetTab);
-        });
-    });
-    
-    // Opportunity modal controls
-    document.getElementById('add-opportunity-btn').addEventListener('click', openAddOpportunityModal);
-    document.getElementById('close-opportunity-modal').addEventListener('click', closeOpportunityModal);
-    document.getElementById('cancel-opportunity-btn').addEventListener('click', closeOpportunityModal);
-    document.getElementById('opportunity-form').addEventListener('submit', saveOpportunity);
-    
-    // Task modal controls
-    document.getElementById('add-task-btn').addEventListener('click', openAddTaskModal);
-    document.getElementById('close-task-modal').addEventListener('click', closeTaskModal);
-    document.getElementById('cancel-task-btn').addEventListener('click', closeTaskModal);
-    document.getElementById('task-form').addEventListener('submit', saveTask);
-    
-    // Auto-calculation for opportunities
-    document.getElementById('opp-deal-value').addEventListener('input', updateOpportunityCalculations);
-    document.getElementById('opp-probability').addEventListener('input', updateOpportunityCalculations);
-    document.getElementById('opp-bant-budget').addEventListener('input', updateBANTCalculations);
-    document.getElementById('opp-bant-authority').addEventListener('input', updateBANTCalculations);
-    document.getElementById('opp-bant-need').addEventListener('input', updateBANTCalculations);
-    document.getElementById('opp-bant-timeline').addEventListener('input', updateBANTCalculations);
-    
-    // Search and filter with debouncing
-    const debouncedRenderOpportunities = debounce(renderOpportunities, 300);
-    const debouncedRenderTasks = debounce(renderTasks, 300);
-    
-    document.getElementById('opp-search').addEventListener('input', debouncedRenderOpportunities);
-    document.getElementById('opp-filter-stage').addEventListener('change', renderOpportunities);
-    document.getElementById('opp-filter-status').addEventListener('change', renderOpportunities);
-    document.getElementById('task-search').addEventListener('input', debouncedRenderTasks);
-    document.getElementById('task-filter-status').addEventListener('change', renderTasks);
-    document.getElementById('task-filter-opportunity').addEventListener('change', renderTasks);
-    
-    // Close modal when clicking on backdrop only
-    window.addEventListener('click', function(event) {
-        const oppModal = document.getElementById('opportunity-modal');
-        const taskModal = document.getElementById('task-modal');
-
-        if (event.target === oppModal) {
-            closeOpportunityModal();
-        }
-        if (event.target === taskModal) {
-            closeTaskModal();
+// An event listed twice in one file is imported once
+function skipRepeatedICSEvents(events) {
+    const seen = new Set();
+    events.forEach(event => {
+        const key = getEventImportKey(event);
+        if (seen.has(key) && !event.skipReason) {
+            event.skipReason = 'Repeated in this file';
+            event.include = false;
         }
+        seen.add(key);
     });
+}
 
-    // Keyboard navigation
-    document.addEventListener('keydown', function(event) {
-        // Escape key closes modals
-        if (event.key === 'Escape') {
-            const oppModal = document.getElementById('opportunity-modal');
-            const taskModal = document.getElementById('task-modal');
+function openICSImportModal() {
+    icsImportEvents = [];
+    document.getElementById('ics-import-file').value = '';
+    renderICSImportPreview();
+    document.getElementById('ics-import-modal').classList.add('active');
+}
 
-            if (oppModal.classList.contains('active')) {
-                closeOpportunityModal();
-            }
-            if (taskModal.classList.contains('active')) {
-                closeTaskModal();
-            }
-        }
+function closeICSImportModal() {
+    document.getElementById('ics-import-modal').classList.remove('active');
+    icsImportEvents = [];
+}
 
-        // Ctrl/Cmd + E for export
-        if ((event.ctrlKey || event.metaKey) && event.key === 'e') {
-            event.preventDefault();
-            exportToJSON();
-        }
+function handleICSFileSelected(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-        // Ctrl/Cmd + I for import
-        if ((event.ctrlKey || event.metaKey) && event.key === 'i') {
-            event.preventDefault();
-            importFromJSON();
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        const events = parseICSEvents(e.target.result);
+        if (events.length === 0) {
+            alert('No events were found in this calendar file.');
+            return;
         }
-    });
+        icsImportEvents = events.map(prepareICSImportEvent)
+            .sort((a, b) => ((a.start && a.start.date) || '').localeCompare((b.start && b.start.date) || ''));
+        skipRepeatedICSEvents(icsImportEvents);
+        renderICSImportPreview();
+    };
+    reader.readAsText(file);
 }
 
-function switchTab(tabName) {
-    // Update tab buttons
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    tabButtons.forEach(btn => {
-        if (btn.getAttribute('data-tab') === tabName) {
-            btn.classList.add('active');
-        } else {
-            btn.classList.remove('active');
+function getEventDates(event) {
+    const start = event.start.date;
+    let end = event.end ? event.end.date : start;
+    if (event.end) {
+        // All-day events end the day before DTEND; timed ones ending at midnight belong to the day before too
+        if (event.end.allDay || (event.end.time && event.end.time.getHours() === 0 && event.end.time.getMinutes() === 0 && end > start)) {
+            end = shiftDate(end, -1);
         }
-    });
-    
-    // Update tab content
-    const tabContents = document.querySelectorAll('.tab-content');
-    tabContents.forEach(content => {
-        content.classList.remove('active');
-    });
-    
-    document.getElementById(`${tabName}-tab`).classList.add('active');
-    
-    // Refresh data based on tab
-    if (tabName === 'dashboard') {
-        updateDashboard();
-    } else if (tabName === 'calendar') {
-        renderCalendar();
-    } else if (tabName === 'kanban') {
-        renderKanbanBoard();
     }
+    return { startDate: start, dueDate: end < start ? start : end };
 }
 
-// ===========================
-// Opportunity Modal Functions
-// ===========================
-
-function openAddOpportunityModal() {
-    currentEditingOpportunity = null;
-    document.getElementById('opportunity-modal-title').textContent = 'Add Opportunity';
-    document.getElementById('opportunity-form').reset();
-    updateOpportunityCalculations();
-    updateBANTCalculations();
-    document.getElementById('opportunity-modal').classList.add('active');
-
-    // Focus first input
-    setTimeout(() => {
-        document.getElementById('opp-name').focus();
-    }, 100);
+function updateICSImportSummary() {
+    const selected = icsImportEvents.filter(event => event.include).length;
+    const skipped = icsImportEvents.filter(event => event.skipReason).length;
+    document.getElementById('ics-import-summary').textContent = icsImportEvents.length === 0
+        ? 'Choose an .ics file exported from your mail client to preview its events.'
+        : `${icsImportEvents.length} events found · ${selected} selected · ${skipped} skipped. Events need an opportunity before they can be imported.`;
+    document.getElementById('ics-import-submit').disabled = selected === 0;
 }
 
-function openEditOpportunityModal(id) {
-    const opportunity = opportunities.find(opp => opp.id === id);
-    if (!opportunity) return;
-    
-    currentEditingOpportunity = id;
-    document.getElementById('opportunity-modal-title').textContent = 'Edit Opportunity';
-    
-    // Populate form
-    document.getElementById('opp-name').value = opportunity.name || '';
-    document.getElementById('opp-client').value = opportunity.client || '';
-    document.getElementById('opp-industry').value = opportunity.industry || 'Healthcare';
-    document.getElementById('opp-sales-owner').value = opportunity.salesOwner || '';
-    document.getElementById('opp-presales-owner').value = opportunity.preSalesOwner || '';
-    document.getElementById('opp-ba').value = opportunity.ba || '';
-    document.getElementById('opp-tech-type').value = opportunity.techType || 'AI';
-    document.getElementById('opp-source').value = opportunity.source || 'RFP';
-    document.getElementById('opp-date-identified').value = opportunity.dateIdentified || '';
-    document.getElementById('opp-expected-close').value = opportunity.expectedClose || '';
-    document.getElementById('opp-stage').value = opportunity.stage || 'Lead';
-    document.getElementById('opp-status').value = opportunity.status || 'Open';
-    document.getElementById('opp-deal-value').value = opportunity.dealValue || 0;
-    document.getElementById('opp-probability').value = opportunity.probability || 0;
-    document.getElementById('opp-competition').value = opportunity.competition || '';
-    document.getElementById('opp-contact-name').value = opportunity.contactName || '';
-    document.getElementById('opp-contact-email').value = opportunity.contactEmail || '';
-    document.getElementById('opp-bant-budget').value = opportunity.bant?.budget || 1;
-    document.getElementById('opp-bant-authority').value = opportunity.bant?.authority || 1;
-    document.getElementById('opp-bant-need').value = opportunity.bant?.need || 1;
-    document.getElementById('opp-bant-timeline').value = opportunity.bant?.timeline || 1;
-    
-    updateOpportunityCalculations();
-    updateBANTCalculations();
+function renderICSImportPreview() {
+    const container = document.getElementById('ics-import-preview');
+    updateICSImportSummary();
 
-    document.getElementById('opportunity-modal').classList.add('active');
+    if (icsImportEvents.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
 
-    // Focus first input
-    setTimeout(() => {
-        document.getElementById('opp-name').focus();
-    }, 100);
-}
+    const opportunityOptions = '<option value="">Choose opportunity</option>' + opportunities.map(opp =>
+        `<option value="${escapeHtml(opp.id)}">${escapeHtml(opp.id)} - ${escapeHtml(opp.name)} (${escapeHtml(opp.client)})</option>`).join('');
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Date</th>
+                    <th>Event</th>
+                    <th>Opportunity</th>
+                    <th>Task Type</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    const tbody = container.querySelector('tbody');
 
-function closeOpportunityModal() {
-    document.getElementById('opportunity-modal').classList.remove('active');
-    currentEditingOpportunity = null;
-}
+    icsImportEvents.forEach(event => {
+        const row = document.createElement('tr');
+        row.className = event.skipReason ? 'ics-import-skipped' : '';
+        const dates = event.start ? getEventDates(event) : null;
+        const domains = [...new Set(event.attendees.map(attendee => getEmailDomain(attendee.email)).filter(Boolean))];
+        const notes = [
+            event.skipReason,
+            event.matchReason ? `Matched by ${event.matchReason}` : '',
+            event.recurrence ? describeRecurrence(event.recurrence) : '',
+            event.recurrenceDropped ? 'Repeats in a way the app can\'t follow; only the first occurrence is imported' : '',
+            domains.length > 0 ? domains.join(', ') : ''
+        ].filter(Boolean);
 
-function updateOpportunityCalculations() {
-    const dealValue = parseFloat(document.getElementById('opp-deal-value').value) || 0;
-    const probability = parseFloat(document.getElementById('opp-probability').value) || 0;
-    const expectedRevenue = calculateExpectedRevenue(dealValue, probability);
-    
-    document.getElementById('opp-expected-revenue').value = `$${formatCurrency(expectedRevenue)}`;
-}
+        row.innerHTML = `
+            <td><input type="checkbox" class="ics-include" ${event.include ? 'checked' : ''} ${event.skipReason ? 'disabled' : ''} aria-label="Import this event"></td>
+            <td>${dates ? escapeHtml(dates.startDate === dates.dueDate ? dates.startDate : `${dates.startDate} → ${dates.dueDate}`) : 'N/A'}</td>
+            <td><strong>${escapeHtml(event.summary || '(no title)')}</strong><div class="settings-meta">${escapeHtml(notes.join(' · '))}</div></td>
+            <td><select class="filter-select ics-opportunity" ${event.skipReason ? 'disabled' : ''}>${opportunityOptions}</select></td>
+            <td><select class="filter-select ics-type" ${event.skipReason ? 'disabled' : ''}>${ICS_IMPORT_TASK_TYPES.map(type =>
+                `<option value="${type}" ${event.taskType === type ? 'selected' : ''}>${type}</option>`).join('')}</select></td>
+        `;
 
-function updateBANTCalculations() {
-    const budget = parseInt(document.getElementById('opp-bant-budget').value) || 1;
-    const authority = parseInt(document.getElementById('opp-bant-authority').value) || 1;
-    const need = parseInt(document.getElementById('opp-bant-need').value) || 1;
-    const timeline = parseInt(document.getElementById('opp-bant-timeline').value) || 1;
-    
-    const bant = calculateBANT(budget, authority, need, timeline);
-    
-    document.getElementById('opp-bant-total').value = bant.total;
-    document.getElementById('opp-bant-percent').value = `${bant.percent}%`;
-    document.getElementById('opp-bant-summary').value = bant.summary;
+        row.querySelector('.ics-opportunity').value = event.opportunityId;
+        row.querySelector('.ics-include').addEventListener('change', function() {
+            event.include = this.checked;
+            updateICSImportSummary();
+        });
+        row.querySelector('.ics-opportunity').addEventListener('change', function() {
+            event.opportunityId = this.value;
+            event.include = !!this.value;
+            row.querySelector('.ics-include').checked = event.include;
+            updateICSImportSummary();
+        });
+        row.querySelector('.ics-type').addEventListener('change', function() {
+            event.taskType = this.value;
+        });
+        tbody.appendChild(row);
+    });
 }
 
-function saveOpportunity(event) {
-    event.preventDefault();
-    
-    const dealValue = parseFloat(document.getElementById('opp-deal-value').value) || 0;
-    const probability = parseFloat(document.getElementById('opp-probability').value) || 0;
-    const budget = parseInt(document.getElementById('opp-bant-budget').value) || 1;
-    const authority = parseInt(document.getElementById('opp-bant-authority').value) || 1;
-    const need = parseInt(document.getElementById('opp-bant-need').value) || 1;
-    const timeline = parseInt(document.getElementById('opp-bant-timeline').value) || 1;
-    
-    const bant = calculateBANT(budget, authority, need, timeline);
-    const expectedRevenue = calculateExpectedRevenue(dealValue, probability);
-    
-    const opportunityData = {
-        id: currentEditingOpportunity || generateOpportunityID(),
-        name: document.getElementById('opp-name').value,
-        client: document.getElementById('opp-client').value,
-        industry: document.getElementById('opp-industry').value,
-        salesOwner: document.getElementById('opp-sales-owner').value,
-        preSalesOwner: document.getElementById('opp-presales-owner').value,
-        ba: document.getElementById('opp-ba').value,
-        techType: document.getElementById('opp-tech-type').value,
-        source: document.getElementById('opp-source').value,
-        dateIdentified: document.getElementById('opp-date-identified').value,
-        expectedClose: document.getElementById('opp-expected-close').value,
-        stage: document.getElementById('opp-stage').value,
-        status: document.getElementById('opp-status').value,
-        dealValue: dealValue,
-        probability: probability,
-        expectedRevenue: expectedRevenue,
-        competition: document.getElementById('opp-competition').value,
-        contactName: document.getElementById('opp-contact-name').value,
-        contactEmail: document.getElementById('opp-contact-email').value,
-        bant: {
-            budget: budget,
-            authority: authority,
-            need: need,
-            timeline: timeline
-        },
-        bantTotal: bant.total,
-        bantPercent: bant.percent,
-        bantSummary: bant.summary
+function buildTaskFromEvent(event) {
+    const { startDate, dueDate } = getEventDates(event);
+    // Anyone on the invite who is in the team directory takes the task
+    const member = teamMembers.find(item => event.attendees.some(attendee =>
+        attendee.name && attendee.name.toLowerCase() === item.name.toLowerCase()));
+    const remarks = [
+        'Imported from calendar.',
+        event.location ? `Location: ${event.location}` : '',
+        event.description ? event.description.trim() : ''
+    ].filter(Boolean).join('\n');
+
+    return {
+        id: generateTaskID(),
+        opportunityId: event.opportunityId,
+        taskName: event.summary || '(no title)',
+        assignedTo: member ? member.name : '',
+        role: member ? member.role : 'Pre-Sales',
+        taskType: event.taskType,
+        startDate: startDate,
+        dueDate: dueDate,
+        // Meetings that already happened come in as done
+        status: !event.recurrence && dueDate < formatDate(new Date()) ? 'Completed' : 'Not Started',
+        remarks: remarks,
+        dependsOn: [],
+        recurrence: event.recurrence,
+        icsUid: getEventImportKey(event),
+        updatedAt: new Date().toISOString()
     };
-    
-    if (currentEditingOpportunity) {
-        // Update existing
-        const index = opportunities.findIndex(opp => opp.id === currentEditingOpportunity);
-        if (index !== -1) {
-            opportunities[index] = opportunityData;
-        }
-    } else {
-        // Add new
-        opportunities.push(opportunityData);
-    }
-    
-    saveOpportunitiesToStorage();
-    renderOpportunities();
-    updateTaskOpportunityFilters();
-    updateDashboard();
-    closeOpportunityModal();
 }
 
-function deleteOpportunity(id) {
-    if (!confirm('Are you sure you want to delete this opportunity? All associated tasks will also be deleted.')) {
+function importICSEvents() {
+    const selected = icsImportEvents.filter(event => event.include && !event.skipReason);
+    if (selected.some(event => !event.opportunityId)) {
+        showWarning('Choose an opportunity for every selected event');
         return;
     }
 
-    // Find opportunity and associated tasks
-    const opportunity = opportunities.find(opp => opp.id === id);
-    const associatedTasks = tasks.filter(task => task.opportunityId === id);
+    const changes = [];
+    const newTasks = selected.map(buildTaskFromEvent);
 
-    // Add to undo stack
-    addToUndoStack({
-        type: 'delete_opportunity',
-        data: {
-            opportunity: opportunity,
-            tasks: associatedTasks
+    // A moved or edited occurrence replaces its date in the series it came from
+    selected.filter(event => event.recurrenceDate).forEach(event => {
+        const isSeries = task => task.icsUid === event.uid && isRecurringTask(task);
+        const series = newTasks.find(isSeries) || tasks.find(isSeries);
+        if (!series) return;
+
+        const lead = series.startDate ? toDayNumber(series.dueDate) - toDayNumber(series.startDate) : 0;
+        const date = shiftDate(event.recurrenceDate.date, lead);
+        if ((series.recurrence.excludedDates || []).includes(date)) return;
+
+        const recurrence = { ...series.recurrence, excludedDates: [...(series.recurrence.excludedDates || []), date] };
+        if (newTasks.includes(series)) {
+            series.recurrence = recurrence;
+        } else {
+            const index = tasks.indexOf(series);
+            const after = { ...series, recurrence: recurrence, updatedAt: new Date().toISOString() };
+            recordChange(changes, 'task', 'update', series, after);
+            tasks[index] = after;
         }
     });
 
-    // Delete opportunity
-    opportunities = opportunities.filter(opp => opp.id !== id);
-    saveOpportunitiesToStorage();
+    newTasks.forEach(task => {
+        recordChange(changes, 'task', 'import', null, task);
+        tasks.push(task);
+    });
+
+    addToUndoStack({
+        type: 'import_ics',
+        description: `Import ${selected.length} ${selected.length === 1 ? 'meeting' : 'meetings'} from calendar`,
+        changes: changes
+    });
 
-    // Delete associated tasks
-    tasks = tasks.filter(task => task.opportunityId !== id);
     saveTasksToStorage();
-
-    renderOpportunities();
+    closeICSImportModal();
     renderTasks();
-    updateTaskOpportunityFilters();
     updateDashboard();
+    renderCalendar();
+    showSuccess(`Imported ${selected.length} ${selected.length === 1 ? 'task' : 'tasks'} from calendar`);
+}
 
-    // Show undo toast
-    showUndoToast('Opportunity deleted');
+// Exported calendar entries link back with #opportunity=<id>
+function openLinkedOpportunity() {
+    const match = window.location.hash.match(/^#opportunity=(.+)$/);
+    if (!match) return;
+
+    const opportunityId = decodeURIComponent(match[1]);
+    if (opportunities.some(opp => opp.id === opportunityId)) {
+        switchTab('opportunities');
+        openEditOpportunityModal(opportunityId);
+    } else {
+        showWarning(`Opportunity ${opportunityId} was not found`);
+    }
 }
 
 // ===========================
-// Task Modal Functions
+// Timeline Functions
 // ===========================
 
-function openAddTaskModal() {
-    currentEditingTask = null;
-    document.getElementById('task-modal-title').textContent = 'Add Task';
-    document.getElementById('task-form').reset();
-    populateTaskOpportunityDropdown();
-    document.getElementById('task-modal').classList.add('active');
+const TIMELINE_DAY_WIDTH = 28;
+const TIMELINE_ROW_HEIGHT = 34;
+const TIMELINE_LABEL_WIDTH = 220;
+const TIMELINE_HEADER_HEIGHT = 30;
 
-    // Focus first input
-    setTimeout(() => {
-        document.getElementById('task-opportunity').focus();
-    }, 100);
-}
+let timelineDrag = null;
 
-function openEditTaskModal(id) {
-    const task = tasks.find(t => t.id === id);
-    if (!task) return;
-    
-    currentEditingTask = id;
-    document.getElementById('task-modal-title').textContent = 'Edit Task';
-    
-    populateTaskOpportunityDropdown();
-    
-    // Populate form
-    document.getElementById('task-opportunity').value = task.opportunityId || '';
-    document.getElementById('task-name').value = task.taskName || '';
-    document.getElementById('task-assigned-to').value = task.assignedTo || '';
-    document.getElementById('task-role').value = task.role || 'Sales';
-    document.getElementById('task-type').value = task.taskType || 'Document';
-    document.getElementById('task-start-date').value = task.startDate || '';
-    document.getElementById('task-due-date').value = task.dueDate || '';
-    document.getElementById('task-status').value = task.status || 'Not Started';
-    document.getElementById('task-remarks').value = task.remarks || '';
+// Whole-day arithmetic on YYYY-MM-DD strings, done in UTC so daylight saving never shifts a date
+function toDayNumber(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
 
-    document.getElementById('task-modal').classList.add('active');
+function fromDayNumber(dayNumber) {
+    return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
 
-    // Focus first input
-    setTimeout(() => {
-        document.getElementById('task-opportunity').focus();
-    }, 100);
+function shiftDate(date, days) {
+    return date ? fromDayNumber(toDayNumber(date) + days) : date;
 }
 
-function closeTaskModal() {
-    document.getElementById('task-modal').classList.remove('active');
-    currentEditingTask = null;
+function openOpportunityTimeline(opportunityId) {
+    switchTab('timeline');
+    document.getElementById('timeline-opportunity').value = opportunityId;
+    renderTimeline();
 }
 
-function populateTaskOpportunityDropdown() {
-    const select = document.getElementById('task-opportunity');
+function populateTimelineOpportunitySelect() {
+    const select = document.getElementById('timeline-opportunity');
+    const currentValue = select.value;
+
     select.innerHTML = '<option value="">Select Opportunity</option>';
-    
     opportunities.forEach(opp => {
         const option = document.createElement('option');
         option.value = opp.id;
         option.textContent = `${opp.id} - ${opp.name}`;
         select.appendChild(option);
     });
+
+    if (currentValue && opportunities.find(opp => opp.id === currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+// Float is how far a task can slip before it delays a dependent or the close date
+function computeCriticalPath(items, closeDay) {
+    const successors = new Map(items.map(item => [item.task.id, []]));
+    items.forEach(item => {
+        getTaskPredecessors(item.task).forEach(predecessor => {
+            if (successors.has(predecessor.id)) {
+                successors.get(predecessor.id).push(item);
+            }
+        });
+    });
+
+    const latestStarts = new Map();
+    const visit = item => {
+        if (latestStarts.has(item.task.id)) {
+            return latestStarts.get(item.task.id);
+        }
+        // Placeholder so an imported dependency cycle can't recurse forever
+        latestStarts.set(item.task.id, Infinity);
+
+        let latestFinish = closeDay;
+        successors.get(item.task.id).forEach(successor => {
+            latestFinish = Math.min(latestFinish, visit(successor) - 1);
+        });
+        item.float = latestFinish - item.end;
+        latestStarts.set(item.task.id, latestFinish - (item.end - item.start));
+        return latestStarts.get(item.task.id);
+    };
+    items.forEach(visit);
+
+    const minFloat = Math.min(...items.map(item => item.float));
+    items.forEach(item => {
+        item.critical = item.float === minFloat;
+    });
+    return minFloat;
 }
 
-function saveTask(event) {
-    event.preventDefault();
-    
-    const taskData = {
-        id: currentEditingTask || generateTaskID(),
-        opportunityId: document.getElementById('task-opportunity').value,
-        taskName: document.getElementById('task-name').value,
-        assignedTo: document.getElementById('task-assigned-to').value,
-        role: document.getElementById('task-role').value,
-        taskType: document.getElementById('task-type').value,
-        startDate: document.getElementById('task-start-date').value,
-        dueDate: document.getElementById('task-due-date').value,
-        status: document.getElementById('task-status').value,
-        remarks: document.getElementById('task-remarks').value
+function buildTimeline(opportunity) {
+    const opportunityTasks = tasks.filter(task => task.opportunityId === opportunity.id);
+    const items = opportunityTasks
+        .filter(task => task.dueDate || task.startDate)
+        .map(task => {
+            const end = toDayNumber(task.dueDate || task.startDate);
+            const start = task.startDate ? Math.min(toDayNumber(task.startDate), end) : end;
+            return { task: task, start: start, end: end };
+        })
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // Without an expected close the path is measured to the last task
+    const closeDay = opportunity.expectedClose
+        ? toDayNumber(opportunity.expectedClose)
+        : Math.max(...items.map(item => item.end));
+    const slack = items.length > 0 ? computeCriticalPath(items, closeDay) : null;
+
+    return {
+        items: items,
+        unscheduled: opportunityTasks.filter(task => !task.dueDate && !task.startDate),
+        closeDay: closeDay,
+        slack: slack
     };
-    
-    if (currentEditingTask) {
-        // Update existing
-        const index = tasks.findIndex(t => t.id === currentEditingTask);
-        if (index !== -1) {
-            tasks[index] = taskData;
-        }
-    } else {
-        // Add new
-        tasks.push(taskData);
-    }
-    
-    saveTasksToStorage();
-    renderTasks();
-    updateDashboard();
-    closeTaskModal();
 }
 
-function deleteTask(id) {
-    if (!confirm('Are you sure you want to delete this task?')) {
+function renderTimelineSummary(opportunity, timeline) {
+    const summary = document.getElementById('timeline-summary');
+
+    if (timeline.items.length === 0) {
+        summary.innerHTML = '';
         return;
     }
 
-    // Find task
-    const task = tasks.find(t => t.id === id);
+    const criticalCount = timeline.items.filter(item => item.critical).length;
+    const target = opportunity.expectedClose ? `expected close (${escapeHtml(opportunity.expectedClose)})` : 'the last task';
+    const pathLabel = `${criticalCount} critical task${criticalCount === 1 ? '' : 's'}`;
 
-    // Add to undo stack
-    addToUndoStack({
-        type: 'delete_task',
-        data: { task: task }
-    });
+    if (timeline.slack < 0) {
+        summary.innerHTML = `<span class="badge badge-lost">Late</span> The critical path (${pathLabel}) finishes ${-timeline.slack} day${timeline.slack === -1 ? '' : 's'} after ${target}.`;
+    } else {
+        summary.innerHTML = `<span class="badge badge-won">On track</span> The critical path (${pathLabel}) has ${timeline.slack} day${timeline.slack === 1 ? '' : 's'} of slack before ${target}.`;
+    }
+}
 
-    tasks = tasks.filter(t => t.id !== id);
-    saveTasksToStorage();
-    renderTasks();
-    updateDashboard();
+function renderTimeline() {
+    populateTimelineOpportunitySelect();
 
-    // Show undo toast
-    showUndoToast('Task deleted');
-}
+    const chart = document.getElementById('timeline-chart');
+    const unscheduledList = document.getElementById('timeline-unscheduled');
+    const opportunity = opportunities.find(opp => opp.id === document.getElementById('timeline-opportunity').value);
 
-// ===========================
-// Render Functions
-// ===========================
+    if (!opportunity) {
+        document.getElementById('timeline-summary').innerHTML = '';
+        unscheduledList.innerHTML = '';
+        renderChartEmpty(chart, 'Select an opportunity to see its task timeline.');
+        return;
+    }
 
-function renderOpportunities() {
-    const tbody = document.getElementById('opportunities-tbody');
-    const searchTerm = document.getElementById('opp-search').value.toLowerCase();
-    const filterStage = document.getElementById('opp-filter-stage').value;
-    const filterStatus = document.getElementById('opp-filter-status').value;
-    
-    // Filter opportunities
-    let filteredOpportunities = opportunities.filter(opp => {
-        const matchesSearch = !searchTerm || 
-            opp.name.toLowerCase().includes(searchTerm) ||
-            opp.client.toLowerCase().includes(searchTerm) ||
-            opp.id.toLowerCase().includes(searchTerm);
-        
-        const matchesStage = !filterStage || opp.stage === filterStage;
-        const matchesStatus = !filterStatus || opp.status === filterStatus;
-        
-        return matchesSearch && matchesStage && matchesStatus;
-    });
-    
-    if (filteredOpportunities.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="13" class="empty-state"><p>No opportunities found. Click "Add Opportunity" to create one.</p></td></tr>';
+    const timeline = buildTimeline(opportunity);
+    renderTimelineSummary(opportunity, timeline);
+
+    unscheduledList.innerHTML = timeline.unscheduled.length === 0 ? '' : `
+        <h3>Unscheduled</h3>
+        <p class="settings-meta">${timeline.unscheduled.map(task => escapeHtml(task.taskName)).join(', ')} ${timeline.unscheduled.length === 1 ? 'has' : 'have'} no dates yet.</p>
+    `;
+
+    if (timeline.items.length === 0) {
+        renderChartEmpty(chart, 'No dated tasks for this opportunity yet.');
         return;
     }
-    
-    tbody.innerHTML = '';
-    filteredOpportunities.forEach(opp => {
-        const row = document.createElement('tr');
-        const isChecked = selectedOpportunities.has(opp.id) ? 'checked' : '';
-        row.innerHTML = `
-            <td><input type="checkbox" ${isChecked} data-id="${escapeHtml(opp.id)}" class="row-checkbox" onchange="toggleOpportunitySelection('${escapeHtml(opp.id)}')"></td>
-            <td><strong>${escapeHtml(opp.id)}</strong></td>
-            <td>${escapeHtml(opp.name)}</td>
-            <td>${escapeHtml(opp.client)}</td>
-            <td>${escapeHtml(opp.industry)}</td>
-            <td>${escapeHtml(opp.stage)}</td>
-            <td><span class="badge badge-${opp.status.toLowerCase().replace(' ', '-')}">${escapeHtml(opp.status)}</span></td>
-            <td>$${opp.dealValue.toLocaleString()}</td>
-            <td>${opp.probability}%</td>
-            <td>$${formatCurrency(opp.expectedRevenue)}</td>
-            <td>${opp.bantPercent.toFixed(0)}%</td>
-            <td><span class="badge badge-${opp.bantSummary.toLowerCase()}">${escapeHtml(opp.bantSummary)}</span></td>
-            <td>
-                <div class="actions-cell">
-                    <button class="btn btn-edit" data-id="${escapeHtml(opp.id)}">Edit</button>
-                    <button class="btn btn-delete" data-id="${escapeHtml(opp.id)}">Delete</button>
-                </div>
-            </td>
+
+    const today = toDayNumber(formatDate(new Date()));
+    const firstDay = Math.min(timeline.items[0].start, timeline.closeDay) - 2;
+    const lastDay = Math.max(...timeline.items.map(item => item.end), timeline.closeDay) + 2;
+    const width = TIMELINE_LABEL_WIDTH + (lastDay - firstDay + 1) * TIMELINE_DAY_WIDTH;
+    const height = TIMELINE_HEADER_HEIGHT + timeline.items.length * TIMELINE_ROW_HEIGHT;
+    const dayX = day => TIMELINE_LABEL_WIDTH + (day - firstDay) * TIMELINE_DAY_WIDTH;
+    const rowY = index => TIMELINE_HEADER_HEIGHT + index * TIMELINE_ROW_HEIGHT;
+    const rowIndex = new Map(timeline.items.map((item, index) => [item.task.id, index]));
+
+    let grid = '';
+    for (let day = firstDay; day <= lastDay; day++) {
+        const x = dayX(day);
+        const isWeekStart = new Date(day * MS_PER_DAY).getUTCDay() === 1;
+        grid += `<line x1="${x}" y1="${TIMELINE_HEADER_HEIGHT}" x2="${x}" y2="${height}" class="timeline-grid${isWeekStart ? ' timeline-grid-week' : ''}"/>`;
+        if (isWeekStart) {
+            const label = new Date(day * MS_PER_DAY).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+            grid += `<text x="${x + 3}" y="${TIMELINE_HEADER_HEIGHT - 10}" class="chart-label">${escapeHtml(label)}</text>`;
+        }
+    }
+
+    const markers = [{ day: timeline.closeDay, className: 'timeline-close', label: opportunity.expectedClose ? 'Close' : 'Last task' }];
+    if (today >= firstDay && today <= lastDay) {
+        markers.push({ day: today, className: 'timeline-today', label: 'Today' });
+    }
+    const markerLines = markers.map(marker => {
+        // Markers sit on the far edge of their day, matching where a bar due that day ends
+        const x = dayX(marker.day + 1);
+        return `<line x1="${x}" y1="${TIMELINE_HEADER_HEIGHT - 6}" x2="${x}" y2="${height}" class="${marker.className}"/>
+            <text x="${x - 3}" y="${TIMELINE_HEADER_HEIGHT - 10}" text-anchor="end" class="chart-label ${marker.className}-label">${marker.label}</text>`;
+    }).join('');
+
+    const arrows = timeline.items.flatMap((item, index) =>
+        getTaskPredecessors(item.task)
+            .filter(predecessor => rowIndex.has(predecessor.id))
+            .map(predecessor => {
+                const from = timeline.items[rowIndex.get(predecessor.id)];
+                const x1 = dayX(from.end + 1);
+                const y1 = rowY(rowIndex.get(predecessor.id)) + TIMELINE_ROW_HEIGHT / 2;
+                const x2 = dayX(item.start);
+                const y2 = rowY(index) + TIMELINE_ROW_HEIGHT / 2;
+                const late = from.end >= item.start ? ' timeline-arrow-conflict' : '';
+                return `<path d="M ${x1} ${y1} H ${x1 + 6} V ${y2} H ${x2 - 2}" class="timeline-arrow${late}" marker-end="url(#timeline-arrowhead)"/>`;
+            })
+    ).join('');
+
+    const rows = timeline.items.map((item, index) => {
+        const y = rowY(index);
+        const label = item.task.taskName.length > 28 ? `${item.task.taskName.slice(0, 27)}…` : item.task.taskName;
+        const tooltip = `${item.task.taskName} (${item.task.status}): ${item.task.startDate || item.task.dueDate} → ${item.task.dueDate || item.task.startDate} · ${item.float} day${item.float === 1 ? '' : 's'} float`;
+        return `
+            <text x="8" y="${y + TIMELINE_ROW_HEIGHT / 2}" class="chart-label">${escapeHtml(label)}</text>
+            <rect x="${dayX(item.start)}" y="${y + 7}" width="${(item.end - item.start + 1) * TIMELINE_DAY_WIDTH}" height="${TIMELINE_ROW_HEIGHT - 14}" rx="4"
+                fill="${TASK_STATUS_COLORS[item.task.status] || CHART_COLORS[0]}" class="timeline-bar${item.critical ? ' timeline-critical' : ''}" data-task-id="${escapeHtml(item.task.id)}">
+                <title>${escapeHtml(tooltip)}</title>
+            </rect>
         `;
-        
-        // Add event listeners to buttons
-        row.querySelector('.btn-edit').addEventListener('click', function() {
-            openEditOpportunityModal(this.getAttribute('data-id'));
-        });
-        row.querySelector('.btn-delete').addEventListener('click', function() {
-            deleteOpportunity(this.getAttribute('data-id'));
-        });
-        
-        tbody.appendChild(row);
+    }).join('');
+
+    chart.innerHTML = `
+        <svg xmlns="${SVG_NS}" width="${width}" height="${height}" class="timeline-svg">
+            <defs>
+                <marker id="timeline-arrowhead" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="6" markerHeight="6" orient="auto">
+                    <path d="M 0 0 L 8 4 L 0 8 z" fill="#64748b"/>
+                </marker>
+            </defs>
+            ${grid}${markerLines}${arrows}${rows}
+        </svg>
+    `;
+
+    chart.querySelectorAll('.timeline-bar').forEach(bar => {
+        bar.addEventListener('mousedown', startTimelineDrag);
     });
 }
 
-function renderTasks() {
-    const tbody = document.getElementById('tasks-tbody');
-    const searchTerm = document.getElementById('task-search').value.toLowerCase();
-    const filterStatus = document.getElementById('task-filter-status').value;
-    const filterOpportunity = document.getElementById('task-filter-opportunity').value;
-    
-    // Filter tasks
-    let filteredTasks = tasks.filter(task => {
-        const matchesSearch = !searchTerm || 
-            task.taskName.toLowerCase().includes(searchTerm) ||
-            (task.assignedTo && task.assignedTo.toLowerCase().includes(searchTerm)) ||
-            task.id.toLowerCase().includes(searchTerm);
-        
-        const matchesStatus = !filterStatus || task.status === filterStatus;
-        const matchesOpportunity = !filterOpportunity || task.opportunityId === filterOpportunity;
-        
-        return matchesSearch && matchesStatus && matchesOpportunity;
+function startTimelineDrag(event) {
+    event.preventDefault();
+    const taskId = event.currentTarget.dataset.taskId;
+    const movingIds = [taskId, ...getTaskDependents(taskId)];
+
+    timelineDrag = {
+        taskId: taskId,
+        startX: event.clientX,
+        days: 0,
+        bars: [...document.querySelectorAll('#timeline-chart .timeline-bar')]
+            .filter(bar => movingIds.includes(bar.dataset.taskId))
+    };
+    timelineDrag.bars.forEach(bar => bar.classList.add('dragging'));
+
+    document.addEventListener('mousemove', moveTimelineDrag);
+    document.addEventListener('mouseup', endTimelineDrag);
+}
+
+function moveTimelineDrag(event) {
+    if (!timelineDrag) return;
+
+    // Snap to whole days; dependents preview the same shift
+    timelineDrag.days = Math.round((event.clientX - timelineDrag.startX) / TIMELINE_DAY_WIDTH);
+    timelineDrag.bars.forEach(bar => {
+        bar.setAttribute('transform', `translate(${timelineDrag.days * TIMELINE_DAY_WIDTH}, 0)`);
     });
-    
-    if (filteredTasks.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="11" class="empty-state"><p>No tasks found. Click "Add Task" to create one.</p></td></tr>';
-        return;
-    }
+}
 
-    tbody.innerHTML = '';
-    filteredTasks.forEach(task => {
-        const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
-        const opportunityName = opportunity ? opportunity.name : 'N/A';
-        const isChecked = selectedTasks.has(task.id) ? 'checked' : '';
+function endTimelineDrag() {
+    document.removeEventListener('mousemove', moveTimelineDrag);
+    document.removeEventListener('mouseup', endTimelineDrag);
 
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td><input type="checkbox" ${isChecked} data-id="${escapeHtml(task.id)}" class="row-checkbox" onchange="toggleTaskSelection('${escapeHtml(task.id)}')"></td>
-            <td><strong>${escapeHtml(task.id)}</strong></td>
-            <td>${escapeHtml(opportunityName)}</td>
-            <td>${escapeHtml(task.taskName)}</td>
-            <td>${escapeHtml(task.assignedTo || '')}</td>
-            <td>${escapeHtml(task.role)}</td>
-            <td>${escapeHtml(task.taskType)}</td>
-            <td>${escapeHtml(task.startDate || 'N/A')}</td>
-            <td>${escapeHtml(task.dueDate || 'N/A')}</td>
-            <td>${escapeHtml(task.status)}</td>
-            <td>
-                <div class="actions-cell">
-                    <button class="btn btn-edit" data-id="${escapeHtml(task.id)}">Edit</button>
-                    <button class="btn btn-delete" data-id="${escapeHtml(task.id)}">Delete</button>
-                </div>
-            </td>
-        `;
-        
-        // Add event listeners to buttons
-        row.querySelector('.btn-edit').addEventListener('click', function() {
-            openEditTaskModal(this.getAttribute('data-id'));
-        });
-        row.querySelector('.btn-delete').addEventListener('click', function() {
-            deleteTask(this.getAttribute('data-id'));
+    const drag = timelineDrag;
+    timelineDrag = null;
+    if (!drag) return;
+
+    if (drag.days === 0) {
+        drag.bars.forEach(bar => {
+            bar.classList.remove('dragging');
+            bar.removeAttribute('transform');
         });
-        
-        tbody.appendChild(row);
+        return;
+    }
+    rescheduleTask(drag.taskId, drag.days);
+}
+
+// Moves a task by a number of days, carrying everything that depends on it along
+function rescheduleTask(taskId, days) {
+    const task = tasks.find(item => item.id === taskId);
+    if (!task) return;
+
+    const changes = [];
+    const updatedAt = new Date().toISOString();
+    const dependents = getTaskDependents(taskId);
+
+    [taskId, ...dependents].forEach(id => {
+        const index = tasks.findIndex(item => item.id === id);
+        if (index === -1) return;
+        const before = tasks[index];
+        const after = {
+            ...before,
+            startDate: shiftDate(before.startDate, days),
+            dueDate: shiftDate(before.dueDate, days),
+            updatedAt: updatedAt
+        };
+        recordChange(changes, 'task', 'reschedule', before, after);
+        tasks[index] = after;
     });
-}
 
-function updateTaskOpportunityFilters() {
-    const select = document.getElementById('task-filter-opportunity');
-    const currentValue = select.value;
-    
-    select.innerHTML = '<option value="">All Opportunities</option>';
-    
-    opportunities.forEach(opp => {
-        const option = document.createElement('option');
-        option.value = opp.id;
-        option.textContent = `${opp.id} - ${opp.name}`;
-        select.appendChild(option);
+    const shift = `${days > 0 ? 'later' : 'earlier'} by ${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'}`;
+    addToUndoStack({
+        type: 'reschedule_task',
+        description: `Move "${task.taskName}"${dependents.size > 0 ? ` and ${dependents.size} dependent task${dependents.size === 1 ? '' : 's'}` : ''} ${shift}`,
+        changes: changes
     });
-    
-    // Restore previous selection if still valid
-    if (currentValue && opportunities.find(opp => opp.id === currentValue)) {
-        select.value = currentValue;
+
+    saveTasksToStorage();
+    renderTimeline();
+    renderTasks();
+    updateDashboard();
+    if (document.getElementById('calendar-tab').classList.contains('active')) {
+        renderCalendar();
     }
+    showUndoToast(`Task rescheduled ${shift}`);
 }
 
 // ===========================
-// Dashboard Functions
+// Kanban Board Functions
 // ===========================
 
-function updateDashboard() {
-    // Opportunities Overview
-    const totalOpps = opportunities.length;
-    const openOpps = opportunities.filter(opp => opp.status === 'Open').length;
-    const wonOpps = opportunities.filter(opp => opp.status === 'Won').length;
-    const lostOpps = opportunities.filter(opp => opp.status === 'Lost').length;
-    
-    document.getElementById('stat-total-opps').textContent = totalOpps;
-    document.getElementById('stat-open-opps').textContent = openOpps;
-    document.getElementById('stat-won-opps').textContent = wonOpps;
-    document.getElementById('stat-lost-opps').textContent = lostOpps;
-    
-    // Revenue Metrics
-    const totalPipelineValue = opportunities.reduce((sum, opp) => sum + opp.dealValue, 0);
-    const totalExpectedRevenue = opportunities.reduce((sum, opp) => sum + opp.expectedRevenue, 0);
-    const avgDealSize = totalOpps > 0 ? totalPipelineValue / totalOpps : 0;
-    const avgProbability = totalOpps > 0 ? opportunities.reduce((sum, opp) => sum + opp.probability, 0) / totalOpps : 0;
-    
-    document.getElementById('stat-pipeline-value').textContent = `$${totalPipelineValue.toLocaleString()}`;
-    document.getElementById('stat-expected-revenue').textContent = `$${formatCurrency(totalExpectedRevenue)}`;
-    document.getElementById('stat-avg-deal').textContent = `$${formatCurrency(avgDealSize)}`;
-    document.getElementById('stat-avg-probability').textContent = `${avgProbability.toFixed(1)}%`;
-    
-    // BANT Analysis
-    const avgBANT = totalOpps > 0 ? opportunities.reduce((sum, opp) => sum + opp.bantPercent, 0) / totalOpps : 0;
-    const hotLeads = opportunities.filter(opp => opp.bantSummary === 'Hot').length;
-    const warmLeads = opportunities.filter(opp => opp.bantSummary === 'Warm').length;
-    const coldLeads = opportunities.filter(opp => opp.bantSummary === 'Cold').length;
-    
-    document.getElementById('stat-avg-bant').textContent = `${avgBANT.toFixed(1)}%`;
-    document.getElementById('stat-hot-leads').textContent = hotLeads;
-    document.getElementById('stat-warm-leads').textContent = warmLeads;
-    document.getElementById('stat-cold-leads').textContent = coldLeads;
-    
-    // Tasks Overview
-    const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(task => task.status === 'Completed').length;
-    const progressTasks = tasks.filter(task => task.status === 'In Progress').length;
-    const delayedTasks = tasks.filter(task => task.status === 'Delayed').length;
-    
-    document.getElementById('stat-total-tasks').textContent = totalTasks;
-    document.getElementById('stat-completed-tasks').textContent = completedTasks;
-    document.getElementById('stat-progress-tasks').textContent = progressTasks;
-    document.getElementById('stat-delayed-tasks').textContent = delayedTasks;
-}
+const KANBAN_FILTERS = {
+    salesOwner: 'kanban-filter-sales-owner',
+    preSalesOwner: 'kanban-filter-presales-owner',
+    industry: 'kanban-filter-industry',
+    techType: 'kanban-filter-tech-type',
+    status: 'kanban-filter-status',
+    qualificationSummary: 'kanban-filter-qualification'
+};
 
-// ===========================
-// Calendar View Functions
-// ===========================
+const KANBAN_SWIMLANES = {
+    salesOwner: 'Sales Owner',
+    industry: 'Industry',
+    techType: 'Tech Type'
+};
 
-function initializeCalendar() {
-    document.getElementById('calendar-prev-month').addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() - 1);
-        renderCalendar();
+// Days without an update before a card counts as stale, and the close-date warning window
+const KANBAN_STALE_DAYS = 14;
+const KANBAN_CLOSING_SOON_DAYS = 14;
+
+// Highest value, soonest close and best qualified come first; undated deals go last
+const KANBAN_SORTS = {
+    value: (a, b) => getBaseDealValue(b) - getBaseDealValue(a),
+    expectedClose: (a, b) => (a.expectedClose || '9999-12-31').localeCompare(b.expectedClose || '9999-12-31'),
+    qualification: (a, b) => b.qualificationPercent - a.qualificationPercent
+};
+
+function populateKanbanFilterOptions() {
+    const optionSources = {
+        salesOwner: [...new Set(opportunities.map(opp => opp.salesOwner).filter(Boolean))].sort(),
+        preSalesOwner: [...new Set(opportunities.map(opp => opp.preSalesOwner).filter(Boolean))].sort(),
+        industry: getSelectOptionValues('opp-industry'),
+        techType: getSelectOptionValues('opp-tech-type'),
+        status: getSelectOptionValues('opp-status'),
+        qualificationSummary: ['Hot', 'Warm', 'Cold']
+    };
+
+    Object.keys(KANBAN_FILTERS).forEach(field => {
+        const select = document.getElementById(KANBAN_FILTERS[field]);
+        const currentValue = select.value;
+        const allLabel = select.options[0].textContent;
+        select.innerHTML = `<option value="">${escapeHtml(allLabel)}</option>`;
+        optionSources[field].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+        if (optionSources[field].includes(currentValue)) {
+            select.value = currentValue;
+        }
     });
-    
-    document.getElementById('calendar-next-month').addEventListener('click', () => {
-        currentCalendarDate.setMonth(currentCalendarDate.getMonth() + 1);
-        renderCalendar();
+}
+
+function getKanbanOpportunities() {
+    const searchTerm = document.getElementById('kanban-search').value.toLowerCase();
+    const filters = {};
+    Object.keys(KANBAN_FILTERS).forEach(field => {
+        filters[field] = document.getElementById(KANBAN_FILTERS[field]).value;
     });
-    
-    document.getElementById('calendar-today').addEventListener('click', () => {
-        currentCalendarDate = new Date();
-        renderCalendar();
+
+    return opportunities.filter(opp => {
+        const matchesSearch = !searchTerm ||
+            opp.name.toLowerCase().includes(searchTerm) ||
+            opp.client.toLowerCase().includes(searchTerm) ||
+            opp.id.toLowerCase().includes(searchTerm);
+
+        return matchesSearch && Object.keys(filters).every(field => !filters[field] || opp[field] === filters[field]);
     });
 }
 
-function renderCalendar() {
-    const year = currentCalendarDate.getFullYear();
-    const month = currentCalendarDate.getMonth();
-    
-    // Update month/year display
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                       'July', 'August', 'September', 'October', 'November', 'December'];
-    document.getElementById('calendar-month-year').textContent = `${monthNames[month]} ${year}`;
-    
-    // Get first day of month and number of days
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const daysInMonth = lastDay.getDate();
-    const startingDayOfWeek = firstDay.getDay();
-    
-    // Get previous month's last days
-    const prevMonthLastDay = new Date(year, month, 0).getDate();
-    
-    // Build calendar grid
-    const calendarGrid = document.getElementById('calendar-grid');
-    calendarGrid.innerHTML = '';
-    
-    // Add day headers
-    const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    dayHeaders.forEach(day => {
-        const header = document.createElement('div');
-        header.className = 'calendar-day-header';
-        header.textContent = day;
-        calendarGrid.appendChild(header);
-    });
-    
-    // Add previous month's trailing days
-    for (let i = startingDayOfWeek - 1; i >= 0; i--) {
-        const dayNum = prevMonthLastDay - i;
-        const dayCell = createCalendarDay(dayNum, year, month - 1, true);
-        calendarGrid.appendChild(dayCell);
-    }
-    
-    // Add current month's days
-    for (let day = 1; day <= daysInMonth; day++) {
-        const dayCell = createCalendarDay(day, year, month, false);
-        calendarGrid.appendChild(dayCell);
-    }
-    
-    // Add next month's leading days
-    const totalCells = calendarGrid.children.length - 7; // Subtract headers
-    const remainingCells = 42 - totalCells; // 6 rows * 7 days
-    for (let day = 1; day <= remainingCells; day++) {
-        const dayCell = createCalendarDay(day, year, month + 1, true);
-        calendarGrid.appendChild(dayCell);
-    }
-    
-    // If a date was selected, show its tasks
-    if (selectedCalendarDate) {
-        showTasksForDate(selectedCalendarDate);
-    }
+function isKanbanFiltered() {
+    return !!document.getElementById('kanban-search').value ||
+        Object.values(KANBAN_FILTERS).some(id => document.getElementById(id).value);
 }
 
-function createCalendarDay(day, year, month, isOtherMonth) {
-    const dayCell = document.createElement('div');
-    dayCell.className = 'calendar-day';
-    
-    if (isOtherMonth) {
-        dayCell.classList.add('other-month');
-    }
-    
-    const date = new Date(year, month, day);
-    const dateStr = formatDate(date);
-    
-    // Check if it's today
-    const today = new Date();
-    if (date.toDateString() === today.toDateString()) {
-        dayCell.classList.add('today');
-    }
-    
-    // Check if it's selected
-    if (selectedCalendarDate && date.toDateString() === selectedCalendarDate.toDateString()) {
-        dayCell.classList.add('selected');
-    }
-    
-    // Day number
-    const dayNumber = document.createElement('div');
-    dayNumber.className = 'calendar-day-number';
-    dayNumber.textContent = day;
-    dayCell.appendChild(dayNumber);
-    
-    // Get tasks for this date
-    const dayTasks = tasks.filter(task => {
-        if (!task.dueDate) return false;
-        const taskDate = new Date(task.dueDate);
-        return taskDate.toDateString() === date.toDateString();
-    });
-    
-    // Add task indicators
-    dayTasks.slice(0, 3).forEach(task => {
-        const indicator = document.createElement('div');
-        indicator.className = `calendar-task-indicator status-${task.status.toLowerCase().replace(' ', '-')}`;
-        indicator.textContent = task.taskName;
-        indicator.title = task.taskName;
-        dayCell.appendChild(indicator);
+function clearKanbanFilters() {
+    document.getElementById('kanban-search').value = '';
+    Object.values(KANBAN_FILTERS).forEach(id => {
+        document.getElementById(id).value = '';
     });
-    
-    // Show "+X more" if there are more tasks
-    if (dayTasks.length > 3) {
-        const moreIndicator = document.createElement('div');
-        moreIndicator.className = 'calendar-task-indicator';
-        moreIndicator.textContent = `+${dayTasks.length - 3} more`;
-        dayCell.appendChild(moreIndicator);
+    renderKanbanBoard();
+}
+
+// Without a swimlane field the whole board is a single unnamed lane
+function getKanbanLanes(records) {
+    const field = document.getElementById('kanban-swimlane').value;
+    if (!field) {
+        return [{ label: null, value: null, opportunities: records }];
     }
-    
-    // Click handler
-    dayCell.addEventListener('click', () => {
-        selectedCalendarDate = date;
-        renderCalendar();
-        showTasksForDate(date);
+
+    const lanes = new Map();
+    records.forEach(opp => {
+        const value = opp[field] || '';
+        if (!lanes.has(value)) lanes.set(value, []);
+        lanes.get(value).push(opp);
     });
-    
-    return dayCell;
+
+    // Unassigned goes last
+    return [...lanes.keys()]
+        .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+        .map(value => ({ label: value || 'Unassigned', value: value, opportunities: lanes.get(value) }));
 }
 
-function showTasksForDate(date) {
-    const dateStr = date.toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-    });
-    
-    document.getElementById('selected-date').textContent = dateStr;
-    
-    const dayTasks = tasks.filter(task => {
-        if (!task.dueDate) return false;
-        const taskDate = new Date(task.dueDate);
-        return taskDate.toDateString() === date.toDateString();
-    });
-    
-    const tasksContainer = document.getElementById('selected-date-tasks');
-    
-    if (dayTasks.length === 0) {
-        tasksContainer.innerHTML = '<p style="color: #666;">No tasks due on this date.</p>';
+function renderKanbanBoard() {
+    const board = document.getElementById('kanban-board');
+    board.innerHTML = '';
+    populateKanbanFilterOptions();
+
+    const filtered = isKanbanFiltered();
+    const sorter = KANBAN_SORTS[document.getElementById('kanban-sort').value];
+    const lanes = getKanbanLanes(getKanbanOpportunities());
+    board.classList.toggle('has-swimlanes', !!document.getElementById('kanban-swimlane').value);
+
+    if (lanes.length === 0) {
+        board.innerHTML = '<p class="empty-state">No opportunities match the current filters.</p>';
         return;
     }
-    
-    tasksContainer.innerHTML = '';
-    
-    dayTasks.forEach(task => {
-        const opportunity = opportunities.find(opp => opp.id === task.opportunityId);
-        
-        const taskItem = document.createElement('div');
-        taskItem.className = `calendar-task-item status-${task.status.toLowerCase().replace(' ', '-')}`;
-        
-        taskItem.innerHTML = `
-            <h4>${escapeHtml(task.taskName)}</h4>
-            <p><strong>Opportunity:</strong> ${escapeHtml(opportunity ? opportunity.name : 'N/A')}</p>
-            <p><strong>Assigned To:</strong> ${escapeHtml(task.assignedTo || 'Unassigned')}</p>
-            <p><strong>Role:</strong> ${escapeHtml(task.role)}</p>
-            <p><strong>Type:</strong> ${escapeHtml(task.taskType)}</p>
-            <p><strong>Status:</strong> ${escapeHtml(task.status)}</p>
-            ${task.remarks ? `<p><strong>Remarks:</strong> ${escapeHtml(task.remarks)}</p>` : ''}
-        `;
-        
-        tasksContainer.appendChild(taskItem);
+
+    lanes.forEach((lane, laneIndex) => {
+        let columns = board;
+        // Element IDs stay unique when every lane repeats the stage columns
+        const idSuffix = lane.label === null ? '' : `-${laneIndex}`;
+
+        if (lane.label !== null) {
+            const laneValue = lane.opportunities.reduce((sum, opp) => sum + getBaseDealValue(opp), 0);
+            const laneElement = document.createElement('div');
+            laneElement.className = 'kanban-lane';
+            laneElement.innerHTML = `
+                <div class="kanban-lane-header">
+                    <h3>${escapeHtml(lane.label)}</h3>
+                    <span class="settings-meta">${lane.opportunities.length} ${lane.opportunities.length === 1 ? 'opportunity' : 'opportunities'}</span>
+                    <span class="kanban-value">${formatCurrency(laneValue)}</span>
+                </div>
+                <div class="kanban-lane-columns"></div>
+            `;
+            board.appendChild(laneElement);
+            columns = laneElement.querySelector('.kanban-lane-columns');
+        }
+
+        getVisibleStages().forEach(stage => {
+            // Filter opportunities by stage
+            const stageOpportunities = lane.opportunities.filter(opp => opp.stage === stage.name);
+            if (sorter) {
+                stageOpportunities.sort(sorter);
+            }
+
+            // Calculate total value for this stage
+            const totalValue = stageOpportunities.reduce((sum, opp) => sum + getBaseDealValue(opp), 0);
+
+            // Limits count every open deal in the stage, whatever the filters show
+            const wipCount = getStageWipCount(stage.name);
+            const overLimit = isOverWipLimit(stage);
+
+            const columnElement = document.createElement('div');
+            columnElement.className = `kanban-column${stage.retired ? ' retired' : ''}${overLimit ? ' over-wip-limit' : ''}`;
+            columnElement.dataset.stage = stage.name;
+            if (lane.value !== null) {
+                columnElement.dataset.lane = lane.value;
+            }
+            columnElement.innerHTML = `
+                <div class="kanban-column-header">
+                    <div>
+                        <h3>${escapeHtml(stage.name)}${stage.retired ? ' <small>(retired)</small>' : ''}</h3>
+                        <div class="kanban-value" id="value-${stage.id}${idSuffix}">${formatCurrency(totalValue)}</div>
+                        ${stage.wipLimit ? `<div class="kanban-wip" title="Open opportunities against this stage's WIP limit">WIP ${wipCount}/${stage.wipLimit}${overLimit ? ` · ${wipCount - stage.wipLimit} over limit` : ''}</div>` : ''}
+                    </div>
+                    <span class="kanban-count" id="count-${stage.id}${idSuffix}">${stageOpportunities.length}</span>
+                </div>
+                <div class="kanban-cards" id="kanban-${stage.id}${idSuffix}"></div>
+            `;
+
+            const column = columnElement.querySelector('.kanban-cards');
+            column.addEventListener('dragover', handleDragOver);
+            column.addEventListener('drop', handleDrop);
+            column.addEventListener('dragleave', handleDragLeave);
+
+            stageOpportunities.forEach(opp => {
+                const card = createKanbanCard(opp);
+                column.appendChild(card);
+            });
+
+            // Add empty state if no cards
+            if (stageOpportunities.length === 0) {
+                const emptyState = document.createElement('div');
+                emptyState.style.cssText = 'text-align: center; color: #999; padding: 2rem; font-size: 0.9rem;';
+                emptyState.textContent = filtered ? 'No matching opportunities' : 'No opportunities';
+                column.appendChild(emptyState);
+            }
+
+            columns.appendChild(columnElement);
+        });
     });
 }
 
-function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+function warnIfOverWipLimit(stageName) {
+    const stage = pipelineStages.find(s => s.name === stageName);
+    if (stage && isOverWipLimit(stage)) {
+        showWarning(`${stage.name} is over its WIP limit (${getStageWipCount(stage.name)}/${stage.wipLimit})`);
+    }
 }
 
-// ===========================
-// Kanban Board Functions
-// ===========================
+// Chips for how long since an open card was touched and how close its expected close date is
+function getKanbanCardAging(opportunity) {
+    if (opportunity.status !== 'Open') return [];
+
+    const chips = [];
+    if (opportunity.updatedAt) {
+        const idle = daysBetween(opportunity.updatedAt, new Date());
+        chips.push({
+            label: idle === 0 ? 'Updated today' : `Updated ${idle}d ago`,
+            level: idle > KANBAN_STALE_DAYS ? 'aging-stale' : idle > KANBAN_STALE_DAYS / 2 ? 'aging-warn' : 'aging-fresh',
+            title: `Last updated ${formatDate(new Date(opportunity.updatedAt))}`
+        });
+    }
+    if (opportunity.expectedClose) {
+        const daysToClose = toDayNumber(opportunity.expectedClose) - toDayNumber(formatDate(new Date()));
+        chips.push({
+            label: daysToClose < 0 ? `Close ${-daysToClose}d overdue` : daysToClose === 0 ? 'Closes today' : `Closes in ${daysToClose}d`,
+            level: daysToClose < 0 ? 'aging-stale' : daysToClose <= KANBAN_CLOSING_SOON_DAYS ? 'aging-warn' : 'aging-fresh',
+            title: `Expected close ${opportunity.expectedClose}`
+        });
+    }
+    return chips;
+}
 
-function initializeKanban() {
-    const kanbanCards = document.querySelectorAll('.kanban-cards');
-    
-    kanbanCards.forEach(column => {
-        column.addEventListener('dragover', handleDragOver);
-        column.addEventListener('drop', handleDrop);
-        column.addEventListener('dragleave', handleDragLeave);
-    });
+function openAddTaskForOpportunity(opportunityId) {
+    openAddTaskModal();
+    const select = document.getElementById('task-opportunity');
+    select.value = opportunityId;
+    select.dispatchEvent(new Event('change'));
 }
 
-function renderKanbanBoard() {
-    const stages = ['Lead', 'Qualified', 'Proposal', 'Negotiation', 'Closed'];
-    
-    stages.forEach(stage => {
-        const columnId = `kanban-${stage.toLowerCase()}`;
-        const column = document.getElementById(columnId);
-        const countId = `count-${stage.toLowerCase()}`;
-        const valueId = `value-${stage.toLowerCase()}`;
-        
-        if (!column) return;
-        
-        // Filter opportunities by stage
-        const stageOpportunities = opportunities.filter(opp => opp.stage === stage);
-        
-        // Calculate total value for this stage
-        const totalValue = stageOpportunities.reduce((sum, opp) => sum + opp.dealValue, 0);
-        
-        // Update count and value
-        document.getElementById(countId).textContent = stageOpportunities.length;
-        const valueElement = document.getElementById(valueId);
-        if (valueElement) {
-            valueElement.textContent = `${totalValue.toLocaleString()}`;
-        }
-        
-        // Clear and render cards
-        column.innerHTML = '';
-        
-        stageOpportunities.forEach(opp => {
-            const card = createKanbanCard(opp);
-            column.appendChild(card);
-        });
-        
-        // Add empty state if no cards
-        if (stageOpportunities.length === 0) {
-            const emptyState = document.createElement('div');
-            emptyState.style.cssText = 'text-align: center; color: #999; padding: 2rem; font-size: 0.9rem;';
-            emptyState.textContent = 'No opportunities';
-            column.appendChild(emptyState);
-        }
+// Closing a deal from its card asks why through the outcome modal, the same as the bulk actions
+function changeOpportunityStatus(opportunityId, status, outcome) {
+    const index = opportunities.findIndex(opp => opp.id === opportunityId);
+    if (index === -1) return;
+
+    const before = opportunities[index];
+    if (before.status === status) return;
+
+    if (CLOSED_STATUSES.includes(status) && !outcome) {
+        openOutcomeModal(status, opportunityId);
+        return;
+    }
+
+    const after = { ...before, status: status, ...outcome, updatedAt: new Date().toISOString() };
+    if (!outcome) {
+        clearOpportunityOutcome(after);
+    }
+    recordClosure(after, before.status, after.updatedAt);
+
+    const changes = [];
+    recordChange(changes, 'opportunity', 'update', before, after);
+    opportunities[index] = after;
+    addToUndoStack({
+        type: 'update_opportunity',
+        description: `Change "${before.name}" status from ${before.status} to ${status}`,
+        changes: changes
     });
+
+    saveOpportunitiesToStorage();
+    renderKanbanBoard();
+    renderOpportunities();
+    updateDashboard();
+    showUndoToast(`Status changed to ${status}`);
+    // A reopened deal counts against its stage's WIP limit again
+    if (status === 'Open') {
+        warnIfOverWipLimit(before.stage);
+    }
 }
 
 function createKanbanCard(opportunity) {
@@ -1772,7 +8668,12 @@ function createKanbanCard(opportunity) {
     
     // Status class
     const statusClass = `status-${opportunity.status.toLowerCase().replace(' ', '-')}`;
-    const bantClass = `bant-${opportunity.bantSummary.toLowerCase()}`;
+    const qualificationClass = `qualification-${opportunity.qualificationSummary.toLowerCase()}`;
+    const daysInStage = getDaysInStage(opportunity);
+    if (isStuckDeal(opportunity)) {
+        card.classList.add('stuck');
+    }
+    const aging = getKanbanCardAging(opportunity);
     
     card.innerHTML = `
         <div class="kanban-card-header">
@@ -1784,7 +8685,7 @@ function createKanbanCard(opportunity) {
         <div class="kanban-card-details">
             <div class="kanban-card-row">
                 <span class="kanban-card-label">Deal Value:</span>
-                <span class="kanban-card-value">${opportunity.dealValue.toLocaleString()}</span>
+                <span class="kanban-card-value">${formatCurrency(opportunity.dealValue, opportunity.currency)}</span>
             </div>
             <div class="kanban-card-row">
                 <span class="kanban-card-label">Probability:</span>
@@ -1792,19 +8693,40 @@ function createKanbanCard(opportunity) {
             </div>
             <div class="kanban-card-row">
                 <span class="kanban-card-label">Expected Revenue:</span>
-                <span class="kanban-card-value">${opportunity.expectedRevenue.toLocaleString()}</span>
+                <span class="kanban-card-value">${formatCurrency(opportunity.expectedRevenue, opportunity.currency)}</span>
+            </div>
+            <div class="kanban-card-row">
+                <span class="kanban-card-label">Days in Stage:</span>
+                <span class="kanban-card-value kanban-days-in-stage">${daysInStage}</span>
             </div>
         </div>
+        ${aging.length > 0 ? `<div class="kanban-aging">${aging.map(chip =>
+            `<span class="kanban-aging-chip ${chip.level}" title="${escapeHtml(chip.title)}">${escapeHtml(chip.label)}</span>`).join('')}</div>` : ''}
         <div class="kanban-card-footer">
-            <span class="kanban-bant-badge ${bantClass}">${escapeHtml(opportunity.bantSummary)} (${opportunity.bantPercent.toFixed(0)}%)</span>
+            <span class="kanban-qualification-badge ${qualificationClass}" title="${escapeHtml(getQualificationModel(opportunity.qualificationModel).name)}">${escapeHtml(opportunity.qualificationSummary)} (${opportunity.qualificationPercent.toFixed(0)}%)</span>
             <span style="color: #666; font-size: 0.8rem;">${escapeHtml(opportunity.industry)}</span>
         </div>
+        <div class="kanban-card-actions">
+            <button class="btn btn-secondary kanban-add-task" title="Add a task for this opportunity">+ Task</button>
+            <select class="filter-select kanban-status-select" aria-label="Change status">
+                ${getSelectOptionValues('opp-status').map(status =>
+                    `<option value="${escapeHtml(status)}" ${status === opportunity.status ? 'selected' : ''}>${escapeHtml(status)}</option>`).join('')}
+            </select>
+        </div>
     `;
     
     // Double-click to edit
     card.addEventListener('dblclick', () => {
         openEditOpportunityModal(opportunity.id);
     });
+
+    // Quick actions work without opening the edit modal
+    const actions = card.querySelector('.kanban-card-actions');
+    actions.addEventListener('dblclick', e => e.stopPropagation());
+    actions.querySelector('.kanban-add-task').addEventListener('click', () => openAddTaskForOpportunity(opportunity.id));
+    actions.querySelector('.kanban-status-select').addEventListener('change', function() {
+        changeOpportunityStatus(opportunity.id, this.value);
+    });
     
     return card;
 }
@@ -1843,15 +8765,59 @@ function handleDrop(e) {
     if (draggedCard) {
         const opportunityId = draggedCard.dataset.opportunityId;
         const newStage = this.parentElement.dataset.stage;
+        // With swimlanes on, dropping into another lane also reassigns the lane's field
+        const laneField = document.getElementById('kanban-swimlane').value;
+        const newLane = this.parentElement.dataset.lane;
         
         // Update opportunity stage
         const opportunity = opportunities.find(opp => opp.id === opportunityId);
-        if (opportunity) {
-            opportunity.stage = newStage;
+        const stageChanged = !!opportunity && opportunity.stage !== newStage;
+        const laneChanged = !!opportunity && newLane !== undefined && (opportunity[laneField] || '') !== newLane;
+        if (stageChanged || laneChanged) {
+            const gate = stageChanged
+                ? checkStageGate(laneChanged ? { ...opportunity, [laneField]: newLane } : opportunity, newStage)
+                : { allowed: true, override: null };
+            if (!gate.allowed) {
+                return false;
+            }
+
+            const before = { ...opportunity };
+            const changes = [];
+            opportunity.updatedAt = new Date().toISOString();
+            if (laneChanged) {
+                opportunity[laneField] = newLane;
+            }
+            if (stageChanged) {
+                opportunity.stage = newStage;
+                recordStageTransition(opportunity, newStage, opportunity.updatedAt);
+            }
+            if (gate.override) {
+                opportunity.lastStageGateOverride = gate.override;
+            }
+            recordChange(changes, 'opportunity', gate.override ? 'stage_gate_override' : (stageChanged ? 'stage_change' : 'update'), before, opportunity);
+            const templateTaskCount = stageChanged ? applyStageTaskTemplates(opportunity, newStage, changes) : 0;
+
+            const moves = [
+                stageChanged ? `from ${before.stage} to ${newStage}` : '',
+                laneChanged ? `${stageChanged ? 'in' : 'to'} the ${newLane || 'Unassigned'} lane` : ''
+            ].filter(Boolean).join(' ');
+            addToUndoStack({
+                type: 'move_stage',
+                description: `Move "${opportunity.name}" ${moves}${gate.override ? ' (gate overridden)' : ''}${templateTaskCount > 0 ? ` (+${templateTaskCount} template tasks)` : ''}`,
+                changes: changes
+            });
+
+            if (templateTaskCount > 0) {
+                saveTasksToStorage();
+                renderTasks();
+            }
             saveOpportunitiesToStorage();
             renderKanbanBoard();
             renderOpportunities();
             updateDashboard();
+            if (stageChanged) {
+                warnIfOverWipLimit(newStage);
+            }
         }
     }
     